@@ -0,0 +1,18 @@
+// PDF rendering shared by the sign page and the prepare page; needs pdf.js (pdfjsLib) loaded first
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.11.338/pdf.worker.min.js';
+
+// Canvas pixels per PDF point of the rendered pages
+const PDF_RENDER_SCALE = 1.5;
+
+// Render a page (1-based) of a loaded PDF into a new canvas appended to the container.
+// The viewport converts between canvas pixels and PDF points (convertToPdfPoint, convertToViewportRectangle).
+async function renderPdfPage(pdfDocument, num, container) {
+    const page = await pdfDocument.getPage(num);
+    const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    container.appendChild(canvas);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return { canvas, viewport };
+}
@@ -0,0 +1,425 @@
+// Field positions are kept as fractions of the rendered page while editing and converted to
+// PDF points (origin bottom left) with the pdf.js viewport when saving.
+
+const API_KEY_STORAGE = 'signy-api-key';
+
+// Default sizes in PDF points of newly placed fields
+const FIELD_SIZES = {
+    signature: { width: 150, height: 60 },
+    initials: { width: 60, height: 30 },
+    text: { width: 120, height: 12 },
+    date: { width: 80, height: 12 }
+};
+// Initials without a stored position sit in the bottom right corner (see services/initials.mjs)
+const INITIALS_MARGIN = 36;
+// Smallest size a box can be resized to, in PDF points
+const MIN_FIELD_SIZE = 10;
+
+const SIGNATURE_LABELS = {
+    contract: 'Unterschrift Vertrag',
+    withdrawal: 'Unterschrift Widerruf'
+};
+
+let pdfId = null;
+let apiKey = null;
+let layout = null;
+let renderedPages = [];
+let placedFields = [];
+let nextFieldId = 1;
+
+// Get the PDF ID from the URL
+function getPdfId() {
+    const pathParts = window.location.pathname.split('/');
+    return pathParts[pathParts.indexOf('prepare') + 1];
+}
+
+// Show an error below the editor
+function showError(message) {
+    const errorElement = document.getElementById('error-message');
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+    document.getElementById('success-message').style.display = 'none';
+}
+
+// Request an API endpoint with the sender's API key
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, { ...options, headers: { ...options.headers, 'x-api-key': apiKey } });
+    if (response.status === 401) {
+        sessionStorage.removeItem(API_KEY_STORAGE);
+        throw Object.assign(new Error('Der API-Schlüssel ist ungültig.'), { unauthorized: true });
+    }
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || `HTTP ${response.status}`);
+    }
+    return response;
+}
+
+// Size of a rendered page in PDF points
+function getPageSize(page) {
+    const [left, bottom, right, top] = renderedPages[page].viewport.viewBox;
+    return { width: right - left, height: top - bottom };
+}
+
+// Convert a rectangle in PDF points to fractions of the rendered page
+function fromPdfRect(page, { x, y, width, height }) {
+    const { viewport } = renderedPages[page];
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([x, y, x + width, y + height]);
+    return {
+        left: Math.min(x1, x2) / viewport.width,
+        top: Math.min(y1, y2) / viewport.height,
+        width: Math.abs(x2 - x1) / viewport.width,
+        height: Math.abs(y2 - y1) / viewport.height
+    };
+}
+
+// Convert the box of a placed field from fractions of the rendered page to PDF points
+function toPdfRect(field) {
+    const { viewport } = renderedPages[field.page];
+    const [x1, y1] = viewport.convertToPdfPoint(field.left * viewport.width, (field.top + field.height) * viewport.height);
+    const [x2, y2] = viewport.convertToPdfPoint((field.left + field.width) * viewport.width, field.top * viewport.height);
+    const round = (value) => Math.round(value * 10) / 10;
+    return {
+        x: round(Math.max(0, Math.min(x1, x2))),
+        y: round(Math.max(0, Math.min(y1, y2))),
+        width: round(Math.abs(x2 - x1)),
+        height: round(Math.abs(y2 - y1))
+    };
+}
+
+// Label shown on a placed field
+function getFieldLabel(field) {
+    const signer = field.signer || 'alle';
+    if (field.type === 'signature') {
+        return `${SIGNATURE_LABELS[field.name] || field.name} (${signer})`;
+    }
+    if (field.type === 'text') {
+        const textField = layout.textFields.find((f) => f.name === field.name);
+        return `${textField ? textField.label : field.name} (${signer})`;
+    }
+    return `${field.type === 'date' ? 'Datum' : 'Initialen'} (${signer})`;
+}
+
+// Keep a box inside its page
+function clampField(field) {
+    field.width = Math.min(field.width, 1);
+    field.height = Math.min(field.height, 1);
+    field.left = Math.min(Math.max(field.left, 0), 1 - field.width);
+    field.top = Math.min(Math.max(field.top, 0), 1 - field.height);
+}
+
+// Position the element of a placed field
+function updateFieldElement(field) {
+    Object.assign(field.element.style, {
+        left: `${field.left * 100}%`,
+        top: `${field.top * 100}%`,
+        width: `${field.width * 100}%`,
+        height: `${field.height * 100}%`
+    });
+}
+
+// Move or resize a placed field with the pointer; the stored definition is replaced by the new box
+function startDrag(event, field, mode) {
+    if (!layout.editable) {
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    const bounds = renderedPages[field.page].element.getBoundingClientRect();
+    const start = { x: event.clientX, y: event.clientY, left: field.left, top: field.top, width: field.width, height: field.height };
+    const minSize = fromPdfRect(field.page, { x: 0, y: 0, width: MIN_FIELD_SIZE, height: MIN_FIELD_SIZE });
+
+    const onMove = (moveEvent) => {
+        const dx = (moveEvent.clientX - start.x) / bounds.width;
+        const dy = (moveEvent.clientY - start.y) / bounds.height;
+        if (mode === 'move') {
+            field.left = start.left + dx;
+            field.top = start.top + dy;
+        } else {
+            field.width = Math.max(minSize.width, start.width + dx);
+            field.height = Math.max(minSize.height, start.height + dy);
+        }
+        clampField(field);
+        field.source = null;
+        updateFieldElement(field);
+    };
+    const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+}
+
+// Add a field to a page and create its element
+function addPlacedField(field) {
+    clampField(field);
+    const element = document.createElement('div');
+    element.className = `placed-field type-${field.type}`;
+    const label = document.createElement('span');
+    label.className = 'placed-field-label';
+    label.textContent = getFieldLabel(field);
+    element.appendChild(label);
+
+    if (field.type === 'initials') {
+        // Initials can go on every page at the same position
+        const allPages = document.createElement('label');
+        allPages.className = 'placed-field-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = field.pages === 'all';
+        checkbox.disabled = !layout.editable;
+        checkbox.addEventListener('change', () => {
+            field.pages = checkbox.checked ? 'all' : [field.page];
+            field.source = null;
+        });
+        checkbox.addEventListener('pointerdown', (event) => event.stopPropagation());
+        allPages.append(checkbox, ' alle Seiten');
+        element.appendChild(allPages);
+    }
+
+    if (layout.editable) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'remove-field';
+        remove.title = 'Feld entfernen';
+        remove.textContent = '×';
+        remove.addEventListener('pointerdown', (event) => event.stopPropagation());
+        remove.addEventListener('click', () => {
+            element.remove();
+            placedFields = placedFields.filter((f) => f !== field);
+        });
+        element.appendChild(remove);
+
+        if (field.type === 'signature' || field.type === 'initials') {
+            const handle = document.createElement('div');
+            handle.className = 'resize-handle';
+            handle.addEventListener('pointerdown', (event) => startDrag(event, field, 'resize'));
+            element.appendChild(handle);
+        }
+        element.addEventListener('pointerdown', (event) => startDrag(event, field, 'move'));
+    }
+
+    field.id = nextFieldId++;
+    field.element = element;
+    renderedPages[field.page].element.appendChild(element);
+    updateFieldElement(field);
+    placedFields.push(field);
+}
+
+// Show the stored layout; fields keep their stored definition until they are moved or resized
+function renderStoredLayout() {
+    layout.fields.forEach((definition) => {
+        if (!renderedPages[definition.page]) {
+            return;
+        }
+        const size = FIELD_SIZES[definition.type];
+        const box = definition.type === 'signature'
+            ? { x: definition.x, y: definition.y, width: definition.width, height: definition.height }
+            : { x: definition.x, y: definition.y, width: size.width, height: definition.fontSize || size.height };
+        addPlacedField({
+            type: definition.type,
+            name: definition.name,
+            signer: definition.signer || layout.signers[0].role,
+            page: definition.page,
+            ...fromPdfRect(definition.page, box),
+            source: definition
+        });
+    });
+
+    layout.initials.forEach((definition) => {
+        const page = definition.pages === 'all' ? 0 : definition.pages[0];
+        if (!renderedPages[page]) {
+            return;
+        }
+        const pageSize = getPageSize(page);
+        addPlacedField({
+            type: 'initials',
+            signer: definition.signer,
+            pages: definition.pages,
+            page,
+            ...fromPdfRect(page, {
+                x: definition.x ?? pageSize.width - INITIALS_MARGIN - definition.width,
+                y: definition.y ?? INITIALS_MARGIN,
+                width: definition.width,
+                height: definition.height
+            }),
+            source: definition
+        });
+    });
+}
+
+// The fields offered for placing: one per signature block and text field, initials and the date
+function getPaletteEntries() {
+    return [
+        ...layout.signatureNames.map((name) => ({ type: 'signature', name, label: SIGNATURE_LABELS[name] || name })),
+        { type: 'initials', label: 'Initialen' },
+        { type: 'date', label: 'Datum' },
+        ...layout.textFields.map(({ name, label }) => ({ type: 'text', name, label }))
+    ];
+}
+
+// Build the palette and the signer selection
+function renderToolbar() {
+    const signerSelect = document.getElementById('field-signer');
+    signerSelect.innerHTML = '';
+    layout.signers.forEach((signer) => {
+        const option = document.createElement('option');
+        option.value = signer.role;
+        option.textContent = signer.name ? `${signer.name} (${signer.role})` : signer.role;
+        signerSelect.appendChild(option);
+    });
+
+    const palette = document.getElementById('field-palette');
+    palette.innerHTML = '';
+    getPaletteEntries().forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = `palette-item type-${entry.type}`;
+        item.draggable = true;
+        item.textContent = entry.label;
+        item.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', String(index));
+            event.dataTransfer.effectAllowed = 'copy';
+        });
+        palette.appendChild(item);
+    });
+}
+
+// Place a palette entry where it was dropped on a page
+function handleDrop(event, page) {
+    event.preventDefault();
+    const entry = getPaletteEntries()[Number(event.dataTransfer.getData('text/plain'))];
+    if (!entry || !layout.editable) {
+        return;
+    }
+    const bounds = renderedPages[page].element.getBoundingClientRect();
+    const size = fromPdfRect(page, { x: 0, y: 0, ...FIELD_SIZES[entry.type] });
+    addPlacedField({
+        type: entry.type,
+        name: entry.name,
+        signer: document.getElementById('field-signer').value,
+        page,
+        left: (event.clientX - bounds.left) / bounds.width,
+        top: (event.clientY - bounds.top) / bounds.height,
+        width: size.width,
+        height: size.height,
+        ...(entry.type === 'initials' ? { pages: [page] } : {}),
+        source: null
+    });
+}
+
+// Build the field definitions and initials placements for the server, in PDF points
+function serializeLayout() {
+    const fields = [];
+    const initials = [];
+    placedFields.forEach((field) => {
+        if (field.type === 'initials') {
+            const { x, y, width, height } = toPdfRect(field);
+            initials.push(field.source || { ...(field.signer ? { signer: field.signer } : {}), pages: field.pages, x, y, width, height });
+            return;
+        }
+        if (field.source) {
+            fields.push(field.source);
+            return;
+        }
+        const rect = toPdfRect(field);
+        const base = { type: field.type, signer: field.signer, page: field.page, x: rect.x, y: rect.y };
+        if (field.type === 'signature') {
+            fields.push({ ...base, name: field.name, width: rect.width, height: rect.height });
+        } else {
+            // Text is drawn from its baseline at the bottom left of the box
+            fields.push({ ...base, ...(field.type === 'text' ? { name: field.name } : {}), fontSize: rect.height });
+        }
+    });
+    return { fields, initials };
+}
+
+// Save the layout as the document's field definitions
+async function saveLayout() {
+    const button = document.getElementById('save-layout');
+    button.disabled = true;
+    document.getElementById('error-message').style.display = 'none';
+    try {
+        const response = await apiFetch(`/api/documents/${pdfId}/layout`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(serializeLayout())
+        });
+        const saved = await response.json();
+        const successElement = document.getElementById('success-message');
+        successElement.textContent = `Feldlayout gespeichert: ${saved.fields.length} Felder, ${saved.initials.length} Initialen.`;
+        successElement.style.display = 'block';
+    } catch (error) {
+        console.error('Fehler beim Speichern des Feldlayouts:', error);
+        showError('Fehler beim Speichern des Feldlayouts: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Load the layout and the PDF and render the pages with the placed fields
+async function openDocument() {
+    layout = await (await apiFetch(`/api/documents/${pdfId}/layout`)).json();
+    const pdfData = await (await apiFetch(`/api/documents/${pdfId}/download?version=original`)).arrayBuffer();
+    const pdfDocument = await pdfjsLib.getDocument({ data: pdfData }).promise;
+
+    document.getElementById('api-key-form').style.display = 'none';
+    document.getElementById('prepare-section').style.display = 'block';
+    renderToolbar();
+
+    const container = document.getElementById('pdf-pages');
+    container.innerHTML = '';
+    renderedPages = [];
+    placedFields = [];
+    for (let num = 1; num <= pdfDocument.numPages; num++) {
+        const element = document.createElement('div');
+        element.className = 'prepare-page';
+        container.appendChild(element);
+        const { viewport } = await renderPdfPage(pdfDocument, num, element);
+        renderedPages.push({ element, viewport });
+        element.addEventListener('dragover', (event) => event.preventDefault());
+        element.addEventListener('drop', (event) => handleDrop(event, num - 1));
+    }
+    renderStoredLayout();
+
+    if (!layout.editable) {
+        document.getElementById('save-layout').style.display = 'none';
+        document.querySelector('.prepare-toolbar').style.display = 'none';
+        showError('Das Feldlayout kann nicht mehr geändert werden, weil bereits unterschrieben wurde oder das Dokument abgeschlossen ist.');
+    }
+}
+
+// Open the document with the entered or remembered API key
+async function login(key) {
+    apiKey = key;
+    const keyError = document.querySelector('#api-key-form .error-message');
+    keyError.style.display = 'none';
+    try {
+        await openDocument();
+        sessionStorage.setItem(API_KEY_STORAGE, key);
+    } catch (error) {
+        console.error('Fehler beim Laden des Dokuments:', error);
+        if (error.unauthorized) {
+            keyError.textContent = error.message;
+            keyError.style.display = 'block';
+        } else {
+            showError('Fehler beim Laden des Dokuments: ' + error.message);
+        }
+    }
+}
+
+// Initialize when page loads
+window.addEventListener('load', () => {
+    pdfId = getPdfId();
+
+    document.getElementById('api-key-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        login(document.getElementById('apiKey').value.trim());
+    });
+    document.getElementById('save-layout').addEventListener('click', saveLayout);
+
+    const storedKey = sessionStorage.getItem(API_KEY_STORAGE);
+    if (storedKey) {
+        login(storedKey);
+    }
+});
@@ -28,6 +28,9 @@ function resizeCanvas() {
 }
 
 window.addEventListener("resize", resizeCanvas);
+
+// Optional library template, e.g. /?templateId=<id>; without it the server's default template is used
+const templateId = new URLSearchParams(window.location.search).get('templateId');
 resizeCanvas();
 
 // Clear signature buttons
@@ -107,6 +110,30 @@ withdrawalCheckbox.addEventListener('change', function() {
     }
 });
 
+// Inputs and messages for the field error codes of /api/pdf-config
+const FIELD_ELEMENTS = {
+    fullName: 'fullName',
+    location: 'location',
+    email: 'email',
+    signature: 'signature-pad',
+    withdrawalSignature: 'withdrawal-signature-pad'
+};
+const ERROR_MESSAGES = {
+    required: 'Bitte füllen Sie dieses Feld aus.',
+    too_long: 'Die Eingabe ist zu lang.',
+    invalid_type: 'Ungültiger Wert.',
+    invalid_email: 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+    invalid_signature: 'Die Unterschrift konnte nicht gelesen werden. Bitte erneut unterschreiben.',
+    blank_signature: 'Die Unterschrift ist leer oder zu kurz. Bitte vollständig unterschreiben.'
+};
+
+// Show the server's field errors next to their inputs; returns true if at least one could be placed
+function showFieldErrors(errors) {
+    const placeable = (errors || []).filter((error) => FIELD_ELEMENTS[error.field] && ERROR_MESSAGES[error.code]);
+    placeable.forEach((error) => showError(ERROR_MESSAGES[error.code], FIELD_ELEMENTS[error.field]));
+    return placeable.length > 0;
+}
+
 // Validate form fields
 function validateForm() {
     let isValid = true;
@@ -172,7 +199,8 @@ document.getElementById('signature-form').addEventListener('submit', async (even
         email: document.getElementById('email').value,
         signature: contractSignaturePad.toDataURL(),
         withdrawalAccepted: withdrawalCheckbox.checked,
-        withdrawalSignature: withdrawalCheckbox.checked ? withdrawalSignaturePad.toDataURL() : null
+        withdrawalSignature: withdrawalCheckbox.checked ? withdrawalSignaturePad.toDataURL() : null,
+        templateId
     };
 
     try {
@@ -185,7 +213,11 @@ document.getElementById('signature-form').addEventListener('submit', async (even
         });
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const errorBody = await response.json().catch(() => ({}));
+            if (showFieldErrors(errorBody.errors)) {
+                throw new Error('Bitte prüfen Sie die markierten Angaben.');
+            }
+            throw new Error(errorBody.error || `HTTP error! status: ${response.status}`);
         }
 
         const data = await response.json();
@@ -249,4 +281,4 @@ async function loadPDF(url) {
 }
 
 // Load the template PDF when the page loads
-loadPDF('/template');
\ No newline at end of file
+loadPDF(templateId ? `/template?templateId=${encodeURIComponent(templateId)}` : '/template');
\ No newline at end of file
@@ -1,10 +1,36 @@
-// Initialize PDF.js
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.11.338/pdf.worker.min.js';
-
-let contractSignaturePad;
 let pdfDoc = null;
 let pageNum = 1;
 let pdfId = null;
+let otpRequired = false;
+let otpToken = null;
+let formFields = [];
+let formSchema = null;
+let signatureBlocks = [];
+let signatureMethod = 'signpad';
+let signatureFonts = [];
+let initialsPages = null;
+
+// Request keys of the drawn signature (image and stroke data) and the typed signature per signature block
+const SIGNATURE_KEYS = {
+    contract: { image: 'signature', strokes: 'signatureStrokes', keyboard: 'contractKeyboardSignature' },
+    withdrawal: { image: 'withdrawalSignature', strokes: 'withdrawalSignatureStrokes', keyboard: 'withdrawalKeyboardSignature' },
+    initials: { image: 'initials', strokes: 'initialsStrokes', keyboard: 'keyboardInitials' }
+};
+
+// Extra block for documents that ask for initials; typed initials are generated from the name
+const INITIALS_BLOCK = { name: 'initials', label: 'Initialen', required: true };
+
+// Messages for the field error codes of the server's validation
+const ERROR_MESSAGES = {
+    required: () => 'Bitte fülle dieses Feld aus.',
+    too_long: (error) => `Bitte gib höchstens ${error.maxLength} Zeichen ein.`,
+    invalid_type: () => 'Ungültiger Wert.',
+    invalid_email: () => 'Bitte gib eine gültige E-Mail-Adresse ein.',
+    invalid_option: () => 'Bitte wähle eine der vorgegebenen Optionen.',
+    not_accepted: () => 'Bitte stimme dieser Erklärung zu.',
+    invalid_signature: () => 'Die Unterschrift konnte nicht gelesen werden. Bitte unterschreibe erneut.',
+    blank_signature: () => 'Die Unterschrift ist leer oder zu kurz. Bitte unterschreibe vollständig.'
+};
 
 // Get the PDF ID from the URL
 function getPdfId() {
@@ -12,6 +38,16 @@ function getPdfId() {
     return pathParts[pathParts.indexOf('sign') + 1];
 }
 
+// Get the access token from the sign link (?token=...)
+function getAccessToken() {
+    return new URLSearchParams(window.location.search).get('token');
+}
+
+// Get the signer ID from the sign link (?signer=...)
+function getSignerId() {
+    return new URLSearchParams(window.location.search).get('signer');
+}
+
 // Resize canvas
 function resizeCanvas(canvas) {
     const ratio = Math.max(window.devicePixelRatio || 1, 1);
@@ -20,87 +56,427 @@ function resizeCanvas(canvas) {
     canvas.getContext('2d').scale(ratio, ratio);
 }
 
-// Initialize signature pads
-function initSignaturePads() {
-    // Contract signature pad
-    const contractCanvas = document.getElementById('signature-pad');
-    resizeCanvas(contractCanvas);
-    contractSignaturePad = new SignaturePad(contractCanvas, {
-        backgroundColor: 'rgb(255, 255, 255)'
-    }); // <-- Corrected closing parenthesis and added semicolon
+// Enable or grey out one signature input of a block
+function setSectionEnabled(section, enabled) {
+    section.style.opacity = enabled ? '1' : '0.5';
+    section.style.pointerEvents = enabled ? 'auto' : 'none';
+}
 
-    // Handle window resize
-    window.addEventListener('resize', () => {
-        resizeCanvas(contractCanvas);
-        contractSignaturePad.clear();
+// Enable keyboard signature
+function enableKeyboardSignature(block) {
+    setSectionEnabled(block.element.querySelector('.signature-group'), false);
+    setSectionEnabled(block.element.querySelector('.keyboard-signature'), true);
+}
+
+// Disable keyboard signature
+function disableKeyboardSignature(block) {
+    setSectionEnabled(block.element.querySelector('.keyboard-signature'), false);
+}
+
+// Enable SignPad
+function enableSignPad(block) {
+    setSectionEnabled(block.element.querySelector('.signature-group'), true);
+}
+
+// Disable SignPad
+function disableSignPad(block) {
+    setSectionEnabled(block.element.querySelector('.signature-group'), false);
+}
+
+// Reset signature method visibility
+function resetSignatureMethodVisibility(block) {
+    setSectionEnabled(block.element.querySelector('.signature-group'), true);
+    setSectionEnabled(block.element.querySelector('.keyboard-signature'), true);
+}
+
+// Handle signature status of a block
+function updateSignatureStatus(block, isSigned) {
+    const statusIndicator = block.element.querySelector('.signature-status');
+    if (isSigned) {
+        statusIndicator.classList.add('signed');
+    } else {
+        statusIndicator.classList.remove('signed');
+    }
+}
+
+// Show the typed name in the font previews of a block
+function updatePreview(block) {
+    const name = block.keyboardInput.value || ' ';
+    block.element.querySelectorAll('.preview-label').forEach((label) => {
+        label.innerHTML = `
+            <span class="preview-title">Diese Unterschrift wählen</span>
+            <span class="preview-signature"></span>
+        `;
+        label.querySelector('.preview-signature').textContent = name;
     });
+}
 
-    // Clear signature button
-    document.getElementById('clear-signature').addEventListener('click', () => {
-        contractSignaturePad.clear();
-        updateSignatureStatus(false); // Pass false since it's cleared
+// Clear the keyboard signature of a block
+function clearKeyboardSignature(block) {
+    block.keyboardInput.value = '';
+    updatePreview(block);
+}
+
+// Clear the signature pad of a block
+function clearSignaturePad(block) {
+    block.pad.clear();
+    updateSignatureStatus(block, false);
+}
+
+// Initials from a name, the first letter of each part (the server generates them the same way)
+function getInitials(name) {
+    return name.split(/[\s-]+/)
+        .map((part) => /\p{L}/u.exec(part)?.[0])
+        .filter(Boolean)
+        .map((letter) => letter.toUpperCase())
+        .slice(0, 6)
+        .join('');
+}
+
+// Fill in the typed initials from the name while the keyboard method is selected
+function updateGeneratedInitials() {
+    const block = signatureBlocks.find((b) => b.name === INITIALS_BLOCK.name);
+    if (!block) {
+        return;
+    }
+    const nameInput = document.getElementById('field-fullName');
+    block.keyboardInput.value = signatureMethod === 'keyboard' && nameInput ? getInitials(nameInput.value) : '';
+    updatePreview(block);
+}
+
+// Wire up the signature pad and the keyboard signature of a block; using one clears the other
+function initSignatureBlock(block) {
+    block.element.querySelector('.clear-signature').addEventListener('click', () => {
+        clearSignaturePad(block);
+    });
+
+    block.pad.addEventListener('endStroke', () => {
+        if (!block.pad.isEmpty()) {
+            disableKeyboardSignature(block);
+            clearKeyboardSignature(block);
+        }
+        updateSignatureStatus(block, !block.pad.isEmpty());
+    });
+
+    block.keyboardInput.addEventListener('input', () => {
+        if (block.keyboardInput.value.trim() !== '') {
+            disableSignPad(block);
+            clearSignaturePad(block);
+        } else {
+            resetSignatureMethodVisibility(block);
+        }
+        updatePreview(block);
     });
+
+    updatePreview(block);
 }
 
-// Clear signature pad (Simplified)
-function clearSignaturePad() {
-    contractSignaturePad.clear();
-    updateSignatureStatus(false); // Pass false since it's cleared
+// Build one signature section per signature block of the form schema
+function renderSignatureBlocks(signatures) {
+    const container = document.getElementById('signature-blocks');
+    const template = document.getElementById('signature-block-template');
+    container.innerHTML = '';
+
+    signatureBlocks = signatures.map((signature) => {
+        const element = template.content.firstElementChild.cloneNode(true);
+        element.querySelector('.signpad-title').textContent = `${signature.label} per Maus/Touchpad`;
+
+        const keyboardInput = element.querySelector('.keyboard-signature-input');
+        keyboardInput.id = `${signature.name}-keyboard-signature`;
+        const keyboardTitle = element.querySelector('.keyboard-title');
+        keyboardTitle.htmlFor = keyboardInput.id;
+        keyboardTitle.textContent = `${signature.label} per Tastatur`;
+        if (signature.name === INITIALS_BLOCK.name) {
+            const pages = initialsPages === 'all' ? 'jeder Seite' : `Seite ${initialsPages.map((page) => page + 1).join(', ')}`;
+            element.querySelector('.signature-instruction').textContent = `Bitte zeichne deine Initialen. Sie werden auf ${pages} des Dokuments gesetzt.`;
+            keyboardTitle.textContent = `${signature.label} aus deinem Namen`;
+            keyboardInput.readOnly = true;
+            keyboardInput.placeholder = 'Werden aus deinem vollständigen Namen erzeugt';
+        }
+
+        const fontGrid = element.querySelector('.font-preview-grid');
+        signatureFonts.forEach((font, index) => {
+            const preview = document.createElement('div');
+            preview.className = 'font-preview';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.id = `${signature.name}-font-${index}`;
+            radio.name = `${signature.name}-font`;
+            radio.value = font.name;
+            radio.checked = index === 0;
+            const label = document.createElement('label');
+            label.className = 'preview-label';
+            label.htmlFor = radio.id;
+            label.style.fontFamily = `'${font.family}', cursive`;
+            preview.append(radio, label);
+            fontGrid.appendChild(preview);
+        });
+
+        container.appendChild(element);
+        const canvas = element.querySelector('.signature-pad');
+        resizeCanvas(canvas);
+        const pad = new SignaturePad(canvas, {
+            backgroundColor: 'rgb(255, 255, 255)'
+        });
+        return { ...signature, element, canvas, pad, keyboardInput };
+    });
+
+    signatureBlocks.forEach(initSignatureBlock);
+    handleSignatureMethodSelection(signatureMethod);
 }
 
-// Enable keyboard signature (Simplified)
-function enableKeyboardSignature() {
-    const signPadSection = document.getElementById('signature-pad').closest('.signature-group');
-    const keyboardSection = document.getElementById('keyboardSignature').closest('.keyboard-signature');
+// Create a form group with a label, an input and an error message
+function createFormGroup(id, labelText, input) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+    const error = document.createElement('div');
+    error.className = 'error-message';
+    error.style.display = 'none';
+    group.append(label, input, error);
+    return group;
+}
 
-    signPadSection.style.opacity = '0.5';
-    signPadSection.style.pointerEvents = 'none';
-    keyboardSection.style.opacity = '1';
-    keyboardSection.style.pointerEvents = 'auto';
+// Render the fields, declarations and signature blocks of the document's form schema
+function renderFormSchema(schema) {
+    formSchema = schema;
+
+    const fieldsContainer = document.getElementById('schema-fields');
+    fieldsContainer.innerHTML = '';
+    schema.fields.forEach((field) => {
+        const id = `field-${field.name}`;
+        const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+        if (field.type === 'textarea') {
+            input.rows = 4;
+        } else {
+            input.type = field.type;
+        }
+        input.id = id;
+        input.name = field.name;
+        input.required = field.required;
+        input.maxLength = field.maxLength;
+        fieldsContainer.appendChild(createFormGroup(id, field.required ? field.label : `${field.label} (optional)`, input));
+    });
+
+    const consentsContainer = document.getElementById('schema-consents');
+    consentsContainer.innerHTML = '';
+    schema.consents.forEach((consent) => {
+        const group = document.createElement('div');
+        group.className = 'form-group checkbox-group';
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `consent-${consent.name}`;
+        checkbox.required = consent.required;
+        label.append(checkbox, ' ', consent.text);
+        const error = document.createElement('div');
+        error.className = 'error-message';
+        error.style.display = 'none';
+        group.append(label, error);
+        consentsContainer.appendChild(group);
+    });
+
+    renderSignatureBlocks(initialsPages ? [...schema.signatures, INITIALS_BLOCK] : schema.signatures);
+    document.getElementById('field-fullName')?.addEventListener('input', updateGeneratedInitials);
 }
 
-// Disable keyboard signature (Simplified)
-function disableKeyboardSignature() {
-    const keyboardSection = document.getElementById('keyboardSignature').closest('.keyboard-signature');
-    keyboardSection.style.opacity = '0.5';
-    keyboardSection.style.pointerEvents = 'none';
+// Load the fonts a keyboard signature can be written in and register them for the previews
+async function loadSignatureFonts() {
+    try {
+        const response = await fetch('/api/signature-fonts');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        signatureFonts = await response.json();
+        signatureFonts.forEach((font) => {
+            document.fonts.add(new FontFace(font.family, `url(${font.url})`));
+        });
+    } catch (error) {
+        console.error('Fehler beim Laden der Schriftarten:', error);
+    }
 }
 
-// Enable SignPad (Simplified)
-function enableSignPad() {
-    const signPadSection = document.getElementById('signature-pad').closest('.signature-group');
-    signPadSection.style.opacity = '1';
-    signPadSection.style.pointerEvents = 'auto';
+// Load the default form schema for the sign page without a document
+async function loadDefaultFormSchema() {
+    const response = await fetch('/api/form-schema');
+    if (!response.ok) {
+        throw new Error('Fehler beim Laden des Formulars');
+    }
+    renderFormSchema(await response.json());
 }
 
-// Disable SignPad (Simplified)
-function disableSignPad() {
-    const signPadSection = document.getElementById('signature-pad').closest('.signature-group');
-    signPadSection.style.opacity = '0.5';
-    signPadSection.style.pointerEvents = 'none';
+// Show a notice above the form area
+function showNotice(html) {
+    const notice = document.createElement('div');
+    notice.className = 'success-view';
+    notice.innerHTML = html;
+    document.querySelector('.header').insertAdjacentElement('afterend', notice);
 }
 
-// Reset signature method visibility (Simplified)
-function resetSignatureMethodVisibility() {
-    const signPadSection = document.getElementById('signature-pad').closest('.signature-group');
-    const keyboardSection = document.getElementById('keyboardSignature').closest('.keyboard-signature');
+// Load the state of the sign link; signed documents are shown read-only, closed ones not at all
+async function loadSignStatus(params) {
+    const response = await fetch(`/api/pdf/${pdfId}/status?${params}`);
+    if (response.status === 401) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || 'Der Link ist ungültig oder abgelaufen');
+    }
+    if (!response.ok) {
+        throw new Error('Fehler beim Laden des Dokumentstatus');
+    }
+    const status = await response.json();
 
-    signPadSection.style.opacity = '1';
-    keyboardSection.style.opacity = '1';
-    keyboardSection.style.pointerEvents = 'auto';
-    keyboardSection.style.pointerEvents = 'auto';
+    if (status.message) {
+        document.getElementById('pdf-container').style.display = 'none';
+        document.getElementById('signature-form').style.display = 'none';
+        showNotice(`<div class="success-message">${status.message}</div>`);
+        return false;
+    }
+    initialsPages = status.readOnly ? null : status.initials;
+    renderFormSchema(status.formSchema);
+    renderFormFields(status.readOnly ? [] : status.formFields);
+    if (status.otpRequired && !status.readOnly) {
+        otpRequired = true;
+        document.getElementById('otp-email').textContent = status.otpEmail;
+        document.getElementById('otp-section').style.display = 'block';
+    }
+    if (status.readOnly) {
+        document.getElementById('signature-form').style.display = 'none';
+        const signedAt = status.signedAt ? ` am ${new Date(status.signedAt).toLocaleString('de-DE')}` : '';
+        const download = status.downloadUrl ? ` <a href="${status.downloadUrl}" target="_blank">PDF herunterladen</a>` : '';
+        showNotice(`<div class="success-message">Du hast dieses Dokument${signedAt} bereits unterschrieben.${download}</div>`);
+    }
+    return true;
 }
 
-// Handle signature status (Simplified - assumes only one pad)
-function updateSignatureStatus(isSigned) {
-    const canvas = document.getElementById('signature-pad'); // Directly reference the contract pad
-    const statusIndicator = canvas.closest('.signature-group').querySelector('.signature-status');
+// Render the PDF's own form fields as inputs; their values are filled into the PDF when signing
+function renderFormFields(fields) {
+    formFields = fields || [];
+    const container = document.getElementById('form-fields');
+    container.innerHTML = '';
+
+    formFields.forEach((field, index) => {
+        const id = `form-field-${index}`;
+        const group = document.createElement('div');
+        group.className = field.type === 'checkbox' ? 'form-group checkbox-group' : 'form-group';
+        const label = document.createElement('label');
+        label.textContent = field.label + (field.required && field.type !== 'checkbox' ? ' *' : '');
+
+        let input;
+        if (field.type === 'checkbox') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = field.value === true;
+            label.className = 'checkbox-label';
+            label.prepend(input, ' ');
+        } else if (field.type === 'radio') {
+            input = document.createElement('div');
+            input.className = 'form-field-options';
+            field.options.forEach((option) => {
+                const optionLabel = document.createElement('label');
+                optionLabel.className = 'checkbox-label';
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = id;
+                radio.value = option;
+                radio.checked = field.value === option;
+                optionLabel.append(radio, ' ', option);
+                input.appendChild(optionLabel);
+            });
+        } else if (field.type === 'dropdown') {
+            input = document.createElement('select');
+            ['', ...field.options].forEach((option) => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option || 'Bitte wählen';
+                input.appendChild(element);
+            });
+            input.value = field.value || '';
+        } else {
+            input = document.createElement(field.multiline ? 'textarea' : 'input');
+            if (!field.multiline) {
+                input.type = 'text';
+            }
+            if (field.maxLength) {
+                input.maxLength = field.maxLength;
+            }
+            input.value = field.value || '';
+        }
+        input.id = id;
 
-    if (isSigned) {
-        statusIndicator.classList.add('signed');
+        if (field.type === 'checkbox') {
+            group.appendChild(label);
+        } else {
+            label.htmlFor = id;
+            group.append(label, input);
+        }
+        const error = document.createElement('div');
+        error.className = 'error-message';
+        error.style.display = 'none';
+        group.appendChild(error);
+        container.appendChild(group);
+    });
+    container.style.display = formFields.length > 0 ? 'block' : 'none';
+}
+
+// Collect the values of the PDF's form fields by field name
+function getFormValues() {
+    return Object.fromEntries(formFields.map((field, index) => {
+        const id = `form-field-${index}`;
+        if (field.type === 'checkbox') {
+            return [field.name, document.getElementById(id).checked];
+        }
+        if (field.type === 'radio') {
+            const selected = document.querySelector(`input[name="${id}"]:checked`);
+            return [field.name, selected ? selected.value : null];
+        }
+        return [field.name, document.getElementById(id).value];
+    }));
+}
+
+// Find the error element of the input a server field error refers to ("values.company", "signature", ...)
+function findErrorTarget(field) {
+    const dot = field.indexOf('.');
+    const key = dot === -1 ? field : field.slice(0, dot);
+    const name = dot === -1 ? null : field.slice(dot + 1);
+
+    const block = signatureBlocks.find((b) => Object.values(SIGNATURE_KEYS[b.name]).includes(key));
+    if (block) {
+        return { element: block.element.querySelector('.signature-group .error-message'), signature: true };
+    }
+    let input = null;
+    if (key === 'consents') {
+        input = document.getElementById(`consent-${name}`);
+        return input ? { element: input.closest('.checkbox-group').querySelector('.error-message') } : null;
+    }
+    if (key === 'formValues') {
+        const index = formFields.findIndex((f) => f.name === name);
+        input = index === -1 ? null : document.getElementById(`form-field-${index}`);
     } else {
-        statusIndicator.classList.remove('signed');
+        // Schema fields, sent as values.<name> or by older clients at the top level
+        input = document.getElementById(`field-${name || key}`);
     }
+    return input ? { element: input.closest('.form-group').querySelector('.error-message') } : null;
+}
+
+// Show the server's field errors next to their inputs; returns true if at least one could be placed
+function showFieldErrors(errors) {
+    let shown = false;
+    (errors || []).forEach((error) => {
+        const target = findErrorTarget(error.field);
+        const message = ERROR_MESSAGES[error.code];
+        if (!target || !message) {
+            return;
+        }
+        target.element.textContent = target.signature && error.code === 'required'
+            ? 'Bitte unterschreibe entweder per SignPad oder Tastatur'
+            : message(error);
+        target.element.style.display = 'block';
+        shown = true;
+    });
+    return shown;
 }
 
 // Load and render PDF
@@ -108,14 +484,26 @@ async function loadPDF() {
     try {
         pdfId = getPdfId();
         if (!pdfId) {
-            // If no PDF ID, hide the PDF container
+            // If no PDF ID, hide the PDF container (and the decline action, there is nothing to decline)
             document.getElementById('pdf-container').style.display = 'none';
+            document.getElementById('decline-button').style.display = 'none';
+            await loadDefaultFormSchema();
             return;
         }
 
-        const response = await fetch(`/api/pdf/${pdfId}`);
+        const params = new URLSearchParams({ signer: getSignerId() || '', token: getAccessToken() || '' });
+        if (!await loadSignStatus(params)) {
+            return;
+        }
+
+        const response = await fetch(`/api/pdf/${pdfId}?${params}`);
+        if (response.status === 401) {
+            const errorBody = await response.json().catch(() => ({}));
+            throw new Error(errorBody.error || 'Der Link ist ungültig oder abgelaufen');
+        }
         if (!response.ok) {
-            throw new Error('Fehler beim Laden des PDFs');
+            const errorBody = await response.json().catch(() => ({}));
+            throw new Error(errorBody.error || 'Fehler beim Laden des PDFs');
         }
         const pdfData = await response.arrayBuffer();
         
@@ -140,26 +528,10 @@ async function loadPDF() {
 // Render PDF page
 async function renderPage(num, container) {
     try {
-        const page = await pdfDoc.getPage(num);
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        
-        // Set canvas dimensions to match PDF page
-        const viewport = page.getViewport({ scale: 1.5 });
-        canvas.height = viewport.height;
-        canvas.width = viewport.width;
-        
+        const { canvas } = await renderPdfPage(pdfDoc, num, container);
+
         // Add margin between pages
         canvas.style.marginBottom = '20px';
-        
-        // Render PDF page into canvas context
-        const renderContext = {
-            canvasContext: context,
-            viewport: viewport
-        };
-        
-        container.appendChild(canvas);
-        await page.render(renderContext).promise;
     } catch (error) {
         console.error('Fehler beim Rendern der PDF-Seite:', error);
         document.getElementById('error-message').textContent = 'Fehler beim Rendern der PDF-Seite: ' + error.message;
@@ -167,120 +539,48 @@ async function renderPage(num, container) {
     }
 }
 
-// Handle keyboard signatures (Simplified)
-function initKeyboardSignatures() {
-    const contractInput = document.getElementById('keyboardSignature');
-
-    function updatePreview(input, previewLabels) {
-        const name = input.value || " ";
-        previewLabels.forEach(label => {
-            label.innerHTML = `
-                <span class="preview-title">Diese Unterschrift wählen</span>
-                <span class="preview-signature">${name}</span>
-            `;
-        });
-    }
-
-    // No validation needed between signatures anymore
-    function validateSignatures() {
-        return true; // Always valid as there's only one
-    }
-
-    function handleKeyboardInput(input, dancingLabel, barlowLabel) {
-        input.addEventListener('input', () => {
-            if (input.value.trim() !== '') {
-                // If keyboard signature is being used, disable SignPad
-                disableSignPad();
-                // Clear SignPad and update status
-                contractSignaturePad.clear();
-                updateSignatureStatus(false);
-            } else {
-                // If input is cleared, re-enable both methods potentially
-                resetSignatureMethodVisibility();
-            }
-            updatePreview(input, [dancingLabel, barlowLabel]);
-            // No need to call validateSignatures() anymore
-        });
-    }
-
-    // Contract signature previews
-    const contractDancingLabel = document.querySelector('label[for="contract-dancing"]');
-    const contractBarlowLabel = document.querySelector('label[for="contract-barlow"]');
-    handleKeyboardInput(contractInput, contractDancingLabel, contractBarlowLabel);
-
-    // Set initial preview text
-    updatePreview(contractInput, [contractDancingLabel, contractBarlowLabel]);
-
-    // No return needed as validateSignatures is removed/simplified
-}
-
-// Initialize keyboard signatures
-initKeyboardSignatures(); // No need to store the return value
-
-// Handle signature method selection (Simplified)
+// Handle signature method selection; it applies to all signature blocks
 function handleSignatureMethodSelection(method) {
-    // Get the buttons
+    signatureMethod = method;
     const signpadButton = document.getElementById('signpad-button');
     const keyboardButton = document.getElementById('keyboard-button');
 
-    // Update button active states
     if (method === 'signpad') {
         signpadButton.classList.add('active');
         keyboardButton.classList.remove('active');
 
-        // Enable SignPad and disable keyboard
-        enableSignPad();
-        disableKeyboardSignature();
-
-        // Check if there's content in the keyboard signature
-        const keyboardInput = document.getElementById('keyboardSignature');
-        if (keyboardInput.value.trim() !== '') {
-            // Clear keyboard signature when switching to SignPad
-            keyboardInput.value = '';
-
-            // Update preview labels
-            const dancingLabel = document.querySelector('label[for="contract-dancing"]');
-            const barlowLabel = document.querySelector('label[for="contract-barlow"]');
-            if (dancingLabel && barlowLabel) {
-                [dancingLabel, barlowLabel].forEach(label => {
-                    label.innerHTML = `
-                        <span class="preview-title">Diese Unterschrift wählen</span>
-                        <span class="preview-signature"> </span>
-                    `;
-                });
-            }
-        }
+        // Enable SignPad, disable and clear the keyboard signature
+        signatureBlocks.forEach((block) => {
+            enableSignPad(block);
+            disableKeyboardSignature(block);
+            clearKeyboardSignature(block);
+        });
     } else if (method === 'keyboard') {
         keyboardButton.classList.add('active');
         signpadButton.classList.remove('active');
 
-        // Enable keyboard and disable SignPad
-        enableKeyboardSignature();
-        disableSignPad();
-
-        // Clear SignPad when switching to keyboard
-        contractSignaturePad.clear();
-        updateSignatureStatus(false);
+        // Enable keyboard, disable and clear the SignPad
+        signatureBlocks.forEach((block) => {
+            enableKeyboardSignature(block);
+            clearSignaturePad(block);
+        });
     }
+    updateGeneratedInitials();
 }
 
-// Helper function to get keyboard signature data (Simplified)
-function getKeyboardSignatureData() {
-    const input = document.getElementById('keyboardSignature');
-    const selectedFontInput = document.querySelector('input[name="contract-font"]:checked');
-    // Handle case where no font might be selected initially or due to error
-    const selectedFont = selectedFontInput ? selectedFontInput.value : 'DancingScript-Regular'; // Default font
+// Helper function to get the keyboard signature data of a block
+function getKeyboardSignatureData(block) {
+    const selectedFontInput = block.element.querySelector(`input[name="${block.name}-font"]:checked`);
+    // Without a selection the server uses its default font
     return {
-        text: input.value,
-        font: selectedFont
+        text: block.keyboardInput.value,
+        font: selectedFontInput ? selectedFontInput.value : undefined
     };
 }
 
-// Helper function to check if any signature method is used (Simplified)
-function hasValidSignature() {
-    const hasSignPad = !contractSignaturePad.isEmpty();
-    const hasKeyboard = document.getElementById('keyboardSignature').value.trim() !== '';
-    return hasSignPad || hasKeyboard;
+// Helper function to check if a block is signed with either method
+function hasValidSignature(block) {
+    return !block.pad.isEmpty() || block.keyboardInput.value.trim() !== '';
 }
 
 // Handle form submission
@@ -295,73 +595,93 @@ document.getElementById('signature-form').addEventListener('submit', async (e) =
 
     let hasErrors = false;
 
-    // Validate required fields
-    const requiredFields = {
-        'fullName': 'Bitte geben Sie Ihren Namen ein',
-        'location': 'Bitte geben Sie Ihren Ort ein',
-        'email': 'Bitte geben Sie Ihre E-Mail-Adresse ein'
-    };
-
-    for (const [fieldId, errorMessage] of Object.entries(requiredFields)) {
-        const field = document.getElementById(fieldId);
-        if (!field.value.trim()) {
-            const errorElement = field.parentElement.querySelector('.error-message');
-            errorElement.textContent = errorMessage;
+    // Fields of the form schema
+    const values = {};
+    formSchema.fields.forEach((field) => {
+        const input = document.getElementById(`field-${field.name}`);
+        const value = input.value.trim();
+        if (value) {
+            values[field.name] = value;
+        } else if (field.required) {
+            const errorElement = input.parentElement.querySelector('.error-message');
+            errorElement.textContent = `Bitte fülle das Feld "${field.label}" aus.`;
             errorElement.style.display = 'block';
             if (!hasErrors) {
-                field.focus();
+                input.focus();
                 hasErrors = true;
             }
         }
-    }
+    });
 
-    // Validate terms checkbox
-    const termsCheckbox = document.getElementById('terms');
-    if (!termsCheckbox.checked) {
-        // Find the correct error message element associated with the terms checkbox
-        const errorElement = termsCheckbox.closest('.checkbox-group').querySelector('.error-message');
-        if (errorElement) {
-             errorElement.textContent = 'Bitte stimmen Sie den Vertragsbedingungen zu.';
-             errorElement.style.display = 'block';
+    // Declarations; required ones must be accepted
+    const consents = {};
+    formSchema.consents.forEach((consent) => {
+        const checkbox = document.getElementById(`consent-${consent.name}`);
+        consents[consent.name] = checkbox.checked;
+        if (consent.required && !checkbox.checked) {
+            const errorElement = checkbox.closest('.checkbox-group').querySelector('.error-message');
+            errorElement.textContent = 'Bitte stimme dieser Erklärung zu.';
+            errorElement.style.display = 'block';
+            hasErrors = true;
         }
-        hasErrors = true;
-    }
+    });
 
-    // Validate contract signature (either SignPad or keyboard)
-    if (!hasValidSignature()) {
-        const errorElement = document.getElementById('signature-pad').closest('.signature-group').querySelector('.error-message');
-        errorElement.textContent = 'Bitte unterschreiben Sie entweder per SignPad oder Tastatur';
-        errorElement.style.display = 'block';
+    // Required signatures (either SignPad or keyboard)
+    signatureBlocks.forEach((block) => {
+        if (block.required && !hasValidSignature(block)) {
+            const errorElement = block.element.querySelector('.signature-group .error-message');
+            errorElement.textContent = 'Bitte unterschreibe entweder per SignPad oder Tastatur';
+            errorElement.style.display = 'block';
+            hasErrors = true;
+        }
+    });
+
+    // Required form fields of the PDF
+    const formValues = getFormValues();
+    formFields.forEach((field, index) => {
+        const value = formValues[field.name];
+        if (field.required && (value === null || value === '' || value === false)) {
+            const errorElement = document.getElementById(`form-field-${index}`).closest('.form-group').querySelector('.error-message');
+            errorElement.textContent = field.type === 'checkbox'
+                ? `Bitte bestätige "${field.label}".`
+                : `Bitte fülle das Feld "${field.label}" aus.`;
+            errorElement.style.display = 'block';
+            hasErrors = true;
+        }
+    });
+
+    // Documents with email verification need a confirmed code first
+    if (otpRequired && !otpToken) {
+        showOtpError('Bitte bestätige zuerst deine E-Mail-Adresse mit dem Code.');
         hasErrors = true;
     }
 
-    // No need to validate withdrawal signature or matching keyboard signatures
-
     if (hasErrors) {
         return;
     }
 
-    // Determine which signature method is being used for contract
-    const hasContractSignPad = !contractSignaturePad.isEmpty();
-    const hasContractKeyboard = document.getElementById('keyboardSignature').value.trim() !== '';
-
     // Base form data
     const formData = {
-        fullName: document.getElementById('fullName').value,
-        location: document.getElementById('location').value,
-        email: document.getElementById('email').value,
-        // withdrawalAccepted is removed
-        pdfId: pdfId
+        values,
+        consents,
+        pdfId: pdfId,
+        signerId: getSignerId(),
+        token: getAccessToken(),
+        otpToken,
+        formValues
     };
 
-    // Add contract signature based on method used
-    if (hasContractSignPad) {
-        formData.signature = contractSignaturePad.toDataURL();
-    } else if (hasContractKeyboard) {
-        formData.contractKeyboardSignature = getKeyboardSignatureData(); // Simplified call
-    }
-
-    // No withdrawal signature logic needed
+    // Add each signature based on the method used
+    signatureBlocks.forEach((block) => {
+        const keys = SIGNATURE_KEYS[block.name];
+        if (!block.pad.isEmpty()) {
+            formData[keys.image] = block.pad.toDataURL();
+            // Points with pressure and timing, kept by the server as evidence and drawn as vector paths
+            formData[keys.strokes] = block.pad.toData();
+        } else if (block.keyboardInput.value.trim() !== '') {
+            formData[keys.keyboard] = getKeyboardSignatureData(block);
+        }
+    });
 
     try {
         const response = await fetch('/api/sign', {
@@ -373,7 +693,11 @@ document.getElementById('signature-form').addEventListener('submit', async (e) =
         });
 
         if (!response.ok) {
-            throw new Error('Fehler beim Signieren des PDFs');
+            const errorBody = await response.json().catch(() => ({}));
+            if (showFieldErrors(errorBody.errors)) {
+                throw new Error('Bitte prüfe die markierten Angaben.');
+            }
+            throw new Error(errorBody.error || 'Fehler beim Signieren des PDFs');
         }
 
         const result = await response.json();
@@ -385,15 +709,26 @@ document.getElementById('signature-form').addEventListener('submit', async (e) =
         // Create success view
         const container = document.createElement('div');
         container.className = 'success-view';
-        container.innerHTML = `
-            <h2>Geschafft! Das war's. 🎉</h2>
-            
-            <div class="success-message">
-                PDF erfolgreich signiert! <a href="${result.pdfUrl}" target="_blank">PDF herunterladen</a>
-            </div>
-            
-            <p class="email-notice">Eine Kopie wird dir per E-Mail zugesendet.</p>
-        `;
+        if (result.completed === false) {
+            // Other signers still have to sign before the document is finalized
+            container.innerHTML = `
+                <h2>Danke für deine Unterschrift! 🎉</h2>
+
+                <div class="success-message">
+                    Deine Unterschrift wurde gespeichert. Das Dokument wird fertiggestellt, sobald alle Beteiligten unterschrieben haben.
+                </div>
+            `;
+        } else {
+            container.innerHTML = `
+                <h2>Geschafft! Das war's. 🎉</h2>
+                
+                <div class="success-message">
+                    PDF erfolgreich signiert! <a href="${result.pdfUrl}" target="_blank">PDF herunterladen</a>
+                </div>
+                
+                ${result.copyByEmail ? '<p class="email-notice">Eine Kopie wird dir per E-Mail zugesendet.</p>' : ''}
+            `;
+        }
         
         // Insert after header
         const header = document.querySelector('.header');
@@ -409,47 +744,124 @@ document.getElementById('signature-form').addEventListener('submit', async (e) =
     }
 });
 
-// Initialize when page loads
-window.addEventListener('load', () => {
-    initSignaturePads();
-    loadPDF();
+// Show an error or clear it in the email verification section
+function showOtpError(message) {
+    const errorElement = document.getElementById('otp-section').querySelector('.error-message');
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+}
 
-    // Monitor the contract signature pad for changes
-    contractSignaturePad.addEventListener('endStroke', () => {
-        if (!contractSignaturePad.isEmpty()) {
-            // If SignPad is being used, disable keyboard signature
-            disableKeyboardSignature();
-            document.getElementById('keyboardSignature').value = '';
-
-            // Clear preview text
-            const dancingLabel = document.querySelector('label[for="contract-dancing"]');
-            const barlowLabel = document.querySelector('label[for="contract-barlow"]');
-            [dancingLabel, barlowLabel].forEach(label => {
-                if (label) {
-                    label.innerHTML = `
-                        <span class="preview-title">Diese Unterschrift wählen</span>
-                        <span class="preview-signature"> </span>
-                    `;
-                }
-            });
+// Request a one-time code to the signer's stored address
+async function requestOtp() {
+    showOtpError(null);
+    try {
+        const response = await fetch('/api/otp/send', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ pdfId, signerId: getSignerId(), token: getAccessToken() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || 'Fehler beim Versenden des Codes');
         }
-        updateSignatureStatus(!contractSignaturePad.isEmpty());
-    });
+        document.getElementById('otp-send').textContent = 'Neuen Code anfordern';
+        document.getElementById('otp-verify-group').style.display = 'block';
+        document.querySelector('.otp-status').textContent = `Code an ${result.sentTo} gesendet.`;
+        document.getElementById('otpCode').focus();
+    } catch (error) {
+        showOtpError(error.message);
+    }
+}
+
+// Verify the code; the session token is sent along with the signature
+async function verifyOtp() {
+    showOtpError(null);
+    try {
+        const response = await fetch('/api/otp/verify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                pdfId,
+                signerId: getSignerId(),
+                token: getAccessToken(),
+                code: document.getElementById('otpCode').value.trim()
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || 'Fehler bei der Prüfung des Codes');
+        }
+        otpToken = result.otpToken;
+        document.getElementById('otp-send').style.display = 'none';
+        document.getElementById('otp-verify-group').style.display = 'none';
+        document.querySelector('.otp-status').textContent = '✓ E-Mail-Adresse bestätigt.';
+    } catch (error) {
+        showOtpError(error.message);
+    }
+}
 
-    // Set initial radio button state for contract font
-    const contractDancingRadio = document.getElementById('contract-dancing');
-    if (contractDancingRadio) {
-        contractDancingRadio.checked = true;
+// Decline to sign with a reason; the sender is notified and the link is closed
+async function submitDecline() {
+    const reasonField = document.getElementById('declineReason');
+    const reasonError = reasonField.parentElement.querySelector('.error-message');
+    reasonError.style.display = 'none';
+
+    const reason = reasonField.value.trim();
+    if (!reason) {
+        reasonError.textContent = 'Bitte gib einen Grund für die Ablehnung an';
+        reasonError.style.display = 'block';
+        reasonField.focus();
+        return;
     }
 
+    try {
+        const response = await fetch('/api/decline', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ pdfId, signerId: getSignerId(), token: getAccessToken(), reason })
+        });
+        if (!response.ok) {
+            const errorBody = await response.json().catch(() => ({}));
+            throw new Error(errorBody.error || 'Fehler beim Ablehnen');
+        }
+
+        document.getElementById('pdf-container').style.display = 'none';
+        document.getElementById('signature-form').style.display = 'none';
+        showNotice(`
+            <h2>Schade!</h2>
+
+            <div class="success-message">
+                Du hast die Unterzeichnung abgelehnt. Wir haben deinen Grund weitergeleitet.
+            </div>
+        `);
+    } catch (error) {
+        console.error('Fehler beim Ablehnen:', error);
+        reasonError.textContent = 'Fehler beim Ablehnen: ' + error.message;
+        reasonError.style.display = 'block';
+    }
+}
 
-    // Set initial signature method selection for contract
-    handleSignatureMethodSelection('signpad');
+// Initialize when page loads
+window.addEventListener('load', async () => {
+    // The signature blocks need the fonts for their previews
+    await loadSignatureFonts();
+    loadPDF();
 
-    // Disable keyboard signature on load for contract
-    disableKeyboardSignature();
+    // Resizing clears the signature pads
+    window.addEventListener('resize', () => {
+        signatureBlocks.forEach((block) => {
+            resizeCanvas(block.canvas);
+            clearSignaturePad(block);
+        });
+    });
 
-    // Set event listeners for contract signature method selection buttons
+    // Set event listeners for signature method selection buttons
     document.getElementById('signpad-button').addEventListener('click', () => {
         handleSignatureMethodSelection('signpad');
     });
@@ -458,5 +870,19 @@ window.addEventListener('load', () => {
         handleSignatureMethodSelection('keyboard');
     });
 
-    // No event listeners needed for withdrawal buttons
+    // Decline flow
+    document.getElementById('decline-button').addEventListener('click', () => {
+        document.getElementById('decline-section').style.display = 'block';
+        document.getElementById('declineReason').focus();
+    });
+
+    document.getElementById('decline-cancel').addEventListener('click', () => {
+        document.getElementById('decline-section').style.display = 'none';
+    });
+
+    document.getElementById('decline-submit').addEventListener('click', submitDecline);
+
+    // Email verification
+    document.getElementById('otp-send').addEventListener('click', requestOtp);
+    document.getElementById('otp-verify').addEventListener('click', verifyOtp);
 });
@@ -0,0 +1,76 @@
+// Escape text before inserting it into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+// Format an ISO timestamp for display
+function formatDate(isoString) {
+    return isoString ? new Date(isoString).toLocaleString('de-DE', { timeZone: 'UTC' }) + ' UTC' : '-';
+}
+
+// Render the verification result
+function showResult(result) {
+    const resultElement = document.getElementById('verify-result');
+
+    if (result.status === 'verified') {
+        const signerRows = result.signers.map((signer) => `
+            <li>${escapeHtml(signer.name)} (${escapeHtml(signer.role)}) – ${formatDate(signer.signedAt)}</li>
+        `).join('');
+
+        resultElement.innerHTML = `
+            <div class="success-message">
+                ✅ Das Dokument ist echt und unverändert.
+            </div>
+            <p><strong>Dokument-ID:</strong> ${escapeHtml(result.documentId)}</p>
+            <p><strong>Unterschrieben am:</strong> ${formatDate(result.signedAt)}</p>
+            <p><strong>Unterzeichner:</strong></p>
+            <ul>${signerRows}</ul>
+        `;
+    } else {
+        resultElement.innerHTML = `
+            <div class="error-message">
+                ❌ Unbekannt oder verändert: Dieses PDF entspricht keinem bei uns unterschriebenen Dokument.
+            </div>
+        `;
+    }
+    resultElement.innerHTML += `<p class="verify-hash">SHA-256: ${escapeHtml(result.sha256)}</p>`;
+    resultElement.style.display = 'block';
+}
+
+// Handle form submission
+document.getElementById('verify-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('error-message');
+    errorElement.style.display = 'none';
+    document.getElementById('verify-result').style.display = 'none';
+
+    const fileInput = document.getElementById('pdf');
+    if (!fileInput.files.length) {
+        errorElement.textContent = 'Bitte wähle eine PDF-Datei aus.';
+        errorElement.style.display = 'block';
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('pdf', fileInput.files[0]);
+
+    try {
+        const response = await fetch('/api/verify', {
+            method: 'POST',
+            body: formData
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Fehler bei der Prüfung');
+        }
+        showResult(result);
+    } catch (error) {
+        console.error('Fehler bei der Prüfung:', error);
+        errorElement.textContent = 'Fehler bei der Prüfung: ' + error.message;
+        errorElement.style.display = 'block';
+    }
+});
@@ -0,0 +1,37 @@
+// One-time import of a legacy pdfStore.json into the document repository.
+// Usage: node scripts/import-pdf-store.mjs [path/to/pdfStore.json]
+// Existing document IDs are skipped, so running it twice is harmless.
+// Legacy records get a signer, a status and a new sign link with a token (SIGN_LINK_TTL_HOURS, default 30 days);
+// the old links without a token no longer work, so the printed links have to be sent to the signers again.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createDocumentRepository } from '../services/repository/index.mjs';
+import { upgradeLegacyRecord } from '../services/signers.mjs';
+
+dotenv.config();
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const storePath = path.resolve(process.argv[2] || path.join(rootDir, 'pdfStore.json'));
+
+try {
+    const pdfStore = JSON.parse(await fs.readFile(storePath, 'utf8'));
+    const documents = createDocumentRepository(process.env, rootDir);
+    const expiresAt = new Date(Date.now() + (Number(process.env.SIGN_LINK_TTL_HOURS) || 24 * 30) * 60 * 60 * 1000).toISOString();
+    const records = {};
+    for (const [id, record] of Object.entries(pdfStore)) {
+        if (!(await documents.get(id))) {
+            records[id] = upgradeLegacyRecord(id, record, expiresAt);
+        }
+    }
+    const imported = await documents.importRecords(records);
+    documents.close();
+    console.log(`Imported ${imported} of ${Object.keys(pdfStore).length} documents from ${storePath}.`);
+    Object.entries(records)
+        .filter(([, record]) => record.status !== 'signed')
+        .forEach(([id, record]) => console.log(`New sign link of ${id}: ${(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '')}${record.signUrl}`));
+} catch (error) {
+    console.error(`Error importing ${storePath}:`, error);
+    process.exit(1);
+}
@@ -22,9 +22,52 @@ import fontkit from '@pdf-lib/fontkit'; // Restored
 console.log("[DEBUG] Imported @pdf-lib/fontkit");
 import dotenv from 'dotenv';
 console.log("[DEBUG] Imported dotenv");
-import { Storage } from '@google-cloud/storage'; // Added for GCS
-console.log("[DEBUG] Imported @google-cloud/storage");
-
+import { createStorageDriver } from './services/storage/index.mjs';
+console.log("[DEBUG] Imported storage drivers");
+import { createAccessToken, verifyAccessToken } from './services/accessTokens.mjs';
+console.log("[DEBUG] Imported access tokens");
+import { parseFieldLayout, getSignatureConfig, checkLayoutTextFields } from './services/fieldLayout.mjs';
+console.log("[DEBUG] Imported field layout");
+import { parseSigners, parseSigningOrder, createSignUrl, getSignerFields, validateSignerFields, getSigningBlocker, getNextSigners } from './services/signers.mjs';
+console.log("[DEBUG] Imported signers");
+import { withDocumentLock } from './services/documentLock.mjs';
+console.log("[DEBUG] Imported document lock");
+import { sha256, appendAuditTrailPage } from './services/auditTrail.mjs';
+console.log("[DEBUG] Imported audit trail");
+import { loadPdfSigner } from './services/pdfSigner.mjs';
+console.log("[DEBUG] Imported PDF signer");
+import { createDocumentRepository } from './services/repository/index.mjs';
+console.log("[DEBUG] Imported document repository");
+import { getDocumentStatus, getClosedMessage, initDocumentStatus, transitionDocument, isFinal } from './services/documentStatus.mjs';
+console.log("[DEBUG] Imported document status");
+import { createWebhookDispatcher, parseWebhookEvents, parseWebhookUrl, createWebhookSecret } from './services/webhooks.mjs';
+console.log("[DEBUG] Imported webhooks");
+import { createMailer } from './services/mailer.mjs';
+import { MAIL_LANGUAGES } from './services/mailTemplates.mjs';
+import { createMailScheduler, parseReminderDays } from './services/mailScheduler.mjs';
+console.log("[DEBUG] Imported mailer");
+import { createOtp, checkOtp, maskEmail, getOtpLockout, recordOtpSend, recordOtpFailure, unlockOtp, OTP_TTL_MS, OTP_RESEND_INTERVAL_MS, OTP_SESSION_TTL_SECONDS } from './services/otp.mjs';
+console.log("[DEBUG] Imported OTP");
+import { readFormFields, assignFormFieldSigners, validateFormValues, fillFormFields, drawSignatureInWidgets, drawTextInWidgets, flattenForm } from './services/acroForm.mjs';
+console.log("[DEBUG] Imported AcroForm support");
+import { DEFAULT_FORM_SCHEMA, parseFormSchema, getFormSchema, getSchemaFieldNames, validateFormSubmission } from './services/formSchema.mjs';
+console.log("[DEBUG] Imported form schema");
+import { drawEncodableText } from './services/pdfText.mjs';
+console.log("[DEBUG] Imported PDF text helper");
+import { createValidation } from './services/validation.mjs';
+console.log("[DEBUG] Imported validation");
+import { createSignatureFontRegistry, DEFAULT_SIGNATURE_FONT } from './services/signatureFonts.mjs';
+console.log("[DEBUG] Imported signature fonts");
+import { embedDrawnSignature, renderSignatureReplay, drawTextInBox } from './services/signatureImage.mjs';
+console.log("[DEBUG] Imported signature images");
+import { createBiometricsVault, describeStrokes } from './services/biometrics.mjs';
+console.log("[DEBUG] Imported biometrics vault");
+import { parseInitialsOption, getSignerInitials, getInitialsPages, getInitialsBoxes, validateInitialsSubmission } from './services/initials.mjs';
+console.log("[DEBUG] Imported initials");
+
+
+// Storage driver (GCS, S3-compatible or local disk), configured in the setup block below
+let storageDriver;
 
 // --- Global Try/Catch for early errors ---
 try {
@@ -38,28 +81,6 @@ try {
         console.error("[DEBUG] Error executing dotenv.config():", dotenvError);
     }
 
-    // --- Google Cloud Storage Configuration ---
-    let storage;
-    try {
-        storage = new Storage(); // Assumes authentication is handled by the environment (e.g., Cloud Run Service Account)
-        console.log("[DEBUG] Instantiated GCS Storage");
-    } catch (gcsError) {
-        console.error("[DEBUG] FATAL ERROR instantiating GCS Storage:", gcsError);
-        process.exit(1); // Exit if GCS client fails to initialize
-    }
-    // Corrected environment variable name to match Cloud Run settings
-    const BUCKET_NAME = process.env.GCP_BUCKET_NAME; // Required env var: Your GCS bucket name 
-    console.log(`[DEBUG] GCP_BUCKET_NAME: ${BUCKET_NAME}`); // Log the correct variable name
-    const MAKE_PUBLIC = process.env.GCS_MAKE_PUBLIC === 'true'; // Optional: Set to 'true' to make files public
-    console.log(`[DEBUG] GCS_MAKE_PUBLIC: ${MAKE_PUBLIC}`); // This one might be optional or named differently, keeping as is for now
-
-    if (!BUCKET_NAME) {
-        // Corrected error message
-        console.error("[DEBUG] FATAL ERROR: GCP_BUCKET_NAME environment variable is not set."); 
-        process.exit(1); // Exit if bucket name is not configured
-    }
-    // --- End GCS Configuration ---
-
     // Define __dirname using import.meta.url (standard for ES Modules)
     let __dirname;
     try {
@@ -70,14 +91,114 @@ try {
         process.exit(1);
     }
 
-    let PDF_STORE_PATH;
+    // --- Storage Configuration ---
+    // STORAGE_DRIVER selects the backend: 'gcs' (default), 's3' or 'local'
+    try {
+        storageDriver = createStorageDriver(process.env, __dirname);
+        console.log(`[DEBUG] Storage driver configured: ${storageDriver.name}`);
+    } catch (storageError) {
+        console.error("[DEBUG] FATAL ERROR configuring storage driver:", storageError);
+        process.exit(1); // Exit if the selected storage backend is not configured
+    }
+    // --- End Storage Configuration ---
+
+    // --- Digital Signature Configuration ---
+    // Optional: finalized PDFs get an embedded PAdES signature when a PKCS#12 certificate is configured
+    let pdfSigner = null;
+    if (process.env.SIGNING_P12_PATH) {
+        try {
+            pdfSigner = await loadPdfSigner({
+                p12Path: path.resolve(__dirname, process.env.SIGNING_P12_PATH),
+                passphrase: process.env.SIGNING_P12_PASSPHRASE || '',
+                name: process.env.SIGNING_NAME,
+                reason: process.env.SIGNING_REASON,
+                location: process.env.SIGNING_LOCATION,
+                contactInfo: process.env.SIGNING_CONTACT
+            });
+            console.log(`[DEBUG] PDF signing certificate loaded: ${pdfSigner.certificateSubject}`);
+        } catch (signerError) {
+            console.error("[DEBUG] FATAL ERROR loading PDF signing certificate:", signerError);
+            process.exit(1); // Exit rather than silently producing unsigned documents
+        }
+    } else {
+        console.log("[DEBUG] SIGNING_P12_PATH not set, finalized PDFs will not be digitally signed");
+    }
+    // --- End Digital Signature Configuration ---
+
+    // --- Database Configuration ---
+    // Document records live in an embedded SQLite database (DATABASE_PATH), opened before the server listens
+    let documents;
+    try {
+        documents = createDocumentRepository(process.env, __dirname);
+        console.log("[DEBUG] Document repository opened");
+    } catch (databaseError) {
+        console.error("[DEBUG] FATAL ERROR opening document repository:", databaseError);
+        process.exit(1);
+    }
+    // --- End Database Configuration ---
+
+    // --- Webhook Configuration ---
+    // Events are queued in the database and delivered with retries; WEBHOOK_URL is the account-wide endpoint
+    let webhooks;
+    try {
+        let defaultEndpoint = null;
+        if (process.env.WEBHOOK_URL) {
+            if (!process.env.WEBHOOK_SECRET) {
+                console.warn('WEBHOOK_SECRET is not set; webhook signatures for WEBHOOK_URL cannot be verified by the receiver.');
+            }
+            defaultEndpoint = {
+                url: parseWebhookUrl(process.env.WEBHOOK_URL),
+                events: parseWebhookEvents(process.env.WEBHOOK_EVENTS),
+                secret: process.env.WEBHOOK_SECRET || createWebhookSecret()
+            };
+        }
+        webhooks = createWebhookDispatcher({
+            repository: documents.webhooks,
+            defaultEndpoint,
+            maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+            timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+        });
+        console.log(`[DEBUG] Webhook dispatcher configured${defaultEndpoint ? ` for ${defaultEndpoint.url}` : ''}`);
+    } catch (webhookError) {
+        console.error("[DEBUG] FATAL ERROR configuring webhooks:", webhookError);
+        process.exit(1);
+    }
+    // --- End Webhook Configuration ---
+
+    // --- Mail Configuration ---
+    // Mail is optional: without SMTP_HOST no mails are sent and invitations are unavailable
+    let mailer, mailScheduler, defaultReminderDays;
+    try {
+        mailer = createMailer(process.env);
+        console.log(mailer ? `[DEBUG] Mailer configured for ${process.env.SMTP_HOST}` : "[DEBUG] SMTP_HOST not set, mail disabled");
+        defaultReminderDays = parseReminderDays(process.env.REMINDER_DAYS, [3, 7]);
+        if (mailer) {
+            mailScheduler = createMailScheduler({
+                documents,
+                mailer,
+                expiryNoticeHours: process.env.EXPIRY_NOTICE_HOURS === undefined ? 24 : Number(process.env.EXPIRY_NOTICE_HOURS)
+            });
+        }
+    } catch (mailError) {
+        console.error("[DEBUG] FATAL ERROR configuring mailer:", mailError);
+        process.exit(1);
+    }
+    // --- End Mail Configuration ---
+
+    // --- Biometrics Configuration ---
+    // Optional: with BIOMETRICS_KEY the stroke data of drawn signatures is stored encrypted as evidence
+    let biometricsVault;
     try {
-        PDF_STORE_PATH = path.join(__dirname, 'pdfStore.json');
-        console.log(`[DEBUG] PDF_STORE_PATH set to: ${PDF_STORE_PATH}`);
-    } catch(pathError) {
-         console.error("[DEBUG] FATAL ERROR setting PDF_STORE_PATH:", pathError);
-         process.exit(1);
+        biometricsVault = createBiometricsVault(process.env);
+        console.log(biometricsVault ? "[DEBUG] Signature stroke data will be stored encrypted" : "[DEBUG] BIOMETRICS_KEY not set, signature stroke data will not be stored");
+    } catch (biometricsError) {
+        console.error("[DEBUG] FATAL ERROR configuring biometrics vault:", biometricsError);
+        process.exit(1);
     }
+    // --- End Biometrics Configuration ---
+
+    // Fonts for keyboard signatures, served from public/fonts for the previews on the sign page
+    const signatureFonts = createSignatureFontRegistry(path.join(__dirname, 'public', 'fonts'));
 
 
     // API Key middleware
@@ -95,7 +216,7 @@ try {
      * Adds signature and fields to a PDF page
  * @param {PDFPage} page - The PDF page to add content to
  * @param {Object} signatureConfig - Configuration for signature placement
- * @param {string} signatureData - Base64 encoded signature image data
+ * @param {string|Array} signatureData - Drawn signature: PNG data URI or signature_pad stroke data
  * @param {Object} fields - Text fields to add to the page
  * @param {PDFDocument} pdfDoc - The PDF document instance
  * @param {PDFFont} helveticaFont - The embedded Helvetica font
@@ -107,7 +228,7 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
         let currentY = startY;
 
         // Draw title in bold
-        page.drawText(signatureConfig.label.text, {
+        drawEncodableText(page, signatureConfig.label.text, {
             x: 150,
             y: currentY,
             size: 12,
@@ -120,10 +241,13 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
         const fieldOrder = ['fullName', 'email', 'location', 'date'];
         fieldOrder.forEach((fieldName) => {
             const value = fields[fieldName];
+            if (value === undefined) {
+                return; // Not part of this document's form (e.g. no location field in the schema)
+            }
             const labelText = pdfConfig.labels[fieldName].text;
             
             // Draw label
-            page.drawText(labelText, {
+            drawEncodableText(page, labelText, {
                 x: 150,
                 y: currentY,
                 size: 12,
@@ -132,7 +256,7 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
             });
 
             // Draw value
-            page.drawText(value, {
+            drawEncodableText(page, value, {
                 x: 250,
                 y: currentY,
                 size: 12,
@@ -145,13 +269,7 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
         // Handle signatures based on what's provided
         if (fields.keyboardSignature?.text) {
             // Draw keyboard signature
-            const fontPath = fields.keyboardSignature.font === 'DancingScript-Regular' 
-                ? path.join(__dirname, 'public', 'fonts', 'DancingScript-Regular.ttf')
-                : path.join(__dirname, 'public', 'fonts', 'BarlowSemiCondensed-Regular.ttf');
-            
-            const fontBytes = await fs.readFile(fontPath);
-            // Restore fontkit usage
-            const keyboardFont = await pdfDoc.embedFont(fontBytes, { subset: true }); 
+            const keyboardFont = await embedKeyboardFont(pdfDoc, fields.keyboardSignature.font);
 
             page.drawText('Unterschrift per Tastatur:', {
                 x: 150,
@@ -183,16 +301,9 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
             });
             currentY -= spacing;
 
-            // Draw signature pad image
-            const signatureImageBytes = Buffer.from(signatureData.split(',')[1], 'base64');
-            const signatureImage = await pdfDoc.embedPng(signatureImageBytes);
-            
-            page.drawImage(signatureImage, {
-                x: signatureConfig.x,
-                y: signatureConfig.y,
-                width: signatureConfig.width,
-                height: signatureConfig.height,
-            });
+            // Draw the signature into its box, cropped to the ink and keeping its aspect ratio
+            const drawSignature = await embedDrawnSignature(pdfDoc, signatureData);
+            drawSignature(page, signatureConfig);
         }
     } catch (error) {
         throw new Error(`Fehler beim Einfügen der Unterschrift: ${error.message}`);
@@ -200,6 +311,40 @@ async function addSignatureToPage(page, signatureConfig, signatureData, fields,
 }
 console.log("[DEBUG] Defined addSignatureToPage function");
 
+/**
+ * Embeds the font of a keyboard signature (subset, needs fontkit registered on the document)
+ * @param {PDFDocument} pdfDoc - The PDF document instance
+ * @param {string} [fontName] - A name from the signature font registry; without it the default font
+ * @returns {Promise<PDFFont>} - The embedded font
+ * @throws {Error} - If the font is not registered
+ */
+async function embedKeyboardFont(pdfDoc, fontName) {
+    const fontBytes = await signatureFonts.load(fontName);
+    return pdfDoc.embedFont(fontBytes, { subset: true });
+}
+
+/**
+ * Draws the document's positioned text and date fields
+ * @param {PDFPage[]} pages - The pages of the PDF document
+ * @param {Array|null} layoutFields - The document's field layout (see services/fieldLayout.mjs)
+ * @param {Object} values - Text values by field name (fullName, email, location, date)
+ * @param {PDFFont} helveticaFont - The embedded Helvetica font
+ */
+function addLayoutTextFields(pages, layoutFields, values, helveticaFont) {
+    (layoutFields || [])
+        .filter((field) => field.type === 'text' || field.type === 'date')
+        .forEach((field) => {
+            const value = field.type === 'date' ? values.date : values[field.name];
+            drawEncodableText(pages[field.page], value || '', {
+                x: field.x,
+                y: field.y,
+                size: field.fontSize,
+                font: helveticaFont,
+                color: rgb(0, 0, 0)
+            });
+        });
+}
+
 let app;
 try {
     app = express();
@@ -221,12 +366,26 @@ if (!port) {
 console.log(`[DEBUG] Port configured: ${port}`);
 
 try {
-    app.use(express.json());
+    // Cloud Run terminates TLS in front of the app. Only the entry its proxy adds to X-Forwarded-For is trusted
+    // (TRUST_PROXY: number of proxies, default 1, or their addresses/subnets), so clients cannot choose the
+    // req.ip that goes into the Signaturprotokoll by sending their own X-Forwarded-For.
+    const trustProxy = process.env.TRUST_PROXY ?? '1';
+    if (trustProxy === 'true') {
+        console.error("[DEBUG] FATAL ERROR: TRUST_PROXY=true would trust every X-Forwarded-For entry. Set the number of proxies or their subnets.");
+        process.exit(1);
+    }
+    app.set('trust proxy', trustProxy === 'false' ? false : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+    // Stroke data of a long signature is larger than the default limit of 100kb
+    app.use(express.json({ limit: '5mb' }));
     console.log("[DEBUG] Applied express.json middleware");
     app.use(express.urlencoded({ extended: true }));
     console.log("[DEBUG] Applied express.urlencoded middleware");
     app.use(express.static('public'));
     console.log("[DEBUG] Applied express.static middleware for 'public' directory");
+    // signature_pad comes from node_modules, so the sign page runs the version package.json declares
+    // and whose toData() format services/signatureImage.mjs reads
+    app.use('/vendor/signature_pad', express.static(path.join(__dirname, 'node_modules', 'signature_pad', 'dist')));
+    console.log("[DEBUG] Applied express.static middleware for signature_pad");
 } catch (middlewareError) {
     console.error("[DEBUG] FATAL ERROR applying base middleware:", middlewareError);
     process.exit(1);
@@ -259,105 +418,557 @@ app.get('/sign/:pdfId', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'sign.html'));
 });
 
-// Serve the initial template PDF
+// Serve the prepare page, where the sender places the fields of a document (authorized by the API key)
+app.get('/prepare/:pdfId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'prepare.html'));
+});
+
+// Serve the public verification page
+app.get('/verify', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
+// Serve the initial template PDF (?templateId= selects a library template, see loadFormTemplate)
 app.get('/template', async (req, res) => {
     try {
-        const templatePath = path.join(__dirname, 'templates', 'DVV-All-Time-Best-Media.pdf');
-        const templateBytes = await fs.readFile(templatePath);
+        const template = await loadFormTemplate(req.query.templateId);
+        if (!template) {
+            return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+        }
         res.contentType('application/pdf');
-        res.send(templateBytes);
+        res.send(template.pdfBytes);
     } catch (error) {
         console.error('Error serving template PDF:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Fixed webhook URL
-const WEBHOOK_URL = 'https://hook.eu2.make.com/shqssx7au2d7m7fu4hz86qiojoh65k40';
+// Default lifetime of sign links when the upload does not set an expiry (default: 30 days)
+const SIGN_LINK_TTL_SECONDS = (Number(process.env.SIGN_LINK_TTL_HOURS) || 24 * 30) * 60 * 60;
+// How often documents with run-out sign links are moved to 'expired'
+const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Lifetime of document download links handed to signers and webhooks (default: 60 minutes)
+const DOWNLOAD_LINK_TTL_SECONDS = (Number(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 60) * 60;
+const DOCUMENT_VERSIONS = ['original', 'signed'];
+
+/**
+ * Returns the public base URL of this service, used for absolute links in webhooks.
+ * @param {Request} req - The express request
+ * @returns {string} - Base URL without trailing slash
+ */
+function getBaseUrl(req) {
+    if (process.env.PUBLIC_BASE_URL) {
+        return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    }
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Determines when the sign links of a new document expire.
+ * @param {Object} body - The upload form fields (expiresAt as ISO date or expiresInHours)
+ * @returns {string} - ISO timestamp of the expiry
+ */
+function parseLinkExpiry(body) {
+    let expiresAt;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+    } else if (body.expiresInHours) {
+        expiresAt = new Date(Date.now() + Number(body.expiresInHours) * 60 * 60 * 1000);
+    } else {
+        expiresAt = new Date(Date.now() + SIGN_LINK_TTL_SECONDS * 1000);
+    }
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+        throw new Error('expiresAt bzw. expiresInHours muss in der Zukunft liegen.');
+    }
+    return expiresAt.toISOString();
+}
+
+/**
+ * Looks up the signer a sign-link token was issued for.
+ * @param {Object} pdfData - The document record
+ * @param {string} pdfId - The document ID
+ * @param {string} signerId - The signer ID from the request
+ * @param {string} token - The access token from the request
+ * @returns {Object|null} - The signer, or null if the token is invalid
+ */
+function findAuthorizedSigner(pdfData, pdfId, signerId, token) {
+    if (!signerId || !verifyAccessToken(token, 'pdf', `${pdfId}:${signerId}`)) {
+        return null;
+    }
+    return pdfData.signers?.find((signer) => signer.id === signerId) || null;
+}
+
+/**
+ * Explains why a sign link was rejected. Links from before per-signer tokens (/sign/:pdfId, also in
+ * records imported from pdfStore.json) have neither signer nor token and have to be sent again.
+ * @param {Object} query - The query of the request (signer, token)
+ * @returns {string} - A German error message
+ */
+function getInvalidLinkMessage(query) {
+    if (!query.signer && !query.token) {
+        return 'Dieser Link stammt aus einer älteren Version und ist nicht mehr gültig. Bitte fordere beim Absender einen neuen Link an.';
+    }
+    return 'Link ungültig oder abgelaufen.';
+}
+
+/**
+ * Creates a short-lived, signed download link for a document version.
+ * @param {Request} req - The express request (used to build an absolute URL)
+ * @param {string} pdfId - The document ID
+ * @param {string} version - 'original' or 'signed'
+ * @returns {string} - Absolute download URL
+ */
+function createDownloadUrl(req, pdfId, version) {
+    const token = createAccessToken(`download:${version}`, pdfId, DOWNLOAD_LINK_TTL_SECONDS);
+    return `${getBaseUrl(req)}/api/documents/${pdfId}/download?version=${version}&token=${encodeURIComponent(token)}`;
+}
 
-// Initialize pdfStore globally - it will be populated asynchronously after server start
-let pdfStore = {};
+// How often the webhook queue is checked for deliveries due for a retry
+const WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000;
+// How often scheduled invitation and reminder mails are checked
+const MAIL_SCHEDULER_INTERVAL_MS = 60 * 1000;
 
-// Async function to load the initial PDF store data
-async function loadInitialPdfStore() {
+/**
+ * Validates the document options of an upload, stores the document record, invites the signers
+ * and emits 'uploaded'. Shared by /api/pdf-upload and documents created from a template.
+ * @param {Request} req - The express request (document options in req.body)
+ * @param {Response} res - The express response
+ * @param {Object} source
+ * @param {Buffer} source.pdfBytes - The uploaded PDF, or the template version's PDF
+ * @param {Object} [source.template] - The template version the document is created from (the PDF is not stored again)
+ */
+async function createDocument(req, res, { pdfBytes, template = null }) {
+    // Validate the optional field layout and signers against the PDF
+    let vorname, card_id, email, formSchema, fields, formFields, flattenFormOnFinalize, signers, signingOrder, initials, expiresAt, webhook, language, invitation, requireOtp;
     try {
-        const data = await fs.readFile(PDF_STORE_PATH, 'utf8');
-        pdfStore = JSON.parse(data); // Update the global pdfStore object
-        console.log('PDF store loaded successfully.');
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('pdfStore.json not found, starting with an empty store.');
-            // Attempt to create the file, but don't block startup if it fails
-            try {
-                await fs.writeFile(PDF_STORE_PATH, JSON.stringify({}), 'utf8'); 
-            } catch (writeError) {
-                 console.error('Error creating initial pdfStore.json:', writeError);
-            }
+        // Contact data comes from the webhookUrl's query parameters (make.com) or from the form fields
+        const webhookUrl = req.body.webhookUrl ? parseWebhookUrl(req.body.webhookUrl) : null;
+        const webhookParams = webhookUrl ? new URL(webhookUrl).searchParams : null;
+        const validation = createValidation();
+        vorname = validation.text('vorname', webhookParams?.get('vorname') || req.body.vorname, { label: 'Vorname' }) ?? null;
+        card_id = validation.text('card_id', webhookParams?.get('card_id') || req.body.card_id, { label: 'card_id' }) ?? null;
+        email = validation.email('email', webhookParams?.get('email') || req.body.email, { label: 'E-Mail' }) ?? null;
+        if (!validation.valid) {
+            return res.status(400).json(validation.result());
+        }
+
+        const uploadedDoc = await PDFDocument.load(pdfBytes);
+        // The form on the sign page; documents from a template use its schema unless they bring their own
+        formSchema = req.body.formSchema !== undefined ? parseFormSchema(req.body.formSchema) : template?.formSchema ?? null;
+        if (template) {
+            // The template's layout was validated when the version was stored, but it has to fit an overriding schema
+            fields = template.fields;
+            checkLayoutTextFields(fields, getSchemaFieldNames(formSchema));
         } else {
-            // Log critical error, but allow server to continue running
-            console.error('CRITICAL: Error loading PDF store on startup:', error);
-            // Consider adding monitoring/alerting here
+            fields = parseFieldLayout(req.body.fields, uploadedDoc.getPages().map((page) => page.getSize()), getSchemaFieldNames(formSchema));
+        }
+        signers = parseSigners(req.body.signers, { name: vorname, email });
+        signingOrder = parseSigningOrder(req.body.signingOrder);
+        initials = parseInitialsOption(req.body.initials, uploadedDoc.getPages().map((page) => page.getSize()), signers);
+        // AcroForm fields already in the PDF are filled on the sign page instead of drawn over
+        formFields = assignFormFieldSigners(readFormFields(uploadedDoc), req.body.formFieldSigners, signers);
+        flattenFormOnFinalize = Boolean(formFields) && (req.body.flattenForm === true || req.body.flattenForm === 'true');
+        validateSignerFields(fields, signers, formFields);
+        expiresAt = parseLinkExpiry(req.body);
+        // The webhookUrl doubles as this document's own webhook endpoint
+        webhook = webhookUrl ? {
+            url: webhookUrl,
+            events: parseWebhookEvents(req.body.webhookEvents),
+            secret: req.body.webhookSecret || createWebhookSecret()
+        } : null;
+        language = req.body.language || null;
+        if (language && !MAIL_LANGUAGES.includes(language)) {
+            throw new Error(`language muss einer von ${MAIL_LANGUAGES.join(', ')} sein.`);
+        }
+        // Optionally the service itself invites the signers and reminds them until they sign
+        if (req.body.sendInvitation === true || req.body.sendInvitation === 'true') {
+            if (!mailScheduler) {
+                throw new Error('sendInvitation erfordert einen konfigurierten Mailversand (SMTP_HOST).');
+            }
+            if (signers.some((signer) => !signer.email)) {
+                throw new Error('Für sendInvitation braucht jeder Unterzeichner eine E-Mail-Adresse.');
+            }
+            invitation = {
+                baseUrl: getBaseUrl(req),
+                reminderDays: parseReminderDays(req.body.reminderDays, defaultReminderDays)
+            };
+        }
+        // Optionally signers have to confirm their stored address with a code before signing
+        requireOtp = req.body.requireOtp === true || req.body.requireOtp === 'true';
+        if (requireOtp) {
+            if (!mailer) {
+                throw new Error('requireOtp erfordert einen konfigurierten Mailversand (SMTP_HOST).');
+            }
+            if (signers.some((signer) => !signer.email)) {
+                throw new Error('Für requireOtp braucht jeder Unterzeichner eine E-Mail-Adresse.');
+            }
         }
+    } catch (error) {
+        return res.status(400).json({ error: `Ungültiges PDF, Feldlayout oder Unterzeichner: ${error.message}` });
+    }
+
+    const pdfId = uuidv4();
+    let pdfUrl, originalSha256;
+    if (template) {
+        // Documents share the template's stored PDF; signing always writes new files
+        pdfUrl = template.pdfUrl;
+        originalSha256 = template.sha256;
+    } else {
+        // Define a destination path within the bucket (e.g., in an 'uploads' folder)
+        const destinationFilename = `uploads/uploaded_${pdfId}.pdf`;
+
+        // Upload to the configured storage backend
+        pdfUrl = await storePdfInBucket(pdfBytes, destinationFilename);
+        originalSha256 = sha256(pdfBytes);
+    }
+
+    // Every signer gets their own link; the token authorizes loading the PDF and signing
+    signers.forEach((signer) => {
+        signer.signUrl = createSignUrl(pdfId, signer.id, expiresAt);
+    });
+    const signUrl = signers[0].signUrl;
+
+    // Store the storage URL/URI and other relevant data. No need for local filename.
+    const record = {
+        pdfUrl, // This now holds the storage URL/URI
+        originalSha256,
+        currentPdfUrl: pdfUrl, // Latest version, updated after each signature
+        signUrl,
+        webhook,
+        vorname,
+        card_id,
+        email,
+        template: template ? { id: template.id, version: template.version } : null, // Library template the document was created from
+        fields, // Per-document field layout, null to use pdfConfig defaults
+        formSchema, // Fields, consents and signature blocks of the sign page, null for DEFAULT_FORM_SCHEMA
+        formFields, // AcroForm fields of the PDF (see services/acroForm.mjs), null if it has none
+        flattenForm: flattenFormOnFinalize, // Flatten the form when the last signer has signed
+        signingOrder,
+        signers,
+        initials, // Where signers put their initials (see services/initials.mjs), null if not asked for
+        expiresAt,
+        language, // Language of mails to the signers, null for MAIL_LANGUAGE
+        invitation: invitation || null, // Invitation and reminder settings, null if make.com delivers the link
+        requireOtp,
+        createdAt: new Date().toISOString()
+    };
+    initDocumentStatus(record, record.createdAt);
+    await documents.save(pdfId, record);
+    if (invitation) {
+        // For sequential signing only the first in line is invited now, the others after their predecessors
+        await mailScheduler.invite({ ...record, id: pdfId }, getNextSigners(record));
     }
+
+    const baseUrl = getBaseUrl(req);
+    await webhooks.emit('uploaded', { ...record, id: pdfId }, {
+        status: 'created',
+        signUrl: `${baseUrl}${signUrl}`,
+        expiresAt,
+        signingOrder,
+        signers: signers.map((s) => ({
+            role: s.role,
+            name: s.name,
+            email: s.email,
+            order: s.order,
+            signUrl: `${baseUrl}${s.signUrl}`
+        })),
+        template: record.template,
+        vorname: record.vorname,
+        card_id: record.card_id,
+        email: record.email
+    });
+
+    res.json({
+        pdfUrl,
+        signUrl,
+        expiresAt,
+        signingOrder,
+        signers: signers.map(({ id, role, name, email, order, signUrl }) => ({ id, role, name, email, order, signUrl })),
+        // Page for placing the fields by drag and drop before the signers open their links
+        prepareUrl: `/prepare/${pdfId}`,
+        template: record.template,
+        formFields: (formFields || []).map(({ name, type, signer }) => ({ name, type, signer: signer || signers[0].role })),
+        invitation: Boolean(invitation),
+        requireOtp,
+        webhookSecret: webhook?.secret || null
+    });
 }
 
+/**
+ * Reads the PDF of an upload: the multipart file 'pdf', or a data URI in 'base64'.
+ * @param {Request} req - The express request
+ * @param {Object} validation - Collector from createValidation() errors are recorded in
+ * @param {Object} options - { required }
+ * @returns {Buffer|null} - The PDF bytes, null if none was sent or it is not a PDF
+ */
+function readPdfUpload(req, validation, { required }) {
+    if (req.file) {
+        return validation.pdf('pdf', req.file.buffer, { label: 'PDF', required }) ?? null;
+    }
+    let pdfBytes = null;
+    if (req.body.base64) {
+        try {
+            pdfBytes = Buffer.from(dataUriToBuffer(req.body.base64).buffer);
+        } catch (error) {
+            pdfBytes = Buffer.alloc(0); // Not a data URI; reported as invalid PDF below
+        }
+    }
+    return validation.pdf(req.body.base64 ? 'base64' : 'pdf', pdfBytes, { label: 'PDF', required }) ?? null;
+}
 
-// Function to save the PDF store to the JSON file
-async function savePdfStore() {
+app.post('/api/pdf-upload', apiKeyAuth, upload.single('pdf'), async (req, res) => {
     try {
-        await fs.writeFile(PDF_STORE_PATH, JSON.stringify(pdfStore, null, 2), 'utf8');
+        const validation = createValidation();
+        const pdfBytes = readPdfUpload(req, validation, { required: true });
+        if (!validation.valid) {
+            return res.status(400).json(validation.result());
+        }
+
+        await createDocument(req, res, { pdfBytes });
     } catch (error) {
-        console.error('Error saving PDF store:', error);
+        console.error('Error processing PDF upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Template library: every change stores a new version with its own PDF and field layout.
+// Documents reference the version they were created from; retired versions can no longer be used.
+
+/**
+ * Reads and validates the name, PDF and field layout of a template upload. Values that are
+ * not sent are taken over from the previous version.
+ * @param {Request} req - The express request (multipart field 'pdf' or base64, name, fields)
+ * @param {Object|null} previous - The template's newest version and its PDF bytes, null for a new template
+ * @returns {Promise<Object>} - { name, pdfBytes, pageCount, fields, formSchema, changedPdf }
+ */
+async function parseTemplateUpload(req, previous) {
+    const validation = createValidation();
+    const uploadedBytes = readPdfUpload(req, validation, { required: !previous });
+    if (!validation.valid) {
+        throw new Error(validation.result().error);
     }
+    const pdfBytes = uploadedBytes || previous.pdfBytes;
+    const changedPdf = Boolean(uploadedBytes);
+
+    const name = String(req.body.name ?? previous?.name ?? '').trim();
+    if (!name) {
+        throw new Error('name fehlt.');
+    }
+    if (name.length > 200) {
+        throw new Error('name darf höchstens 200 Zeichen lang sein.');
+    }
+
+    // An empty formSchema switches back to the default form
+    const formSchema = req.body.formSchema !== undefined ? parseFormSchema(req.body.formSchema) : previous?.formSchema ?? null;
+
+    // A new PDF or schema is checked against the previous layout unless a new layout is sent along
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const pageSizes = pdfDoc.getPages().map((page) => page.getSize());
+    const fields = parseFieldLayout(req.body.fields ?? previous?.fields, pageSizes, getSchemaFieldNames(formSchema));
+    return { name, pdfBytes, pageCount: pageSizes.length, fields, formSchema, changedPdf };
 }
 
-app.post('/api/pdf-upload', apiKeyAuth, upload.single('pdf'), async (req, res) => {
+/**
+ * Stores a template version: the PDF (if it changed) and the database entry.
+ * @param {string} id - The template ID
+ * @param {number} version - The new version number
+ * @param {Object} upload - Result of parseTemplateUpload
+ * @param {Object|null} previous - The previous version, whose PDF is reused if unchanged
+ * @returns {Promise<Object>} - The stored version
+ */
+async function storeTemplateVersion(id, version, upload, previous) {
+    const pdfUrl = upload.changedPdf
+        ? await storePdfInBucket(upload.pdfBytes, `templates/${id}/v${version}.pdf`)
+        : previous.pdfUrl;
+    return documents.templates.addVersion({
+        id,
+        version,
+        name: upload.name,
+        pdfUrl,
+        sha256: upload.changedPdf ? sha256(upload.pdfBytes) : previous.sha256,
+        pageCount: upload.pageCount,
+        fields: upload.fields,
+        formSchema: upload.formSchema
+    });
+}
+
+/**
+ * Formats a template version for API responses (without the storage location).
+ * @param {Object} template - The template version
+ * @returns {Object} - Public template data
+ */
+function publicTemplate({ pdfUrl, ...template }) {
+    return { ...template, status: template.retiredAt ? 'retired' : 'active' };
+}
+
+/**
+ * Parses the optional version number of a template request.
+ * @param {*} input - Version from the query or body
+ * @returns {number|undefined|null} - The version, undefined if none was given, null if invalid
+ */
+function parseTemplateVersion(input) {
+    if (input === undefined || input === null || input === '') {
+        return undefined;
+    }
+    const version = Number(input);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Loads the contract template for the form on the start page (/template and /api/pdf-config):
+ * the given library template, else DEFAULT_TEMPLATE_ID, else the bundled file.
+ * @param {string} [templateId] - ID of a library template
+ * @returns {Promise<Object|null>} - { pdfBytes, fields }, or null if the library template does not exist or is retired
+ */
+async function loadFormTemplate(templateId) {
+    const id = templateId || process.env.DEFAULT_TEMPLATE_ID;
+    if (!id) {
+        const templatePath = path.join(__dirname, 'templates', 'DVV-All-Time-Best-Media.pdf');
+        return { pdfBytes: await fs.readFile(templatePath), fields: null };
+    }
+    const template = await documents.templates.get(id);
+    if (!template) {
+        return null;
+    }
+    return { pdfBytes: await downloadPdfFromBucket(template.pdfUrl), fields: template.fields };
+}
+
+app.get('/api/templates', apiKeyAuth, async (req, res) => {
     try {
-        let pdfBytes;
-        if (req.file) {
-            // PDF file uploaded
-            pdfBytes = req.file.buffer;
-        } else if (req.body.base64) {
-            // Base64 data provided
-            pdfBytes = dataUriToBuffer(req.body.base64);
-        } else {
-            return res.status(400).send("No PDF file or base64 data provided");
-        }
+        const templates = await documents.templates.list({ includeRetired: req.query.includeRetired === 'true' });
+        res.json(templates.map(publicTemplate));
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Vorlagen.' });
+    }
+});
 
-        const pdfId = uuidv4();
-        // Define a destination path within the bucket (e.g., in an 'uploads' folder)
-        const destinationFilename = `uploads/uploaded_${pdfId}.pdf`; 
+app.post('/api/templates', apiKeyAuth, upload.single('pdf'), async (req, res) => {
+    try {
+        let templateUpload;
+        try {
+            templateUpload = await parseTemplateUpload(req, null);
+        } catch (error) {
+            return res.status(400).json({ error: `Ungültige Vorlage: ${error.message}` });
+        }
+        const template = await storeTemplateVersion(uuidv4(), 1, templateUpload, null);
+        res.status(201).json(publicTemplate(template));
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Fehler beim Anlegen der Vorlage.' });
+    }
+});
 
-        // Upload to GCS using the new function
-        const pdfUrl = await storePdfInBucket(pdfBytes, destinationFilename); 
+app.get('/api/templates/:id', apiKeyAuth, async (req, res) => {
+    try {
+        const versions = await documents.templates.listVersions(req.params.id);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+        }
+        const active = versions.filter((version) => !version.retiredAt);
+        res.json({
+            id: req.params.id,
+            name: versions[versions.length - 1].name,
+            activeVersion: active.length > 0 ? active[active.length - 1].version : null,
+            versions: versions.map(publicTemplate)
+        });
+    } catch (error) {
+        console.error('Error loading template:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Vorlage.' });
+    }
+});
 
-        const signUrl = `/sign/${pdfId}`;
+// Stores a new version; name, PDF and fields that are not sent are taken over from the newest version
+app.post('/api/templates/:id/versions', apiKeyAuth, upload.single('pdf'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await withDocumentLock(`template:${id}`, async () => {
+            const previous = await documents.templates.getLatest(id);
+            if (!previous) {
+                return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+            }
+            const previousPdf = await downloadPdfFromBucket(previous.pdfUrl);
 
-        // Parse die webhookUrl aus den formData-Feldern
-        const webhookUrlField = req.body.webhookUrl;
-        
-        // Parse die URL um die Parameter zu extrahieren
-        const webhookUrl = new URL(webhookUrlField);
-        const vorname = webhookUrl.searchParams.get('vorname');
-        const card_id = webhookUrl.searchParams.get('card_id');
-        const email = webhookUrl.searchParams.get('email');
-
-        // Store the GCS URL/URI and other relevant data. No need for local filename.
-        pdfStore[pdfId] = {
-            pdfUrl, // This now holds the GCS URL/URI
-            signUrl,
-            webhookUrl: WEBHOOK_URL,
-            vorname: vorname || null,
-            card_id: card_id || null,
-            email: email || null
-        };
+            let templateUpload;
+            try {
+                templateUpload = await parseTemplateUpload(req, { ...previous, pdfBytes: previousPdf });
+            } catch (error) {
+                return res.status(400).json({ error: `Ungültige Vorlage: ${error.message}` });
+            }
+            const template = await storeTemplateVersion(id, previous.version + 1, templateUpload, previous);
+            res.status(201).json(publicTemplate(template));
+        });
+    } catch (error) {
+        console.error('Error adding template version:', error);
+        res.status(500).json({ error: 'Fehler beim Speichern der Vorlagenversion.' });
+    }
+});
 
-        await savePdfStore(); // Save updated store to file
+app.get('/api/templates/:id/pdf', apiKeyAuth, async (req, res) => {
+    try {
+        const version = parseTemplateVersion(req.query.version);
+        if (version === null) {
+            return res.status(400).json({ error: 'Ungültige Versionsnummer.' });
+        }
+        const template = version === undefined
+            ? await documents.templates.getLatest(req.params.id)
+            : await documents.templates.get(req.params.id, version);
+        if (!template) {
+            return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+        }
+        const pdfBytes = await downloadPdfFromBucket(template.pdfUrl);
+        res.contentType('application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="template_${template.id}_v${template.version}.pdf"`);
+        res.send(pdfBytes);
+    } catch (error) {
+        console.error('Error serving template PDF:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Vorlage.' });
+    }
+});
 
-        res.json({ pdfUrl, signUrl });
+// Retires one version ({ "version": 2 }) or the whole template; documents already created keep working
+app.post('/api/templates/:id/retire', apiKeyAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = parseTemplateVersion(req.body.version);
+        if (version === null) {
+            return res.status(400).json({ error: 'Ungültige Versionsnummer.' });
+        }
+        await withDocumentLock(`template:${id}`, async () => {
+            const existing = version === undefined
+                ? await documents.templates.getLatest(id)
+                : await documents.templates.get(id, version);
+            if (!existing) {
+                return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+            }
+            const retired = await documents.templates.retire(id, version);
+            const active = await documents.templates.get(id);
+            res.json({ id, retired, activeVersion: active?.version ?? null });
+        });
+    } catch (error) {
+        console.error('Error retiring template:', error);
+        res.status(500).json({ error: 'Fehler beim Zurückziehen der Vorlage.' });
+    }
+});
 
+// Creates a document and its sign links from a template; accepts the same options as /api/pdf-upload
+app.post('/api/templates/:id/documents', apiKeyAuth, upload.none(), async (req, res) => {
+    try {
+        const version = parseTemplateVersion(req.body.version);
+        if (version === null) {
+            return res.status(400).json({ error: 'Ungültige Versionsnummer.' });
+        }
+        const template = await documents.templates.get(req.params.id, version);
+        if (!template) {
+            return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+        }
+        if (template.retiredAt) {
+            return res.status(409).json({ error: 'Diese Vorlagenversion wurde zurückgezogen.' });
+        }
+        const pdfBytes = await downloadPdfFromBucket(template.pdfUrl);
+        await createDocument(req, res, { pdfBytes, template });
     } catch (error) {
-        console.error('Error processing PDF upload:', error);
+        console.error('Error creating document from template:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -365,27 +976,32 @@ app.post('/api/pdf-upload', apiKeyAuth, upload.single('pdf'), async (req, res) =
 app.post('/api/pdf-config', async (req, res) => {
     try {
         const {
-            fullName,
-            location,
-            email,
             signature,
             withdrawalSignature,
             withdrawalAccepted,
-            date
+            date,
+            templateId
         } = req.body;
 
-        if (!fullName || !location || !email || !signature) {
-            return res.status(400).json({ error: 'Alle Felder müssen ausgefüllt werden.' });
+        const validation = createValidation();
+        const fullName = validation.text('fullName', req.body.fullName, { label: 'Vollständiger Name', required: true });
+        const location = validation.text('location', req.body.location, { label: 'Ort', required: true });
+        const email = validation.email('email', req.body.email, { label: 'E-Mail', required: true });
+        validation.signature('signature', signature, { label: 'Unterschrift Vertrag', required: true });
+        if (withdrawalAccepted) {
+            validation.signature('withdrawalSignature', withdrawalSignature, { label: 'Unterschrift Erlöschen des Widerrufsrechts', required: true });
         }
-
-        if (withdrawalAccepted && !withdrawalSignature) {
-            return res.status(400).json({ error: 'Unterschrift für das Erlöschen des Widerrufsrechts fehlt.' });
+        validation.text('date', date, { label: 'Datum', maxLength: 20 });
+        if (!validation.valid) {
+            return res.status(400).json(validation.result());
         }
 
-        // Load the template PDF
-        const templatePath = path.join(__dirname, 'templates', 'DVV-All-Time-Best-Media.pdf');
-        const templateBytes = await fs.readFile(templatePath);
-        const pdfDoc = await PDFDocument.load(templateBytes);
+        // Load the template PDF and its field layout
+        const template = await loadFormTemplate(templateId);
+        if (!template) {
+            return res.status(404).json({ error: 'Vorlage nicht gefunden.' });
+        }
+        const pdfDoc = await PDFDocument.load(template.pdfBytes);
         pdfDoc.registerFontkit(fontkit); // Restored
         const pages = pdfDoc.getPages();
         const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
@@ -396,13 +1012,15 @@ app.post('/api/pdf-config', async (req, res) => {
             location,
             date: date || new Date().toLocaleDateString('de-DE')
         };
+        const withdrawalConfig = getSignatureConfig(template.fields, 'withdrawal', pages.map((page) => page.getSize()));
+        const contractConfig = getSignatureConfig(template.fields, 'contract', pages.map((page) => page.getSize()));
 
-        // Add withdrawal signature to page 9
+        // Add withdrawal signature (page 9 of the bundled template)
         if (withdrawalAccepted && withdrawalSignature) {
             try {
                 await addSignatureToPage(
-                    pages[pdfConfig.withdrawalSignature.page],
-                    pdfConfig.withdrawalSignature,
+                    pages[withdrawalConfig.page],
+                    withdrawalConfig,
                     withdrawalSignature,
                     textFields,
                     pdfDoc,
@@ -415,12 +1033,12 @@ app.post('/api/pdf-config', async (req, res) => {
             }
         }
 
-        // Add contract signature to page 10
+        // Add contract signature (page 10 of the bundled template)
         if (signature) {
             try {
                 await addSignatureToPage(
-                    pages[pdfConfig.contractSignature.page],
-                    pdfConfig.contractSignature,
+                    pages[contractConfig.page],
+                    contractConfig,
                     signature,
                     textFields,
                     pdfDoc,
@@ -433,36 +1051,24 @@ app.post('/api/pdf-config', async (req, res) => {
             }
         }
 
+        // Positioned text and date fields of a library template's layout
+        addLayoutTextFields(pages, template.fields, textFields, helveticaFont);
+
         const pdfBytes = await pdfDoc.save();
         // Define a destination path within the bucket (e.g., in a 'contracts' folder)
         const destinationFilename = `contracts/ausbildungsvertrag_${uuidv4()}.pdf`; 
 
-        // Upload to GCS using the new function
+        // Upload to the configured storage backend
         const pdfUrl = await storePdfInBucket(pdfBytes, destinationFilename); 
         
-        res.json({ pdfUrl }); // Return the GCS URL/URI
+        res.json({ pdfUrl }); // Return the storage URL/URI
 
-        // Send webhook notification
-        try {
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(WEBHOOK_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    status: 'signed',
-                    pdfUrl,
-                    timestamp: new Date().toISOString()
-                }),
-            });
-            
-            if (!response.ok) {
-                console.error(`Webhook failed: ${response.status} ${response.statusText}`);
-            }
-        } catch (error) {
-            console.error('Error sending webhook:', error);
-        }
+        // Send webhook notification (no stored document, so only account endpoints receive it)
+        await webhooks.emit('signed', null, {
+            status: 'signed',
+            pdfUrl,
+            timestamp: new Date().toISOString()
+        });
 
     } catch (error) {
         console.error('Fehler bei der PDF-Konfiguration:', error);
@@ -470,153 +1076,1026 @@ app.post('/api/pdf-config', async (req, res) => {
     }
 });
 
-// Handle PDF signing
-// Note: The '/api/pdf/:pdfId' GET route has been removed as PDFs are now served directly from GCS URLs/URIs
-app.post('/api/sign', async (req, res) => {
+// Stream the stored PDF for the sign page, authorized by the token from the sign link
+app.get('/api/pdf/:pdfId', async (req, res) => {
     try {
-        const {
-            fullName,
-            location,
-            email,
-            signature,
-            withdrawalAccepted,
-            withdrawalSignature,
-            pdfId,
-            contractKeyboardSignature,
-            withdrawalKeyboardSignature
-        } = req.body;
-
-        if (!fullName || !location || !email) {
-            return res.status(400).json({ error: 'Alle Felder müssen ausgefüllt werden.' });
+        const { pdfId } = req.params;
+        const pdfData = await documents.get(pdfId);
+        if (!pdfData || !pdfData.pdfUrl) {
+            return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+        }
+        const signer = findAuthorizedSigner(pdfData, pdfId, req.query.signer, req.query.token);
+        if (!signer) {
+            return res.status(401).json({ error: getInvalidLinkMessage(req.query) });
+        }
+        const closedMessage = getClosedMessage(pdfData);
+        if (closedMessage) {
+            return res.status(410).json({ error: closedMessage });
         }
 
-        // For testing without PDF
-        if (!pdfId) {
-            return res.json({ 
-                success: true, 
-                message: 'Signature data received successfully',
-                data: {
-                    fullName,
-                    location,
-                    email,
-                    signature,
-                    contractKeyboardSignature,
-                    withdrawalAccepted,
-                    withdrawalSignature,
-                    withdrawalKeyboardSignature
+        // Record the first time the signer opened the document for the audit trail and the lifecycle
+        if (!signer.audit?.viewedAt) {
+            let viewedAt = null;
+            const record = await documents.update(pdfId, (record) => {
+                const storedSigner = record.signers.find((s) => s.id === signer.id);
+                if (!storedSigner.audit?.viewedAt) {
+                    viewedAt = new Date().toISOString();
+                    storedSigner.audit = { ...storedSigner.audit, viewedAt };
+                }
+                if (!isFinal(record)) {
+                    transitionDocument(record, 'viewed', { signer: storedSigner.role });
                 }
             });
+            if (viewedAt) {
+                await webhooks.emit('viewed', record, {
+                    status: 'viewed',
+                    viewedBy: {
+                        role: signer.role,
+                        name: signer.name,
+                        email: signer.email
+                    },
+                    vorname: record.vorname,
+                    card_id: record.card_id,
+                    email: record.email,
+                    timestamp: viewedAt
+                });
+            }
         }
 
-        const pdfData = pdfStore[pdfId]; // Read from the loaded store object
+        // Show the latest version, including signatures of previous signers
+        const pdfBytes = await downloadPdfFromBucket(pdfData.currentPdfUrl || pdfData.pdfUrl);
+        res.set('Cache-Control', 'private, no-store');
+        res.contentType('application/pdf');
+        res.send(pdfBytes);
+    } catch (error) {
+        console.error('Error streaming PDF:', error);
+        res.status(500).json({ error: 'Fehler beim Laden des PDFs.' });
+    }
+});
+
+// State of a sign link for the sign page: still signable, read-only after signing, or closed
+app.get('/api/pdf/:pdfId/status', async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const pdfData = await documents.get(pdfId);
         if (!pdfData) {
             return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
         }
-        if (!pdfData.pdfUrl) {
-             console.error(`PDF data for ID ${pdfId} is missing the pdfUrl property.`);
-             return res.status(500).json({ error: 'Interner Serverfehler: PDF-Speicherort nicht gefunden.' });
+        const signer = findAuthorizedSigner(pdfData, pdfId, req.query.signer, req.query.token);
+        if (!signer) {
+            return res.status(401).json({ error: getInvalidLinkMessage(req.query) });
         }
 
-        // Download the original PDF from GCS
-        const originalPdfBytes = await downloadPdfFromGcs(pdfData.pdfUrl);
-        const pdfDoc = await PDFDocument.load(originalPdfBytes);
-        pdfDoc.registerFontkit(fontkit); // Restored
-        const pages = pdfDoc.getPages();
-        const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const status = getDocumentStatus(pdfData);
+        res.set('Cache-Control', 'private, no-store');
+        res.json({
+            status,
+            signerStatus: signer.status,
+            signedAt: signer.signedAt,
+            expiresAt: pdfData.expiresAt || null,
+            readOnly: signer.status === 'signed' || isFinal(pdfData),
+            message: getClosedMessage(pdfData),
+            downloadUrl: status === 'signed' ? createDownloadUrl(req, pdfId, 'signed') : null,
+            otpRequired: Boolean(pdfData.requireOtp),
+            otpEmail: pdfData.requireOtp ? maskEmail(signer.email) : null,
+            formSchema: getFormSchema(pdfData),
+            // Pages the signer initials ("all" or 0-based numbers), null if the document asks for no initials
+            initials: getInitialsPages(getSignerInitials(pdfData.initials, signer, pdfData.signers)),
+            // The signer's AcroForm fields to show as inputs; signature widgets get the signature itself
+            formFields: (getSignerFields(pdfData.formFields, signer, pdfData.signers) || [])
+                .filter((field) => field.type !== 'signature')
+                .map(({ widgets, signer: role, ...field }) => field)
+        });
+    } catch (error) {
+        console.error('Error loading sign link status:', error);
+        res.status(500).json({ error: 'Fehler beim Laden des Dokumentstatus.' });
+    }
+});
 
-        // Base fields for both signatures
-        const baseFields = {
-            fullName,
-            email,
-            location,
-            date: new Date().toLocaleDateString('de-DE')
-        };
+// Fonts a keyboard signature can be written in, with the URL of the font file for previews
+app.get('/api/signature-fonts', (req, res) => {
+    res.json(signatureFonts.list());
+});
 
-        // Add contract signature
-        try {
-            const contractFields = {
-                ...baseFields,
-                ...(contractKeyboardSignature?.text ? { keyboardSignature: contractKeyboardSignature } : {})
+// The default form, rendered by the sign page when it is opened without a document
+app.get('/api/form-schema', (req, res) => {
+    res.json(DEFAULT_FORM_SCHEMA);
+});
+
+// Lifecycle state, signers and signed file of a document, for the sender
+app.get('/api/documents/:id', apiKeyAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pdfData = await documents.get(id);
+        if (!pdfData) {
+            return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+        }
+
+        res.json({
+            id,
+            status: getDocumentStatus(pdfData),
+            statusHistory: pdfData.statusHistory || [],
+            layoutChanges: pdfData.layoutChanges || [],
+            createdAt: pdfData.createdAt || null,
+            expiresAt: pdfData.expiresAt || null,
+            vorname: pdfData.vorname,
+            card_id: pdfData.card_id,
+            email: pdfData.email,
+            signingOrder: pdfData.signingOrder || 'sequential',
+            signers: (pdfData.signers || []).map((signer) => ({
+                id: signer.id,
+                role: signer.role,
+                name: signer.name,
+                email: signer.email,
+                order: signer.order,
+                status: signer.status,
+                viewedAt: signer.audit?.viewedAt || null,
+                signedAt: signer.signedAt,
+                signedBy: signer.signedBy || null,
+                withdrawalAccepted: signer.withdrawalAccepted ?? null,
+                declinedAt: signer.declinedAt || null,
+                declineReason: signer.declineReason || null,
+                otpVerifiedAt: signer.audit?.otp?.verifiedAt || null,
+                invitedAt: signer.invitedAt || null,
+                remindersSent: signer.remindersSent || [],
+                biometrics: Object.keys(signer.biometrics || {}),
+                biometricsAccess: signer.audit?.biometricsAccess || []
+            })),
+            mails: (await documents.mailJobs.listByDocument(id)).map(({ signerId, type, runAt, status, sentAt }) => ({ signerId, type, runAt, status, sentAt })),
+            originalSha256: pdfData.originalSha256 || null,
+            signedPdfUrl: pdfData.signedPdfUrl || null,
+            signedSha256: pdfData.signedSha256 || null,
+            downloadUrl: pdfData.signedPdfUrl ? createDownloadUrl(req, id, 'signed') : null
+        });
+    } catch (error) {
+        console.error('Error loading document status:', error);
+        res.status(500).json({ error: 'Fehler beim Laden des Dokuments.' });
+    }
+});
+
+// Revoke the sign links of a document before they are used
+app.post('/api/documents/:id/revoke', apiKeyAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        await withDocumentLock(id, async () => {
+            const pdfData = await documents.get(id);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            if (isFinal(pdfData)) {
+                return res.status(409).json({ error: `Das Dokument ist bereits im Status "${getDocumentStatus(pdfData)}".` });
+            }
+
+            transitionDocument(pdfData, 'revoked', req.body?.reason ? { reason: String(req.body.reason) } : {});
+            await documents.save(id, pdfData);
+            res.json({ id, status: pdfData.status });
+        });
+    } catch (error) {
+        console.error('Error revoking document:', error);
+        res.status(500).json({ error: 'Fehler beim Widerrufen des Dokuments.' });
+    }
+});
+
+/**
+ * Checks whether the fields of a document may still be placed: nobody has signed and it is not closed.
+ * @param {Object} pdfData - The document record
+ * @returns {boolean} - True if the layout can be changed
+ */
+function isLayoutEditable(pdfData) {
+    return !isFinal(pdfData) && (pdfData.signers || []).every((signer) => signer.status !== 'signed');
+}
+
+// Field layout and initials of a document with what the prepare page offers to place
+app.get('/api/documents/:id/layout', apiKeyAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pdfData = await documents.get(id);
+        if (!pdfData) {
+            return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+        }
+
+        const formSchema = getFormSchema(pdfData);
+        res.json({
+            id,
+            status: getDocumentStatus(pdfData),
+            editable: isLayoutEditable(pdfData),
+            signers: pdfData.signers.map(({ role, name }) => ({ role, name })),
+            signatureNames: formSchema.signatures.map((signature) => signature.name),
+            textFields: formSchema.fields.map(({ name, label }) => ({ name, label })),
+            fields: pdfData.fields || [],
+            initials: pdfData.initials || []
+        });
+    } catch (error) {
+        console.error('Error loading document layout:', error);
+        res.status(500).json({ error: 'Fehler beim Laden des Feldlayouts.' });
+    }
+});
+
+// Replace the field layout and initials of a document that nobody has signed yet.
+// Body: { fields, initials } in the formats of the upload; coordinates in PDF points.
+app.put('/api/documents/:id/layout', apiKeyAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        await withDocumentLock(id, async () => {
+            const pdfData = await documents.get(id);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            if (!isLayoutEditable(pdfData)) {
+                return res.status(409).json({ error: 'Das Feldlayout kann nicht mehr geändert werden, weil bereits unterschrieben wurde oder das Dokument abgeschlossen ist.' });
+            }
+
+            let fields, initials;
+            try {
+                const pdfDoc = await PDFDocument.load(await downloadPdfFromBucket(pdfData.pdfUrl));
+                const pageSizes = pdfDoc.getPages().map((page) => page.getSize());
+                fields = parseFieldLayout(req.body.fields, pageSizes, getSchemaFieldNames(pdfData.formSchema));
+                // An empty layout falls back to the pdfConfig defaults
+                fields = fields?.length > 0 ? fields : null;
+                initials = parseInitialsOption(req.body.initials?.length === 0 ? null : req.body.initials, pageSizes, pdfData.signers);
+                validateSignerFields(fields, pdfData.signers, pdfData.formFields);
+            } catch (error) {
+                return res.status(400).json({ error: `Ungültiges Feldlayout: ${error.message}` });
+            }
+
+            pdfData.fields = fields;
+            pdfData.initials = initials;
+            // Layout changes go into the audit trail, since they move where signers sign
+            pdfData.layoutChanges = [
+                ...(pdfData.layoutChanges || []),
+                { at: new Date().toISOString(), ip: req.ip, fields: fields?.length ?? 0, initials: initials?.length ?? 0 }
+            ];
+            await documents.save(id, pdfData);
+            res.json({ id, fields: fields || [], initials: initials || [] });
+        });
+    } catch (error) {
+        console.error('Error saving document layout:', error);
+        res.status(500).json({ error: 'Fehler beim Speichern des Feldlayouts.' });
+    }
+});
+
+// Stroke data of a signer's drawn signatures, decrypted for examining a disputed signature.
+// ?format=svg&signature=<contract|withdrawal> returns an SVG replaying the signature at the pace it was written.
+app.get('/api/documents/:id/signers/:signerId/biometrics', apiKeyAuth, async (req, res) => {
+    try {
+        const { id, signerId } = req.params;
+        await withDocumentLock(id, async () => {
+            const pdfData = await documents.get(id);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            const signer = (pdfData.signers || []).find((s) => s.id === signerId);
+            if (!signer) {
+                return res.status(404).json({ error: 'Unterzeichner nicht gefunden.' });
+            }
+            if (!signer.biometrics) {
+                return res.status(404).json({ error: 'Für diesen Unterzeichner sind keine Strichdaten gespeichert.' });
+            }
+            if (!biometricsVault) {
+                return res.status(503).json({ error: 'Strichdaten können ohne BIOMETRICS_KEY nicht entschlüsselt werden.' });
+            }
+
+            const signatures = Object.entries(signer.biometrics).map(([name, sealed]) => {
+                const strokes = biometricsVault.open(sealed, { documentId: id, signerId, name });
+                return { name, capturedAt: sealed.capturedAt, ...describeStrokes(strokes), strokes };
+            });
+            const signature = req.query.format === 'svg'
+                ? signatures.find((entry) => entry.name === (req.query.signature || 'contract'))
+                : null;
+            if (req.query.format === 'svg' && !signature) {
+                return res.status(404).json({ error: `Für die Unterschrift "${req.query.signature}" sind keine Strichdaten gespeichert.` });
+            }
+
+            // Every read of the decrypted stroke data goes into the signer's audit trail
+            signer.audit = {
+                ...signer.audit,
+                biometricsAccess: [
+                    ...(signer.audit?.biometricsAccess || []),
+                    { at: new Date().toISOString(), ip: req.ip, signatures: signature ? [signature.name] : signatures.map((entry) => entry.name) }
+                ]
             };
+            await documents.save(id, pdfData);
 
-            await addSignatureToPage(
-                pages[pdfConfig.contractSignature.page],
-                pdfConfig.contractSignature,
-                contractKeyboardSignature?.text ? null : signature,
-                contractFields,
-                pdfDoc,
-                helveticaFont
-            );
+            if (signature) {
+                res.setHeader('Content-Type', 'image/svg+xml');
+                res.setHeader('Content-Disposition', `inline; filename="signature_${id}_${signerId}_${signature.name}.svg"`);
+                return res.send(renderSignatureReplay(signature.strokes));
+            }
+
+            res.json({
+                documentId: id,
+                signerId,
+                signedAt: signer.signedAt || null,
+                signedBy: signer.signedBy || null,
+                signatures
+            });
+        });
+    } catch (error) {
+        console.error('Error loading signature stroke data:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Strichdaten.' });
+    }
+});
+
+// Download the original or signed version of a document.
+// Authorized either by a signed download token (?token=...) or by the API key.
+app.get('/api/documents/:id/download', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = req.query.version || 'signed';
+        if (!DOCUMENT_VERSIONS.includes(version)) {
+            return res.status(400).json({ error: `Ungültige Version. Erlaubt: ${DOCUMENT_VERSIONS.join(', ')}` });
+        }
+
+        const hasApiKey = process.env.API_KEY && req.headers['x-api-key'] === process.env.API_KEY;
+        if (!hasApiKey && !verifyAccessToken(req.query.token, `download:${version}`, id)) {
+            return res.status(401).json({ error: 'Link ungültig oder abgelaufen.' });
+        }
+
+        const pdfData = await documents.get(id);
+        if (!pdfData) {
+            return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+        }
+        const storedUrl = version === 'signed' ? pdfData.signedPdfUrl : pdfData.pdfUrl;
+        if (!storedUrl) {
+            return res.status(404).json({ error: 'Das Dokument wurde noch nicht unterschrieben.' });
+        }
+
+        const pdfBytes = await downloadPdfFromBucket(storedUrl);
+        const filename = version === 'signed' ? `signed_${id}.pdf` : `uploaded_${id}.pdf`;
+        res.set('Cache-Control', 'private, no-store');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.contentType('application/pdf');
+        res.send(pdfBytes);
+    } catch (error) {
+        console.error('Error downloading document:', error);
+        res.status(500).json({ error: 'Fehler beim Herunterladen des Dokuments.' });
+    }
+});
+
+// Check whether an uploaded PDF is exactly a document finalized by this service
+app.post('/api/verify', upload.single('pdf'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Bitte eine PDF-Datei hochladen.' });
+        }
+
+        const hash = sha256(req.file.buffer);
+        const pdfData = await documents.findBySignedSha256(hash);
+        if (!pdfData) {
+            return res.json({ status: 'unknown', sha256: hash });
+        }
+
+        const signers = (pdfData.signers || []).map((signer) => ({
+            role: signer.role,
+            name: signer.signedBy?.name || signer.name,
+            signedAt: signer.signedAt
+        }));
+        res.json({
+            status: 'verified',
+            sha256: hash,
+            documentId: pdfData.id,
+            signers,
+            signedAt: signers.reduce((latest, signer) => (signer.signedAt > latest ? signer.signedAt : latest), '')
+        });
+    } catch (error) {
+        console.error('Error verifying PDF:', error);
+        res.status(500).json({ error: 'Fehler bei der Prüfung des Dokuments.' });
+    }
+});
+
+/**
+ * Removes the signing secret from a queued delivery before it is returned by the API.
+ * @param {Object} delivery - The delivery
+ * @returns {Object} - The delivery without its secret
+ */
+function publicDelivery({ secret, ...delivery }) {
+    return delivery;
+}
+
+// Account-wide webhook endpoints
+app.get('/api/webhooks', apiKeyAuth, async (req, res) => {
+    try {
+        const endpoints = await documents.webhooks.listEndpoints();
+        res.json(endpoints.map(({ secret, ...endpoint }) => endpoint));
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Webhooks.' });
+    }
+});
+
+app.post('/api/webhooks', apiKeyAuth, async (req, res) => {
+    try {
+        let endpoint;
+        try {
+            endpoint = {
+                id: uuidv4(),
+                url: parseWebhookUrl(req.body.url),
+                events: parseWebhookEvents(req.body.events),
+                secret: req.body.secret || createWebhookSecret(),
+                createdAt: new Date().toISOString()
+            };
         } catch (error) {
-            console.error("Fehler beim Einfügen der Vertragsunterschrift:", error);
-            res.status(500).json({ error: "Fehler beim Einfügen der Vertragsunterschrift: " + error.message });
-            return;
+            return res.status(400).json({ error: error.message });
         }
+        await documents.webhooks.saveEndpoint(endpoint);
+        // The secret is only returned once, when the endpoint is created
+        res.status(201).json(endpoint);
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Fehler beim Anlegen des Webhooks.' });
+    }
+});
 
-        // Add withdrawal signature if accepted
-        if (withdrawalAccepted) {
-            const withdrawalFields = {
-                ...baseFields,
-                ...(withdrawalKeyboardSignature?.text ? { keyboardSignature: withdrawalKeyboardSignature } : {})
+app.delete('/api/webhooks/:id', apiKeyAuth, async (req, res) => {
+    try {
+        if (!await documents.webhooks.deleteEndpoint(req.params.id)) {
+            return res.status(404).json({ error: 'Webhook nicht gefunden.' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Fehler beim Löschen des Webhooks.' });
+    }
+});
+
+// Webhook deliveries; ?status=dead lists the dead-letter queue
+app.get('/api/webhook-deliveries', apiKeyAuth, async (req, res) => {
+    try {
+        const { status, documentId } = req.query;
+        if (status && !['pending', 'delivered', 'dead'].includes(status)) {
+            return res.status(400).json({ error: 'Ungültiger Status. Erlaubt: pending, delivered, dead' });
+        }
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        const deliveries = await documents.webhooks.listDeliveries({ status, documentId, limit });
+        res.json(deliveries.map(publicDelivery));
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Fehler beim Laden der Webhook-Zustellungen.' });
+    }
+});
+
+// Queue a delivery again, e.g. after fixing the receiving endpoint
+app.post('/api/webhook-deliveries/:id/redeliver', apiKeyAuth, async (req, res) => {
+    try {
+        const delivery = await webhooks.redeliver(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Zustellung nicht gefunden.' });
+        }
+        res.status(202).json(publicDelivery(delivery));
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Fehler beim erneuten Zustellen des Webhooks.' });
+    }
+});
+
+// Answer while a signer's confirmation by code is locked (see services/otp.mjs)
+const OTP_LOCKED_MESSAGE = 'Zu viele Versuche: Die Bestätigung per Code ist gesperrt. Bitte wende dich an den Absender des Dokuments.';
+
+/**
+ * Reports a signer's lockout of the confirmation by code to the webhooks, so the sender can
+ * check with the signer and lift it. The lockout itself is recorded in the signer's audit trail.
+ * @param {Object} pdfData - The document record
+ * @param {Object} signer - The locked signer
+ */
+async function emitOtpLocked(pdfData, signer) {
+    const lockout = getOtpLockout(signer);
+    await webhooks.emit('otp_locked', pdfData, {
+        reason: lockout.reason,
+        lockedSigner: {
+            id: signer.id,
+            role: signer.role,
+            name: signer.name,
+            email: signer.email
+        },
+        vorname: pdfData.vorname,
+        card_id: pdfData.card_id,
+        email: pdfData.email,
+        timestamp: lockout.lockedAt
+    });
+}
+
+// Send a one-time passcode to the signer's stored address
+app.post('/api/otp/send', async (req, res) => {
+    try {
+        const { pdfId, signerId, token } = req.body;
+        await withDocumentLock(pdfId, async () => {
+            const pdfData = await documents.get(pdfId);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            const signer = findAuthorizedSigner(pdfData, pdfId, signerId, token);
+            if (!signer) {
+                return res.status(401).json({ error: 'Link ungültig oder abgelaufen.' });
+            }
+            const closedMessage = getClosedMessage(pdfData);
+            if (closedMessage) {
+                return res.status(410).json({ error: closedMessage });
+            }
+            if (!pdfData.requireOtp || !mailer) {
+                return res.status(400).json({ error: 'Für dieses Dokument ist keine Bestätigung per Code vorgesehen.' });
+            }
+            if (getOtpLockout(signer)) {
+                return res.status(423).json({ error: OTP_LOCKED_MESSAGE });
+            }
+            if (signer.otp && Date.now() - Date.parse(signer.otp.sentAt) < OTP_RESEND_INTERVAL_MS) {
+                return res.status(429).json({ error: 'Bitte warte eine Minute, bevor du einen neuen Code anforderst.' });
+            }
+            if (!recordOtpSend(signer, req.ip)) {
+                await documents.save(pdfId, pdfData);
+                await emitOtpLocked(pdfData, signer);
+                return res.status(423).json({ error: OTP_LOCKED_MESSAGE });
+            }
+
+            const { code, otp } = createOtp();
+            await mailer.send({
+                to: signer.email,
+                template: 'otp',
+                language: pdfData.language,
+                data: { name: signer.name || signer.email, code, validMinutes: OTP_TTL_MS / 60000 }
+            });
+            signer.otp = otp;
+            await documents.save(pdfId, pdfData);
+            res.json({ sentTo: maskEmail(signer.email), expiresAt: otp.expiresAt });
+        });
+    } catch (error) {
+        console.error('Error sending OTP:', error);
+        res.status(500).json({ error: 'Fehler beim Versenden des Codes.' });
+    }
+});
+
+// Verify the passcode; the returned session token authorizes /api/sign
+app.post('/api/otp/verify', async (req, res) => {
+    try {
+        const { pdfId, signerId, token, code } = req.body;
+        await withDocumentLock(pdfId, async () => {
+            const pdfData = await documents.get(pdfId);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            const signer = findAuthorizedSigner(pdfData, pdfId, signerId, token);
+            if (!signer) {
+                return res.status(401).json({ error: 'Link ungültig oder abgelaufen.' });
+            }
+            const closedMessage = getClosedMessage(pdfData);
+            if (closedMessage) {
+                return res.status(410).json({ error: closedMessage });
+            }
+            if (getOtpLockout(signer)) {
+                return res.status(423).json({ error: OTP_LOCKED_MESSAGE });
+            }
+
+            const attempts = signer.otp?.attempts ?? 0;
+            const otpError = checkOtp(signer.otp, code);
+            if (otpError) {
+                // Only wrong codes count towards the lockout, not entries after the code has expired
+                const locked = (signer.otp?.attempts ?? 0) > attempts && recordOtpFailure(signer, req.ip);
+                await documents.save(pdfId, pdfData);
+                if (locked) {
+                    await emitOtpLocked(pdfData, signer);
+                    return res.status(423).json({ error: OTP_LOCKED_MESSAGE });
+                }
+                return res.status(400).json({ error: otpError });
+            }
+
+            // The code is used up; the verification goes into the audit trail
+            delete signer.otp;
+            signer.audit = {
+                ...signer.audit,
+                otp: { email: signer.email, verifiedAt: new Date().toISOString(), ip: req.ip }
+            };
+            await documents.save(pdfId, pdfData);
+            res.json({ otpToken: createAccessToken('otp', `${pdfId}:${signer.id}`, OTP_SESSION_TTL_SECONDS) });
+        });
+    } catch (error) {
+        console.error('Error verifying OTP:', error);
+        res.status(500).json({ error: 'Fehler bei der Prüfung des Codes.' });
+    }
+});
+
+// Lift a signer's lockout of the confirmation by code, e.g. after checking with the signer by phone
+app.post('/api/documents/:id/signers/:signerId/otp-unlock', apiKeyAuth, async (req, res) => {
+    try {
+        const { id, signerId } = req.params;
+        await withDocumentLock(id, async () => {
+            const pdfData = await documents.get(id);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            const signer = (pdfData.signers || []).find((s) => s.id === signerId);
+            if (!signer) {
+                return res.status(404).json({ error: 'Unterzeichner nicht gefunden.' });
+            }
+            if (!unlockOtp(signer)) {
+                return res.status(409).json({ error: 'Die Bestätigung per Code ist für diesen Unterzeichner nicht gesperrt.' });
+            }
+            await documents.save(id, pdfData);
+            res.json({ id, signerId, otpLockouts: signer.audit.otpLockouts });
+        });
+    } catch (error) {
+        console.error('Error unlocking OTP:', error);
+        res.status(500).json({ error: 'Fehler beim Aufheben der Sperre.' });
+    }
+});
+
+// Decline to sign: closes the document for all signers and notifies the webhook
+app.post('/api/decline', async (req, res) => {
+    try {
+        const { pdfId, signerId, token } = req.body;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ error: 'Bitte gib einen Grund für die Ablehnung an.' });
+        }
+        if (reason.length > 2000) {
+            return res.status(400).json({ error: 'Der Grund darf höchstens 2000 Zeichen lang sein.' });
+        }
+
+        await withDocumentLock(pdfId, async () => {
+            const pdfData = await documents.get(pdfId);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            const signer = findAuthorizedSigner(pdfData, pdfId, signerId, token);
+            if (!signer) {
+                return res.status(401).json({ error: 'Link ungültig oder abgelaufen.' });
+            }
+            const closedMessage = getClosedMessage(pdfData);
+            if (closedMessage) {
+                return res.status(410).json({ error: closedMessage });
+            }
+            if (signer.status === 'signed') {
+                return res.status(409).json({ error: 'Du hast dieses Dokument bereits unterschrieben.' });
+            }
+
+            const declinedAt = new Date().toISOString();
+            signer.status = 'declined';
+            signer.declinedAt = declinedAt;
+            signer.declineReason = reason;
+            signer.audit = { ...signer.audit, ip: req.ip, userAgent: req.get('user-agent') || null, declinedAt };
+            transitionDocument(pdfData, 'declined', { signer: signer.role, reason });
+            await documents.save(pdfId, pdfData);
+
+            await webhooks.emit('declined', pdfData, {
+                status: 'declined',
+                reason,
+                declinedBy: {
+                    role: signer.role,
+                    name: signer.name,
+                    email: signer.email
+                },
+                vorname: pdfData.vorname,
+                card_id: pdfData.card_id,
+                email: pdfData.email,
+                timestamp: declinedAt
+            });
+
+            res.json({ status: 'declined' });
+        });
+    } catch (error) {
+        console.error('Error declining document:', error);
+        res.status(500).json({ error: 'Fehler beim Ablehnen des Dokuments.' });
+    }
+});
+
+// Handle PDF signing
+app.post('/api/sign', async (req, res) => {
+    try {
+        const {
+            signature,
+            withdrawalSignature,
+            signatureStrokes,
+            withdrawalSignatureStrokes,
+            pdfId,
+            signerId,
+            token,
+            otpToken,
+            contractKeyboardSignature,
+            withdrawalKeyboardSignature,
+            formValues
+        } = req.body;
+
+        // For testing without PDF
+        if (!pdfId) {
+            const validation = createValidation();
+            const submission = validateFormSubmission(DEFAULT_FORM_SCHEMA, req.body, validation);
+            if (!validation.valid) {
+                return res.status(400).json(validation.result());
+            }
+            return res.json({ 
+                success: true, 
+                message: 'Signature data received successfully',
+                data: {
+                    ...submission.values,
+                    consents: submission.consents,
+                    signature,
+                    signatureStrokes,
+                    contractKeyboardSignature,
+                    withdrawalAccepted: submission.withdrawalAccepted,
+                    withdrawalSignature,
+                    withdrawalSignatureStrokes,
+                    withdrawalKeyboardSignature
+                }
+            });
+        }
+
+        // Signatures are applied one after another onto the latest version of the document
+        await withDocumentLock(pdfId, async () => {
+            const pdfData = await documents.get(pdfId);
+            if (!pdfData) {
+                return res.status(404).json({ error: 'PDF nicht gefunden oder ungültige ID.' });
+            }
+            if (!pdfData.pdfUrl) {
+                 console.error(`PDF data for ID ${pdfId} is missing the pdfUrl property.`);
+                 return res.status(500).json({ error: 'Interner Serverfehler: PDF-Speicherort nicht gefunden.' });
+            }
+
+            const signer = findAuthorizedSigner(pdfData, pdfId, signerId, token);
+            if (!signer) {
+                return res.status(401).json({ error: 'Link ungültig oder abgelaufen.' });
+            }
+            const closedMessage = getClosedMessage(pdfData);
+            if (closedMessage) {
+                return res.status(410).json({ error: closedMessage });
+            }
+            const blocker = getSigningBlocker(pdfData, signer);
+            if (blocker) {
+                return res.status(409).json({ error: blocker });
+            }
+
+            // Fields, consents and signatures are checked against the document's form schema,
+            // the signer's AcroForm inputs against the PDF's form fields
+            const formSchema = getFormSchema(pdfData);
+            const signerFormFields = getSignerFields(pdfData.formFields, signer, pdfData.signers) || [];
+            const formInputs = signerFormFields.filter((field) => field.type !== 'signature');
+            const signatureWidgets = signerFormFields.filter((field) => field.type === 'signature');
+            const signerInitials = getSignerInitials(pdfData.initials, signer, pdfData.signers);
+            const validation = createValidation();
+            const submission = validateFormSubmission(formSchema, req.body, validation);
+            validateFormValues(formInputs, formValues, validation);
+            const initialsSubmission = signerInitials.length > 0
+                ? validateInitialsSubmission(req.body, submission.values.fullName, validation)
+                : null;
+            if (!validation.valid) {
+                return res.status(400).json(validation.result());
+            }
+            const { values, withdrawalAccepted } = submission;
+            const { fullName, email, location } = values;
+
+            if (pdfData.requireOtp) {
+                if (!signer.audit?.otp?.verifiedAt || !verifyAccessToken(otpToken, 'otp', `${pdfId}:${signer.id}`)) {
+                    return res.status(403).json({ error: 'Bitte bestätige zuerst deine E-Mail-Adresse mit dem Code.' });
+                }
+                if (email.trim().toLowerCase() !== signer.email.toLowerCase()) {
+                    return res.status(400).json({ error: 'Die E-Mail-Adresse muss der bestätigten Adresse entsprechen.' });
+                }
+            }
+
+
+            // Download the latest version of the PDF from storage
+            const originalPdfBytes = await downloadPdfFromBucket(pdfData.currentPdfUrl || pdfData.pdfUrl);
+            const pdfDoc = await PDFDocument.load(originalPdfBytes);
+            pdfDoc.registerFontkit(fontkit); // Restored
+            const pages = pdfDoc.getPages();
+            const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+            // Base fields for both signatures (location only if the form asks for it)
+            const baseFields = {
+                fullName,
+                email,
+                location: getSchemaFieldNames(formSchema).includes('location') ? location || '' : undefined,
+                date: new Date().toLocaleDateString('de-DE')
             };
 
+            // Signature placement: the signer's fields from the document layout, falling back to pdfConfig
+            const signerFields = getSignerFields(pdfData.fields, signer, pdfData.signers);
+            const pageSizes = pages.map((page) => page.getSize());
+            const contractConfig = getSignatureConfig(signerFields, 'contract', pageSizes);
+            const withdrawalConfig = getSignatureConfig(signerFields, 'withdrawal', pageSizes);
+            const missingPage = [
+                ...(signatureWidgets.length === 0 ? [contractConfig] : []),
+                ...(withdrawalAccepted ? [withdrawalConfig] : [])
+            ].find((config) => !pages[config.page]);
+            if (missingPage) {
+                return res.status(422).json({ error: `Das Dokument hat keine Seite ${missingPage.page + 1} für die Unterschrift.` });
+            }
+
+            // Stroke data takes precedence over the PNG, as in validateFormSubmission()
+            const contractDrawing = signatureStrokes ?? signature;
+            const withdrawalDrawing = withdrawalSignatureStrokes ?? withdrawalSignature;
+
+            // Add contract signature
             try {
-                await addSignatureToPage(
-                    pages[pdfConfig.withdrawalSignature.page],
-                    pdfConfig.withdrawalSignature,
-                    withdrawalKeyboardSignature?.text ? null : withdrawalSignature,
-                    withdrawalFields,
-                    pdfDoc,
-                    helveticaFont
-                );
+                if (signatureWidgets.length > 0) {
+                    // The PDF brings its own signature fields, so the signature goes into their rectangles
+                    if (contractKeyboardSignature?.text) {
+                        const keyboardFont = await embedKeyboardFont(pdfDoc, contractKeyboardSignature.font);
+                        drawTextInWidgets(pages, signatureWidgets, contractKeyboardSignature.text, keyboardFont);
+                    } else if (contractDrawing) {
+                        drawSignatureInWidgets(pages, signatureWidgets, await embedDrawnSignature(pdfDoc, contractDrawing));
+                    }
+                } else {
+                    const contractFields = {
+                        ...baseFields,
+                        ...(contractKeyboardSignature?.text ? { keyboardSignature: contractKeyboardSignature } : {})
+                    };
+
+                    await addSignatureToPage(
+                        pages[contractConfig.page],
+                        contractConfig,
+                        contractKeyboardSignature?.text ? null : contractDrawing,
+                        contractFields,
+                        pdfDoc,
+                        helveticaFont
+                    );
+                }
             } catch (error) {
-                console.error("Fehler beim Einfügen der Widerrufsunterschrift:", error);
-                res.status(500).json({ error: "Fehler beim Einfügen der Widerrufsunterschrift: " + error.message });
+                console.error("Fehler beim Einfügen der Vertragsunterschrift:", error);
+                res.status(500).json({ error: "Fehler beim Einfügen der Vertragsunterschrift: " + error.message });
                 return;
             }
-        }
 
-        // Save the signed PDF bytes
-        const signedPdfBytes = await pdfDoc.save();
-        
-        // Define destination for the signed PDF in GCS (e.g., in a 'signed' folder)
-        const signedDestinationFilename = `signed/signed_${pdfId}.pdf`;
+            // Add withdrawal signature if accepted
+            if (withdrawalAccepted) {
+                const withdrawalFields = {
+                    ...baseFields,
+                    ...(withdrawalKeyboardSignature?.text ? { keyboardSignature: withdrawalKeyboardSignature } : {})
+                };
+
+                try {
+                    await addSignatureToPage(
+                        pages[withdrawalConfig.page],
+                        withdrawalConfig,
+                        withdrawalKeyboardSignature?.text ? null : withdrawalDrawing,
+                        withdrawalFields,
+                        pdfDoc,
+                        helveticaFont
+                    );
+                } catch (error) {
+                    console.error("Fehler beim Einfügen der Widerrufsunterschrift:", error);
+                    res.status(500).json({ error: "Fehler beim Einfügen der Widerrufsunterschrift: " + error.message });
+                    return;
+                }
+            }
+
+            // Stamp the initials on every page (or the selected pages) the document asks for
+            const initialsBoxes = getInitialsBoxes(signerInitials, pageSizes);
+            if (initialsSubmission) {
+                try {
+                    let drawInitials;
+                    if (initialsSubmission.text) {
+                        const initialsFont = await embedKeyboardFont(pdfDoc, initialsSubmission.font);
+                        drawInitials = (page, box) => drawTextInBox(page, initialsSubmission.text, initialsFont, box);
+                    } else {
+                        drawInitials = await embedDrawnSignature(pdfDoc, initialsSubmission.drawing);
+                    }
+                    initialsBoxes.forEach((box) => drawInitials(pages[box.page], box));
+                } catch (error) {
+                    console.error("Fehler beim Einfügen der Initialen:", error);
+                    res.status(500).json({ error: "Fehler beim Einfügen der Initialen: " + error.message });
+                    return;
+                }
+            }
+
+            // Add positioned text and date fields from the document's layout
+            addLayoutTextFields(pages, signerFields, { ...values, date: baseFields.date }, helveticaFont);
+            fillFormFields(pdfDoc, formInputs, formValues);
+
+            const completed = pdfData.signers.every((s) => s === signer || s.status === 'signed');
+            const signedAt = new Date().toISOString();
+            const audit = {
+                ...signer.audit,
+                ip: req.ip,
+                userAgent: req.get('user-agent') || null,
+                signedAt,
+                method: contractKeyboardSignature?.text ? 'keyboard' : 'signpad',
+                font: contractKeyboardSignature?.text ? contractKeyboardSignature.font || DEFAULT_SIGNATURE_FONT : null,
+                initials: initialsSubmission ? {
+                    method: initialsSubmission.text ? 'keyboard' : 'signpad',
+                    font: initialsSubmission.text ? initialsSubmission.font || DEFAULT_SIGNATURE_FONT : null,
+                    pages: [...new Set(initialsBoxes.map((box) => box.page))]
+                } : null
+            };
+            // What the signer entered and which declarations they accepted, with the texts they saw
+            const signerSubmission = {
+                fields: formSchema.fields
+                    .filter((field) => values[field.name] !== undefined)
+                    .map((field) => ({ name: field.name, label: field.label, value: values[field.name] })),
+                consents: formSchema.consents
+                    .filter((consent) => submission.consents.includes(consent.name))
+                    .map((consent) => ({ name: consent.name, text: consent.text, acceptedAt: signedAt }))
+            };
 
-        // Upload the signed PDF to GCS
-        const signedPdfUrl = await storePdfInBucket(signedPdfBytes, signedDestinationFilename);
+            // Append the Signaturprotokoll once the last signer has signed
+            if (completed) {
+                if (pdfData.flattenForm) {
+                    flattenForm(pdfDoc);
+                }
+                const originalSha256 = pdfData.originalSha256 || sha256(await downloadPdfFromBucket(pdfData.pdfUrl));
+                await appendAuditTrailPage(pdfDoc, {
+                    documentId: pdfId,
+                    originalSha256,
+                    layoutChanges: pdfData.layoutChanges || [],
+                    signers: pdfData.signers.map((s) => (s === signer
+                        ? { ...s, signedBy: { name: fullName, email, location: location || null }, submission: signerSubmission, audit }
+                        : s))
+                });
+            }
 
-        // Optionally: Update pdfStore with the signed URL? 
-        // pdfStore[pdfId].signedPdfUrl = signedPdfUrl; 
-        // await savePdfStore(); // Consider if needed
+            // Save the signed PDF bytes; the finalized document gets the digital signature last
+            const signedPdfBytes = completed && pdfSigner
+                ? await pdfSigner.sign(pdfDoc)
+                : await pdfDoc.save();
+
+            // Intermediate versions are kept per signer; the finished document goes to 'signed'
+            const signedDestinationFilename = completed
+                ? `signed/signed_${pdfId}.pdf`
+                : `signed/partial_${pdfId}_${signer.order}_${signer.id}.pdf`;
+
+            // Upload the signed PDF to storage
+            const signedPdfUrl = await storePdfInBucket(signedPdfBytes, signedDestinationFilename);
+
+            signer.status = 'signed';
+            signer.signedAt = signedAt;
+            signer.signedBy = { name: fullName, email, location: location || null };
+            signer.submission = signerSubmission;
+            signer.withdrawalAccepted = withdrawalAccepted;
+            signer.audit = audit;
+
+            // Keep the stroke data of drawn signatures as evidence in case a signature is disputed
+            if (biometricsVault) {
+                const drawnStrokes = {
+                    contract: contractKeyboardSignature?.text ? null : signatureStrokes,
+                    withdrawal: withdrawalAccepted && !withdrawalKeyboardSignature?.text ? withdrawalSignatureStrokes : null,
+                    initials: initialsSubmission?.drawing
+                };
+                const biometrics = Object.fromEntries(Object.entries(drawnStrokes)
+                    .filter(([, strokes]) => Array.isArray(strokes))
+                    .map(([name, strokes]) => [name, biometricsVault.seal(strokes, { documentId: pdfId, signerId: signer.id, name })]));
+                if (Object.keys(biometrics).length > 0) {
+                    signer.biometrics = biometrics;
+                }
+            }
 
-        // Send webhook notification with stored data and the new signed GCS URL
-        try {
-            const fetch = (await import('node-fetch')).default;
-            await fetch(WEBHOOK_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
+            // Remember the latest version, and where the finished document lives so it can be downloaded later
+            pdfData.currentPdfUrl = signedPdfUrl;
+            if (completed) {
+                pdfData.signedPdfUrl = signedPdfUrl;
+                pdfData.signedSha256 = sha256(signedPdfBytes);
+                transitionDocument(pdfData, 'signed');
+            }
+            await documents.save(pdfId, pdfData);
+
+            // Short-lived link the signer and the webhook receiver can actually open
+            const downloadUrl = completed ? createDownloadUrl(req, pdfId, 'signed') : null;
+            const baseUrl = getBaseUrl(req);
+
+            // Send webhook notification with stored data and the new signed storage URL
+            await webhooks.emit('signed', pdfData, {
+                status: completed ? 'signed' : 'partially_signed',
+                pdfUrl: completed ? signedPdfUrl : null,
+                downloadUrl,
+                signedBy: {
+                    role: signer.role,
+                    name: fullName,
+                    email: email,
+                    location: location || null
                 },
-                body: JSON.stringify({
-                    status: 'signed',
-                    pdfUrl: signedPdfUrl,
-                    signedBy: {
-                        name: fullName,
-                        email: email,
-                        location: location
-                    },
-                    vorname: pdfData.vorname,
-                    card_id: pdfData.card_id,
-                    email: pdfData.email,
-                    withdrawalAccepted: withdrawalAccepted,
-                    timestamp: new Date().toISOString()
-                }),
+                signers: pdfData.signers.map((s) => ({
+                    role: s.role,
+                    name: s.name,
+                    email: s.email,
+                    order: s.order,
+                    status: s.status,
+                    signedAt: s.signedAt
+                })),
+                // Who can sign now (for sequential signing: the next in line)
+                nextSigners: getNextSigners(pdfData).map((s) => ({
+                    role: s.role,
+                    name: s.name,
+                    email: s.email,
+                    signUrl: `${baseUrl}${s.signUrl}`
+                })),
+                vorname: pdfData.vorname,
+                card_id: pdfData.card_id,
+                email: pdfData.email,
+                withdrawalAccepted: withdrawalAccepted,
+                values,
+                consents: signerSubmission.consents,
+                formValues: Object.fromEntries(formInputs.map((field) => [field.name, formValues?.[field.name] ?? null])),
+                timestamp: new Date().toISOString()
             });
-        } catch (error) {
-            console.error('Error sending webhook:', error);
-        }
 
-        res.json({ pdfUrl: signedPdfUrl });
+            res.json({ pdfUrl: downloadUrl, completed, copyByEmail: completed && Boolean(mailer) });
+
+            // Mail the finished document after responding; the signer does not wait for SMTP
+            if (completed && mailer) {
+                mailSignedCopy(pdfData, signedPdfBytes);
+            }
+            // Invite whoever is next in line; the response is already sent, so failures can only be logged
+            if (!completed && pdfData.invitation && mailScheduler) {
+                mailScheduler.invite(pdfData, getNextSigners(pdfData))
+                    .catch((error) => console.error(`Error inviting the next signers of document ${pdfData.id}:`, error));
+            }
+        });
 
     } catch (error) {
         console.error('Error signing PDF:', error);
@@ -624,6 +2103,88 @@ app.post('/api/sign', async (req, res) => {
     }
 });
 
+/**
+ * Mails the finalized document to every signer and to the internal address.
+ * Failures are logged; the addresses that received the copy are recorded on the document.
+ * @param {Object} pdfData - The document record
+ * @param {Buffer|Uint8Array} pdfBytes - The finalized PDF
+ */
+async function mailSignedCopy(pdfData, pdfBytes) {
+    const attachments = [{ filename: `signed_${pdfData.id}.pdf`, content: Buffer.from(pdfBytes), contentType: 'application/pdf' }];
+    const signers = pdfData.signers.map((signer) => ({
+        name: signer.signedBy?.name || signer.name,
+        email: signer.signedBy?.email || signer.email
+    }));
+    const sentTo = [];
+
+    const mails = signers
+        .filter((signer, index) => signer.email && signers.findIndex((s) => s.email === signer.email) === index)
+        .map((signer) => ({
+            to: signer.email,
+            template: 'signedCopy',
+            language: pdfData.language,
+            data: { name: signer.name, documentId: pdfData.id }
+        }));
+    if (mailer.internalAddress) {
+        mails.push({
+            to: mailer.internalAddress,
+            template: 'signedCopyInternal',
+            data: { documentId: pdfData.id, signers, signerNames: signers.map((signer) => signer.name).join(', ') }
+        });
+    }
+
+    for (const mail of mails) {
+        try {
+            await mailer.send({ ...mail, attachments });
+            sentTo.push(mail.to);
+        } catch (error) {
+            console.error(`Error mailing signed document ${pdfData.id} to ${mail.to}:`, error);
+        }
+    }
+
+    try {
+        await documents.update(pdfData.id, (record) => {
+            record.signedCopyMailedTo = sentTo;
+            record.signedCopyMailedAt = new Date().toISOString();
+        });
+    } catch (error) {
+        console.error('Error recording mailed copies:', error);
+    }
+}
+
+/**
+ * Moves documents whose sign links have run out to 'expired'.
+ */
+async function expireDueDocuments() {
+    try {
+        const due = await documents.findDueForExpiry(new Date().toISOString());
+        for (const pdfData of due) {
+            let expired = false;
+            const record = await withDocumentLock(pdfData.id, () => documents.update(pdfData.id, (record) => {
+                if (!isFinal(record)) {
+                    expired = transitionDocument(record, 'expired');
+                }
+            }));
+            if (expired) {
+                console.log(`Document ${pdfData.id} expired.`);
+                await webhooks.emit('expired', record, {
+                    status: 'expired',
+                    expiresAt: record.expiresAt,
+                    vorname: record.vorname,
+                    card_id: record.card_id,
+                    email: record.email
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Error expiring documents:', error);
+    }
+}
+expireDueDocuments();
+setInterval(expireDueDocuments, EXPIRY_CHECK_INTERVAL_MS);
+webhooks.start(WEBHOOK_RETRY_INTERVAL_MS);
+mailScheduler?.start(MAIL_SCHEDULER_INTERVAL_MS);
+
 // Start the server listening on the specified port and host
 const server = app.listen(port, '0.0.0.0', () => {
     // This callback confirms the server *attempted* to listen.
@@ -652,12 +2213,6 @@ server.on('error', (error) => {
     }
 });
 
-// Load the initial PDF store data asynchronously after initiating the listen process
-loadInitialPdfStore().catch(err => {
-    // Log errors during async loading but don't necessarily crash the server
-    console.error("[DEBUG] Error during async PDF store loading:", err);
-});
-
 console.log("[DEBUG] Server setup complete, attempting to listen...");
 
 } catch (globalError) {
@@ -668,89 +2223,21 @@ console.log("[DEBUG] Server setup complete, attempting to listen...");
 
 
 /**
- * Downloads PDF content from a GCS URL/URI.
- * @param {string} gcsPathOrUrl - The GCS URI (gs://...) or public URL (https://...).
+ * Downloads PDF content from the configured storage backend.
+ * @param {string} pdfUrl - The location returned by storePdfInBucket (gs://, s3://, local:// or public URL).
  * @returns {Promise<Buffer>} - The PDF content as a Buffer.
  */
-async function downloadPdfFromGcs(gcsPathOrUrl) {
-    try {
-        let bucketName, filePath;
-        // Extract bucket and file path from gs:// URI or https:// URL
-        if (gcsPathOrUrl.startsWith('gs://')) {
-            const match = gcsPathOrUrl.match(/^gs:\/\/([^\/]+)\/(.+)$/);
-            if (!match) throw new Error(`Invalid GCS URI format: ${gcsPathOrUrl}`);
-            bucketName = match[1];
-            filePath = match[2];
-        } else if (gcsPathOrUrl.startsWith('https://storage.googleapis.com/')) {
-            const match = gcsPathOrUrl.match(/^https:\/\/storage\.googleapis\.com\/([^\/]+)\/(.+)$/);
-            if (!match) throw new Error(`Invalid GCS public URL format: ${gcsPathOrUrl}`);
-            bucketName = match[1];
-            filePath = match[2];
-            // Security check: Ensure the bucket matches the configured one if downloading via public URL
-            if (bucketName !== BUCKET_NAME) {
-                 console.warn(`Attempted download from unexpected bucket via public URL: ${bucketName}`);
-                 throw new Error(`Invalid bucket in public URL.`);
-            }
-        } else {
-            throw new Error(`Unsupported PDF URL format for download: ${gcsPathOrUrl}`);
-        }
-
-        // Check if the bucket we are downloading from is the configured one
-        if (bucketName !== BUCKET_NAME) {
-             console.warn(`Attempted download from unexpected bucket: ${bucketName}`);
-             throw new Error(`Cannot download from bucket ${bucketName}, expected ${BUCKET_NAME}.`);
-        }
-
-        const [contents] = await storage.bucket(bucketName).file(filePath).download();
-        console.log(`Downloaded PDF from gs://${bucketName}/${filePath}`);
-        return contents; // contents is a Buffer
-    } catch (error) {
-        console.error(`ERROR downloading PDF from GCS "${gcsPathOrUrl}":`, error);
-        // Improve error message based on common GCS errors
-        if (error.code === 404 || error.message.includes('Not Found')) {
-             throw new Error(`PDF not found at GCS location: ${gcsPathOrUrl}.`);
-        } else if (error.code === 403 || error.message.includes('does not have storage.objects.get access')) {
-             throw new Error(`Permission denied to download PDF from GCS: ${gcsPathOrUrl}. Check Cloud Run service account permissions.`);
-        }
-        throw new Error(`Failed to download PDF from GCS: ${gcsPathOrUrl}.`);
-    }
+async function downloadPdfFromBucket(pdfUrl) {
+    return storageDriver.read(pdfUrl);
 }
 
 
 /**
- * Uploads PDF bytes to Google Cloud Storage.
+ * Uploads PDF bytes to the configured storage backend.
  * @param {Buffer} pdfBytes - The PDF content as a Buffer.
- * @param {string} destinationFilename - The desired filename in the GCS bucket (e.g., 'pdfs/document.pdf').
- * @returns {Promise<string>} - The GCS URI (gs://...) or public URL (https://...) of the uploaded file.
+ * @param {string} destinationFilename - The desired filename in the bucket (e.g., 'pdfs/document.pdf').
+ * @returns {Promise<string>} - The URI (gs://, s3://, local://) or public URL of the uploaded file.
  */
 async function storePdfInBucket(pdfBytes, destinationFilename) {
-    const file = storage.bucket(BUCKET_NAME).file(destinationFilename);
-
-    try {
-        await file.save(pdfBytes, {
-            metadata: {
-                contentType: 'application/pdf',
-                // Add any other metadata here if needed
-            },
-            // Optionally set predefined ACL if making public immediately
-            // predefinedAcl: MAKE_PUBLIC ? 'publicRead' : undefined, // Alternative to calling makePublic() later
-        });
-        console.log(`PDF uploaded to gs://${BUCKET_NAME}/${destinationFilename}`);
-
-        if (MAKE_PUBLIC) {
-            // Make the file public if configured
-            await file.makePublic();
-            const publicUrl = `https://storage.googleapis.com/${BUCKET_NAME}/${destinationFilename}`;
-            console.log(`PDF made public at: ${publicUrl}`);
-            return publicUrl;
-        } else {
-            // Return the GCS URI for private files
-            const gcsUri = `gs://${BUCKET_NAME}/${destinationFilename}`;
-            return gcsUri;
-        }
-    } catch (error) {
-        console.error(`ERROR uploading PDF to GCS bucket "${BUCKET_NAME}":`, error);
-        // Re-throw the error to be handled by the calling route
-        throw new Error(`Failed to upload PDF to bucket ${BUCKET_NAME}.`);
-    }
+    return storageDriver.save(destinationFilename, pdfBytes, { contentType: 'application/pdf' });
 }
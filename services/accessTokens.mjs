@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+let secret;
+
+/**
+ * Returns the token secret, read lazily so values loaded by dotenv are picked up.
+ * @returns {string} - The HMAC secret
+ */
+function getSecret() {
+    if (!secret) {
+        secret = process.env.ACCESS_TOKEN_SECRET;
+        if (!secret) {
+            // Tokens signed with a random secret only survive until restart and are not shared between instances
+            console.warn('ACCESS_TOKEN_SECRET is not set; using a random secret. Links will stop working after a restart.');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+    return secret;
+}
+
+/**
+ * Computes the HMAC signature for a token payload.
+ * @param {string} purpose - What the token grants access to (e.g., 'pdf')
+ * @param {string} id - The resource ID (e.g., pdfId)
+ * @param {number} expiresAt - Expiry as Unix timestamp in seconds
+ * @returns {string} - Base64url encoded signature
+ */
+function sign(purpose, id, expiresAt) {
+    return crypto.createHmac('sha256', getSecret())
+        .update(`${purpose}:${id}:${expiresAt}`)
+        .digest('base64url');
+}
+
+/**
+ * Creates a signed, time-limited access token for a single resource.
+ * @param {string} purpose - What the token grants access to (e.g., 'pdf')
+ * @param {string} id - The resource ID
+ * @param {number} ttlSeconds - Lifetime of the token in seconds
+ * @returns {string} - Token in the form "<expiresAt>.<signature>"
+ */
+export function createAccessToken(purpose, id, ttlSeconds) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${expiresAt}.${sign(purpose, id, expiresAt)}`;
+}
+
+/**
+ * Checks that a token was issued for this purpose and resource and has not expired.
+ * @param {string} token - The token from the request
+ * @param {string} purpose - The expected purpose
+ * @param {string} id - The expected resource ID
+ * @returns {boolean} - True if the token is valid
+ */
+export function verifyAccessToken(token, purpose, id) {
+    if (typeof token !== 'string') return false;
+
+    const [expiresAtPart, signature] = token.split('.');
+    const expiresAt = Number(expiresAtPart);
+    if (!Number.isInteger(expiresAt) || !signature) return false;
+    if (expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(sign(purpose, id, expiresAt));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,289 @@
+import {
+    PDFName,
+    PDFTextField,
+    PDFCheckBox,
+    PDFDropdown,
+    PDFOptionList,
+    PDFRadioGroup,
+    PDFSignature
+} from 'pdf-lib';
+import { drawTextInBox } from './signatureImage.mjs';
+import { toEncodable } from './pdfText.mjs';
+
+// Form field types exposed to the sign page; push buttons are not supported
+export const FORM_FIELD_TYPES = ['text', 'checkbox', 'dropdown', 'radio', 'signature'];
+
+// Longest value accepted for a text field without its own maximum length
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Maps a pdf-lib form field to one of FORM_FIELD_TYPES.
+ * @param {PDFField} field - The form field
+ * @returns {string|null} - The type, or null for unsupported fields
+ */
+function getFieldType(field) {
+    if (field instanceof PDFTextField) return 'text';
+    if (field instanceof PDFCheckBox) return 'checkbox';
+    if (field instanceof PDFDropdown || field instanceof PDFOptionList) return 'dropdown';
+    if (field instanceof PDFRadioGroup) return 'radio';
+    if (field instanceof PDFSignature) return 'signature';
+    return null;
+}
+
+/**
+ * Reads the label of a form field: the tooltip (TU) the PDF author set, else the field name.
+ * @param {PDFField} field - The form field
+ * @returns {string} - Label for the sign page
+ */
+function getFieldLabel(field) {
+    const tooltip = field.acroField.dict.lookup(PDFName.of('TU'));
+    const label = tooltip?.decodeText ? tooltip.decodeText().trim() : '';
+    return label || field.getName();
+}
+
+/**
+ * Reads the current value of a form field.
+ * @param {PDFField} field - The form field
+ * @param {string} type - The field type
+ * @returns {string|boolean|null} - The value
+ */
+function getFieldValue(field, type) {
+    switch (type) {
+        case 'text':
+            return field.getText() ?? null;
+        case 'checkbox':
+            return field.isChecked();
+        case 'dropdown':
+            return field.getSelected()[0] ?? null;
+        case 'radio':
+            return field.getSelected() ?? null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Finds the page index a widget annotation sits on.
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {PDFWidgetAnnotation} widget - The widget
+ * @returns {number} - Page index, -1 if the widget is not on any page
+ */
+function findWidgetPageIndex(pdfDoc, widget) {
+    const pages = pdfDoc.getPages();
+    const pageRef = widget.P();
+    const index = pages.findIndex((page) => page.ref === pageRef);
+    if (index !== -1) {
+        return index;
+    }
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    return pages.findIndex((page) => page.node.Annots()?.asArray().includes(widgetRef));
+}
+
+/**
+ * Reads the AcroForm fields of a PDF, with the position of every widget in PDF points.
+ * Read-only and unsupported fields are left out.
+ * @param {PDFDocument} pdfDoc - The document
+ * @returns {Array|null} - Form fields, or null if the PDF has none
+ */
+export function readFormFields(pdfDoc) {
+    const formFields = pdfDoc.getForm().getFields()
+        .map((field) => ({ field, type: getFieldType(field) }))
+        .filter(({ field, type }) => type && !field.isReadOnly())
+        .map(({ field, type }) => {
+            const formField = {
+                name: field.getName(),
+                type,
+                label: getFieldLabel(field),
+                required: type !== 'signature' && field.isRequired(),
+                value: getFieldValue(field, type),
+                widgets: field.acroField.getWidgets()
+                    .map((widget) => ({ page: findWidgetPageIndex(pdfDoc, widget), ...widget.getRectangle() }))
+                    .filter((widget) => widget.page !== -1)
+            };
+            if (type === 'text') {
+                formField.maxLength = field.getMaxLength() ?? null;
+                formField.multiline = field.isMultiline();
+            }
+            if (type === 'dropdown' || type === 'radio') {
+                formField.options = field.getOptions();
+            }
+            return formField;
+        });
+    return formFields.length > 0 ? formFields : null;
+}
+
+/**
+ * Assigns form fields to signers. Fields without an assignment belong to the first signer.
+ * @param {Array|null} formFields - Result of readFormFields
+ * @param {string|Object|undefined} input - Field name to signer role, e.g. {"Firma": "customer"} (JSON string in multipart forms)
+ * @param {Array} signers - The document's signers
+ * @returns {Array|null} - The form fields with `signer` set where assigned
+ */
+export function assignFormFieldSigners(formFields, input, signers) {
+    if (input === undefined || input === null || input === '') {
+        return formFields;
+    }
+    let assignments = input;
+    if (typeof input === 'string') {
+        try {
+            assignments = JSON.parse(input);
+        } catch (error) {
+            throw new Error('formFieldSigners ist kein gültiges JSON.');
+        }
+    }
+    if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) {
+        throw new Error('formFieldSigners muss ein Objekt aus Feldname und Rolle sein.');
+    }
+
+    const roles = signers.map((signer) => signer.role);
+    Object.entries(assignments).forEach(([name, role]) => {
+        if (!formFields?.some((field) => field.name === name)) {
+            throw new Error(`formFieldSigners: Das PDF hat kein Formularfeld "${name}".`);
+        }
+        if (!roles.includes(role)) {
+            throw new Error(`formFieldSigners: "${role}" ist kein definierter Unterzeichner.`);
+        }
+    });
+    return formFields.map((field) => (assignments[field.name] ? { ...field, signer: assignments[field.name] } : field));
+}
+
+/**
+ * Checks the values a signer submitted for their form fields.
+ * @param {Array} formFields - The signer's form fields (without signature fields)
+ * @param {Object} values - Submitted values by field name
+ * @param {Object} validation - Collector from createValidation(); errors are recorded as "formValues.<name>"
+ */
+export function validateFormValues(formFields, values, validation) {
+    for (const field of formFields) {
+        const key = `formValues.${field.name}`;
+        const value = values?.[field.name];
+        const empty = value === undefined || value === null || value === '' || value === false;
+        if (empty) {
+            if (field.required && field.type === 'checkbox') {
+                validation.add(key, 'not_accepted', `Bitte bestätige "${field.label}".`);
+            } else if (field.required) {
+                validation.add(key, 'required', `Bitte fülle das Feld "${field.label}" aus.`);
+            }
+            continue;
+        }
+        if (field.type === 'checkbox' && value !== true && value !== 'true') {
+            validation.add(key, 'invalid_type', `Ungültiger Wert für "${field.label}".`);
+        }
+        if (field.type === 'text') {
+            validation.text(key, value, { label: field.label, maxLength: field.maxLength ?? MAX_TEXT_LENGTH });
+        }
+        if ((field.type === 'dropdown' || field.type === 'radio') && !field.options.includes(value)) {
+            validation.add(key, 'invalid_option', `Bitte wähle für "${field.label}" eine der vorgegebenen Optionen.`);
+        }
+    }
+}
+
+/**
+ * Fills the submitted values into the document's form fields. Field appearances are drawn with
+ * the form's standard font, so text is reduced to what it can encode (see services/pdfText.mjs).
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Array} formFields - The signer's form fields (validated with validateFormValues)
+ * @param {Object} values - Submitted values by field name
+ */
+export function fillFormFields(pdfDoc, formFields, values) {
+    const form = pdfDoc.getForm();
+    formFields.forEach((formField) => {
+        const value = values?.[formField.name];
+        switch (formField.type) {
+            case 'text':
+                form.getTextField(formField.name).setText(value ? toEncodable(form.getDefaultFont(), value) : undefined);
+                break;
+            case 'checkbox':
+                if (value === true || value === 'true') {
+                    form.getCheckBox(formField.name).check();
+                } else {
+                    form.getCheckBox(formField.name).uncheck();
+                }
+                break;
+            case 'dropdown': {
+                const field = form.getField(formField.name);
+                if (value) {
+                    field.select(value);
+                } else {
+                    field.clear();
+                }
+                break;
+            }
+            case 'radio':
+                if (value) {
+                    form.getRadioGroup(formField.name).select(value);
+                }
+                break;
+            default:
+                break;
+        }
+    });
+}
+
+/**
+ * Draws a drawn signature into the rectangles of signature widgets, centered and scaled to fit.
+ * @param {PDFPage[]} pages - The pages of the document
+ * @param {Array} signatureFields - Signature form fields (with widgets)
+ * @param {Function} drawSignature - draw(page, box) from embedDrawnSignature()
+ */
+export function drawSignatureInWidgets(pages, signatureFields, drawSignature) {
+    signatureFields.flatMap((field) => field.widgets).forEach((widget) => {
+        drawSignature(pages[widget.page], widget);
+    });
+}
+
+/**
+ * Writes a keyboard signature into the rectangles of signature widgets, sized to fit.
+ * @param {PDFPage[]} pages - The pages of the document
+ * @param {Array} signatureFields - Signature form fields (with widgets)
+ * @param {string} text - The typed signature
+ * @param {PDFFont} font - The embedded signature font
+ */
+export function drawTextInWidgets(pages, signatureFields, text, font) {
+    signatureFields.flatMap((field) => field.widgets).forEach((widget) => {
+        drawTextInBox(pages[widget.page], text, font, widget);
+    });
+}
+
+/**
+ * Checks whether a widget has a normal appearance stream that flattening can draw.
+ * @param {PDFWidgetAnnotation} widget - The widget
+ * @returns {boolean} - True if the widget has an appearance
+ */
+function hasAppearance(widget) {
+    try {
+        return Boolean(widget.getAppearances()?.normal);
+    } catch (error) {
+        return false; // Malformed appearance dictionary
+    }
+}
+
+/**
+ * Removes a field and its widgets from the document. Unlike PDFForm.removeField this works
+ * for widgets without an appearance stream.
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {PDFField} field - The field to remove
+ */
+function removeField(pdfDoc, field) {
+    const refs = [
+        field.ref,
+        ...field.acroField.getWidgets().map((widget) => pdfDoc.context.getObjectRef(widget.dict))
+    ].filter(Boolean);
+    pdfDoc.getPages().forEach((page) => refs.forEach((ref) => page.node.removeAnnot(ref)));
+    pdfDoc.getForm().acroForm.removeField(field.acroField);
+    refs.forEach((ref) => pdfDoc.context.delete(ref));
+}
+
+/**
+ * Flattens the form: field values become part of the page content and the fields are removed.
+ * Fields without an appearance (usually signature fields, whose signature is drawn onto the page) are just removed.
+ * @param {PDFDocument} pdfDoc - The document
+ */
+export function flattenForm(pdfDoc) {
+    const form = pdfDoc.getForm();
+    form.updateFieldAppearances();
+    form.getFields()
+        .filter((field) => !field.acroField.getWidgets().every(hasAppearance))
+        .forEach((field) => removeField(pdfDoc, field));
+    form.flatten({ updateFieldAppearances: false });
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { StandardFonts, rgb } from 'pdf-lib';
+import { drawEncodableText, toEncodable } from './pdfText.mjs';
+
+const PAGE_WIDTH = 595; // A4 width in points
+const PAGE_HEIGHT = 842; // A4 height in points
+const MARGIN = 50;
+const LABEL_WIDTH = 120;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 14;
+
+// Form fields already shown as Name and E-Mail
+const BUILT_IN_FIELD_NAMES = ['fullName', 'email'];
+
+const METHOD_LABELS = {
+    signpad: 'Signaturfeld (Maus/Touchpad)',
+    keyboard: 'Tastatur'
+};
+
+/**
+ * Computes the SHA-256 hash of a file.
+ * @param {Buffer|Uint8Array} bytes - The file content
+ * @returns {string} - Hex encoded hash
+ */
+export function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Formats an ISO timestamp as UTC for the protocol.
+ * @param {string|null} isoString - ISO 8601 timestamp
+ * @returns {string} - e.g. "2025-01-31 14:05:09 UTC", or "-" if missing
+ */
+function formatUtc(isoString) {
+    if (!isoString) return '-';
+    return `${new Date(isoString).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+}
+
+/**
+ * Splits text into lines that fit the given width; long tokens (hashes, user agents) are broken hard.
+ * @param {PDFFont} font - The font used for measuring
+ * @param {string} text - The text to wrap
+ * @param {number} maxWidth - Available width in points
+ * @returns {string[]} - The lines
+ */
+function wrapText(font, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const char of text) {
+        if (font.widthOfTextAtSize(line + char, FONT_SIZE) > maxWidth) {
+            // Prefer breaking at the last space in the line
+            const breakAt = line.lastIndexOf(' ');
+            if (breakAt > 0) {
+                lines.push(line.slice(0, breakAt));
+                line = line.slice(breakAt + 1);
+            } else {
+                lines.push(line);
+                line = '';
+            }
+        }
+        line += char;
+    }
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * Appends the "Signaturprotokoll" page(s) to a signed PDF.
+ * @param {PDFDocument} pdfDoc - The signed PDF document
+ * @param {Object} audit
+ * @param {string} audit.documentId - The document ID
+ * @param {string} audit.originalSha256 - Hash of the uploaded original
+ * @param {Array} [audit.layoutChanges] - Changes of the field layout before the first signature ({ at, ip, fields, initials })
+ * @param {Array} audit.signers - Signers with role, signedBy, submission ({ fields, consents }) and audit ({ ip, userAgent, viewedAt, signedAt, method, font })
+ */
+export async function appendAuditTrailPage(pdfDoc, { documentId, originalSha256, layoutChanges = [], signers }) {
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const valueWidth = PAGE_WIDTH - 2 * MARGIN - LABEL_WIDTH;
+
+    let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+
+    // Continue on a new page when the current one is full
+    const ensureSpace = (height) => {
+        if (y - height < MARGIN) {
+            page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+            y = PAGE_HEIGHT - MARGIN;
+        }
+    };
+
+    const drawHeading = (text, size) => {
+        ensureSpace(size + LINE_HEIGHT);
+        drawEncodableText(page, text, { x: MARGIN, y, size, font: boldFont, color: rgb(0, 0, 0) });
+        y -= size + LINE_HEIGHT / 2;
+    };
+
+    const drawRow = (label, value) => {
+        const lines = wrapText(font, toEncodable(font, value ?? '-'), valueWidth);
+        ensureSpace(lines.length * LINE_HEIGHT);
+        drawEncodableText(page, label, { x: MARGIN, y, size: FONT_SIZE, font: boldFont, color: rgb(0, 0, 0) });
+        lines.forEach((line) => {
+            page.drawText(line, { x: MARGIN + LABEL_WIDTH, y, size: FONT_SIZE, font, color: rgb(0, 0, 0) });
+            y -= LINE_HEIGHT;
+        });
+    };
+
+    drawHeading('Signaturprotokoll', 18);
+    drawRow('Dokument-ID:', documentId);
+    drawRow('SHA-256 Original:', originalSha256);
+    layoutChanges.forEach((change) => {
+        drawRow('Layout geändert:', `${formatUtc(change.at)} (${change.fields} Felder, ${change.initials} Initialen, IP ${change.ip})`);
+    });
+    drawRow('Erstellt:', formatUtc(new Date().toISOString()));
+    y -= LINE_HEIGHT;
+
+    signers.forEach((signer, index) => {
+        const audit = signer.audit || {};
+        const method = METHOD_LABELS[audit.method] || audit.method || '-';
+        drawHeading(`Unterzeichner ${index + 1} (${signer.role})`, 12);
+        drawRow('Name:', signer.signedBy?.name);
+        drawRow('E-Mail:', signer.signedBy?.email);
+        // Further form entries; labels can be long, so they go into the value column
+        (signer.submission?.fields || [])
+            .filter((field) => !BUILT_IN_FIELD_NAMES.includes(field.name))
+            .forEach((field) => drawRow('Angabe:', `${field.label}: ${field.value}`));
+        // Accepted declarations with the exact text the signer agreed to
+        (signer.submission?.consents || []).forEach((consent) => {
+            drawRow('Zustimmung:', formatUtc(consent.acceptedAt));
+            drawRow('', `"${consent.text}"`);
+        });
+        drawRow('IP-Adresse:', audit.ip);
+        drawRow('User-Agent:', audit.userAgent);
+        drawRow('Geöffnet:', formatUtc(audit.viewedAt));
+        // Lockouts after too many codes or wrong entries, and when the sender lifted them
+        (audit.otpLockouts || []).forEach((lockout) => {
+            const reason = lockout.reason === 'sends' ? 'zu viele angeforderte Codes' : 'zu viele falsche Codes';
+            const unlocked = lockout.unlockedAt ? `, aufgehoben ${formatUtc(lockout.unlockedAt)}` : '';
+            drawRow('Code gesperrt:', `${formatUtc(lockout.lockedAt)} (${reason}, IP ${lockout.ip})${unlocked}`);
+        });
+        if (audit.otp?.verifiedAt) {
+            drawRow('E-Mail bestätigt:', `${audit.otp.email} per Einmalcode, ${formatUtc(audit.otp.verifiedAt)}`);
+        }
+        drawRow('Unterschrieben:', formatUtc(audit.signedAt || signer.signedAt));
+        drawRow('Methode:', audit.font ? `${method} (${audit.font})` : method);
+        if (audit.initials) {
+            const initialsMethod = METHOD_LABELS[audit.initials.method] || audit.initials.method;
+            const pages = audit.initials.pages.map((page) => page + 1).join(', ');
+            drawRow('Initialen:', `Seite ${pages}, ${audit.initials.font ? `${initialsMethod} (${audit.initials.font})` : initialsMethod}`);
+        }
+        // Reads of the encrypted stroke data before the last signature
+        (audit.biometricsAccess || []).forEach((access) => {
+            drawRow('Strichdaten:', `abgerufen ${formatUtc(access.at)} (${access.signatures.join(', ')}, IP ${access.ip})`);
+        });
+        y -= LINE_HEIGHT;
+    });
+}
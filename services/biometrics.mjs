@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Reads the encryption key, given as 64 hex digits or as base64.
+ * @param {string} value - The configured key
+ * @returns {Buffer} - The 32 key bytes
+ */
+function parseKey(value) {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error('BIOMETRICS_KEY must be 32 bytes, given as 64 hex digits or base64.');
+    }
+    return key;
+}
+
+/**
+ * Summarizes stroke data for listings: how much was drawn and how long it took.
+ * @param {Array} strokes - Point groups from signature_pad's toData()
+ * @returns {Object} - { strokeCount, pointCount, durationMs } (durationMs null without timestamps)
+ */
+export function describeStrokes(strokes) {
+    const times = strokes.flatMap((stroke) => stroke.points.map((point) => point.time)).filter(Number.isFinite);
+    return {
+        strokeCount: strokes.length,
+        pointCount: strokes.reduce((count, stroke) => count + stroke.points.length, 0),
+        durationMs: times.length > 0 ? Math.max(...times) - Math.min(...times) : null
+    };
+}
+
+/**
+ * Creates the vault for signature stroke data (pressure, timing and position of every point) kept as evidence.
+ * The data is encrypted with AES-256-GCM and bound to the document, signer and signature block it was captured for,
+ * so a stored value cannot be moved to another signer without failing to decrypt.
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object|null} - Vault with seal() and open(), or null if BIOMETRICS_KEY is not set (stroke data is not stored)
+ */
+export function createBiometricsVault(env) {
+    if (!env.BIOMETRICS_KEY) {
+        return null;
+    }
+    const key = parseKey(env.BIOMETRICS_KEY);
+    const associatedData = ({ documentId, signerId, name }) => Buffer.from(`${documentId}:${signerId}:${name}`);
+
+    return {
+        /**
+         * Encrypts the stroke data of one signature.
+         * @param {Array} strokes - Point groups from signature_pad's toData()
+         * @param {Object} context - { documentId, signerId, name } of the signature block
+         * @returns {Object} - Stored form: { algorithm, iv, tag, data, capturedAt }, binary values base64 encoded
+         */
+        seal(strokes, context) {
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+            cipher.setAAD(associatedData(context));
+            const data = Buffer.concat([cipher.update(JSON.stringify(strokes), 'utf8'), cipher.final()]);
+            return {
+                algorithm: ALGORITHM,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64'),
+                capturedAt: new Date().toISOString()
+            };
+        },
+
+        /**
+         * Decrypts stored stroke data.
+         * @param {Object} sealed - The stored form from seal()
+         * @param {Object} context - { documentId, signerId, name } it was sealed for
+         * @returns {Array} - The point groups
+         * @throws {Error} - If the key is wrong or the data was altered
+         */
+        open(sealed, context) {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+            decipher.setAAD(associatedData(context));
+            decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+            const json = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+            return JSON.parse(json.toString('utf8'));
+        }
+    };
+}
@@ -0,0 +1,22 @@
+// Tail of the pending work per document ID
+const queues = new Map();
+
+/**
+ * Runs a task while holding an in-process lock for a document, so concurrent
+ * requests for the same document (e.g. parallel signers) are applied one after another.
+ * @param {string} documentId - The document to lock
+ * @param {Function} task - Async function to run under the lock
+ * @returns {Promise<*>} - The task's result
+ */
+export function withDocumentLock(documentId, task) {
+    const previous = queues.get(documentId) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+    queues.set(documentId, tail);
+    tail.then(() => {
+        if (queues.get(documentId) === tail) {
+            queues.delete(documentId);
+        }
+    });
+    return result;
+}
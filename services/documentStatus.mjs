@@ -0,0 +1,81 @@
+// Lifecycle of a document from upload to a final state
+export const DOCUMENT_STATES = ['created', 'sent', 'viewed', 'signed', 'declined', 'expired', 'revoked'];
+export const FINAL_STATES = ['signed', 'declined', 'expired', 'revoked'];
+
+// Allowed transitions; final states have none
+const TRANSITIONS = {
+    created: ['sent', 'viewed', 'signed', 'declined', 'expired', 'revoked'],
+    sent: ['viewed', 'signed', 'declined', 'expired', 'revoked'],
+    viewed: ['signed', 'declined', 'expired', 'revoked'],
+    signed: [],
+    declined: [],
+    expired: [],
+    revoked: []
+};
+
+/**
+ * Returns the current state, deriving it for records created before states were tracked.
+ * @param {Object} record - The document record
+ * @returns {string} - One of DOCUMENT_STATES
+ */
+export function getDocumentStatus(record) {
+    return record.status || (record.signedPdfUrl ? 'signed' : 'created');
+}
+
+/**
+ * Checks whether a document has reached a final state.
+ * @param {Object} record - The document record
+ * @returns {boolean} - True if no further transitions are possible
+ */
+export function isFinal(record) {
+    return FINAL_STATES.includes(getDocumentStatus(record));
+}
+
+/**
+ * Explains to the signer why a document can no longer be opened or signed.
+ * @param {Object} record - The document record
+ * @returns {string|null} - A German message, or null if the document is still open or signed
+ */
+export function getClosedMessage(record) {
+    switch (getDocumentStatus(record)) {
+        case 'declined':
+            return 'Die Unterzeichnung dieses Dokuments wurde abgelehnt.';
+        case 'expired':
+            return 'Dieser Link ist abgelaufen.';
+        case 'revoked':
+            return 'Dieser Link wurde vom Absender widerrufen.';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Starts the lifecycle of a new document in the 'created' state.
+ * @param {Object} record - The new document record (changed in place)
+ * @param {string} at - ISO timestamp
+ */
+export function initDocumentStatus(record, at) {
+    record.status = 'created';
+    record.statusHistory = [{ from: null, to: 'created', at }];
+}
+
+/**
+ * Moves a document to a new state and records the transition with a timestamp.
+ * Moving to the current state is a no-op.
+ * @param {Object} record - The document record (changed in place)
+ * @param {string} to - The target state
+ * @param {Object} [details] - Extra data stored with the transition (e.g., signer role, reason)
+ * @returns {boolean} - True if the state changed
+ */
+export function transitionDocument(record, to, details = {}) {
+    const from = getDocumentStatus(record);
+    if (from === to) {
+        return false;
+    }
+    if (!TRANSITIONS[from]?.includes(to)) {
+        throw new Error(`Ungültiger Statuswechsel von "${from}" nach "${to}".`);
+    }
+    record.status = to;
+    record.statusHistory = [...(record.statusHistory || []), { from, to, at: new Date().toISOString(), ...details }];
+    return true;
+}
@@ -0,0 +1,196 @@
+import pdfConfig from '../pdfConfig.mjs';
+
+// Supported field types and the signature slots that can be placed per document
+export const FIELD_TYPES = ['signature', 'text', 'date'];
+export const SIGNATURE_NAMES = ['contract', 'withdrawal'];
+export const TEXT_FIELD_NAMES = ['fullName', 'email', 'location'];
+
+// Vertical gap between the signature box and the text block drawn above it (matches pdfConfig defaults)
+const TEXT_BLOCK_OFFSET = 150;
+// The text block runs down from textBlockY: label, up to four fields and the keyboard signature, 25 points apart
+const TEXT_BLOCK_HEIGHT = 175;
+// Distance of the text block from the page edge and from the signature box when it goes below it
+const TEXT_BLOCK_MARGIN = 20;
+
+/**
+ * Reads a finite number from a field property.
+ * @param {Object} field - The raw field definition
+ * @param {string} key - Property name
+ * @param {number} index - Field index, used in error messages
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Allow the property to be missing
+ * @param {number} [options.min] - Minimum allowed value
+ * @returns {number|undefined} - The number
+ */
+function readNumber(field, key, index, { optional = false, min } = {}) {
+    const value = field[key];
+    if (value === undefined || value === null) {
+        if (optional) return undefined;
+        throw new Error(`fields[${index}].${key} fehlt.`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || (min !== undefined && number < min)) {
+        throw new Error(`fields[${index}].${key} ist ungültig.`);
+    }
+    return number;
+}
+
+/**
+ * Reads the optional position of the text block of a signature field, which has to start on the page.
+ * @param {Object} field - The raw field definition
+ * @param {number} index - Field index, used in error messages
+ * @param {number} pageHeight - Height of the field's page
+ * @returns {number|undefined} - The position, undefined if it is derived from the box
+ */
+function readTextBlockY(field, index, pageHeight) {
+    const textBlockY = readNumber(field, 'textBlockY', index, { optional: true, min: 0 });
+    if (textBlockY !== undefined && textBlockY > pageHeight - TEXT_BLOCK_MARGIN) {
+        throw new Error(`fields[${index}].textBlockY liegt außerhalb der Seite (${pageHeight} hoch).`);
+    }
+    return textBlockY;
+}
+
+/**
+ * Places the text block of a signature field without an explicit textBlockY: above the box as in the
+ * pdfConfig defaults, below it when the box is too close to the top of the page, and at the top of the page
+ * when there is no room below either.
+ * @param {Object} field - The normalized signature field
+ * @param {number} pageHeight - Height of the field's page
+ * @returns {number} - textBlockY in PDF points
+ */
+function getTextBlockY(field, pageHeight) {
+    const above = field.y + field.height + TEXT_BLOCK_OFFSET;
+    if (above <= pageHeight - TEXT_BLOCK_MARGIN) {
+        return above;
+    }
+    const below = field.y - TEXT_BLOCK_MARGIN;
+    return below - TEXT_BLOCK_HEIGHT >= 0 ? below : pageHeight - TEXT_BLOCK_MARGIN;
+}
+
+/**
+ * Parses and validates a per-document field layout supplied at upload time.
+ * Coordinates are PDF points with the origin in the bottom-left corner of the page;
+ * pages are 0-based. Fields may name the role of the signer they belong to ("signer").
+ * @param {string|Array|undefined} input - JSON string or array of field definitions
+ * @param {Array<{width: number, height: number}>} pageSizes - Sizes of the document's pages
+ * @param {string[]} [textFieldNames=TEXT_FIELD_NAMES] - Names text fields may have (the form schema's fields)
+ * @returns {Array|null} - Normalized field list, or null if no layout was supplied
+ */
+export function parseFieldLayout(input, pageSizes, textFieldNames = TEXT_FIELD_NAMES) {
+    if (input === undefined || input === null || input === '') {
+        return null;
+    }
+
+    let fields = input;
+    if (typeof input === 'string') {
+        try {
+            fields = JSON.parse(input);
+        } catch (error) {
+            throw new Error('fields ist kein gültiges JSON.');
+        }
+    }
+    if (!Array.isArray(fields)) {
+        throw new Error('fields muss ein Array sein.');
+    }
+
+    const seenSignatures = new Set();
+    return fields.map((field, index) => {
+        if (!field || typeof field !== 'object') {
+            throw new Error(`fields[${index}] ist ungültig.`);
+        }
+        if (!FIELD_TYPES.includes(field.type)) {
+            throw new Error(`fields[${index}].type muss einer von ${FIELD_TYPES.join(', ')} sein.`);
+        }
+
+        const page = readNumber(field, 'page', index, { min: 0 });
+        if (!Number.isInteger(page) || page >= pageSizes.length) {
+            throw new Error(`fields[${index}].page ${field.page} existiert nicht (Dokument hat ${pageSizes.length} Seiten).`);
+        }
+        if (field.signer !== undefined && (typeof field.signer !== 'string' || !field.signer.trim())) {
+            throw new Error(`fields[${index}].signer ist ungültig.`);
+        }
+        const signer = field.signer ? { signer: field.signer.trim() } : {};
+
+        const { width: pageWidth, height: pageHeight } = pageSizes[page];
+        const x = readNumber(field, 'x', index, { min: 0 });
+        const y = readNumber(field, 'y', index, { min: 0 });
+        if (x > pageWidth || y > pageHeight) {
+            throw new Error(`fields[${index}] liegt außerhalb der Seite (${pageWidth}x${pageHeight}).`);
+        }
+
+        if (field.type === 'signature') {
+            const name = field.name || 'contract';
+            if (!SIGNATURE_NAMES.includes(name)) {
+                throw new Error(`fields[${index}].name muss einer von ${SIGNATURE_NAMES.join(', ')} sein.`);
+            }
+            const key = `${name}:${signer.signer || ''}`;
+            if (seenSignatures.has(key)) {
+                throw new Error(`Unterschriftsfeld "${name}" ist mehrfach definiert.`);
+            }
+            seenSignatures.add(key);
+            return {
+                type: 'signature',
+                name,
+                ...signer,
+                page,
+                x,
+                y,
+                width: readNumber(field, 'width', index, { min: 1 }),
+                height: readNumber(field, 'height', index, { min: 1 }),
+                textBlockY: readTextBlockY(field, index, pageHeight)
+            };
+        }
+
+        if (field.type === 'text' && !textFieldNames.includes(field.name)) {
+            throw new Error(`fields[${index}].name muss einer von ${textFieldNames.join(', ')} sein.`);
+        }
+        return {
+            type: field.type,
+            ...(field.type === 'text' ? { name: field.name } : {}),
+            ...signer,
+            page,
+            x,
+            y,
+            fontSize: readNumber(field, 'fontSize', index, { optional: true, min: 1 }) || 12
+        };
+    });
+}
+
+/**
+ * Checks that the text fields of a stored layout refer to fields of a form schema,
+ * e.g. when a document overrides the schema of the template it is created from.
+ * @param {Array|null} fields - Normalized layout fields
+ * @param {string[]} textFieldNames - Names of the schema's fields
+ */
+export function checkLayoutTextFields(fields, textFieldNames) {
+    (fields || []).forEach((field, index) => {
+        if (field.type === 'text' && !textFieldNames.includes(field.name)) {
+            throw new Error(`fields[${index}].name muss einer von ${textFieldNames.join(', ')} sein.`);
+        }
+    });
+}
+
+/**
+ * Returns the placement for a signature slot, preferring the document's own layout
+ * over the global pdfConfig defaults.
+ * @param {Array|null} fields - The signer's normalized layout fields
+ * @param {string} name - Signature slot ('contract' or 'withdrawal')
+ * @param {Array<{width: number, height: number}>} pageSizes - Sizes of the document's pages, to keep the text block on the page
+ * @returns {Object} - Signature config in the shape of pdfConfig.contractSignature
+ */
+export function getSignatureConfig(fields, name, pageSizes) {
+    const defaults = pdfConfig[`${name}Signature`];
+    const field = fields?.find((f) => f.type === 'signature' && f.name === name);
+    if (!field) {
+        return defaults;
+    }
+    return {
+        ...defaults,
+        page: field.page,
+        x: field.x,
+        y: field.y,
+        width: field.width,
+        height: field.height,
+        textBlockY: field.textBlockY ?? getTextBlockY(field, pageSizes[field.page]?.height ?? pdfConfig.pageSize.height)
+    };
+}
@@ -0,0 +1,259 @@
+import { SIGNATURE_NAMES } from './fieldLayout.mjs';
+import { SIGNATURE_FONT_NAMES } from './signatureFonts.mjs';
+
+// Input types of custom fields on the sign page
+export const SCHEMA_FIELD_TYPES = ['text', 'email', 'textarea'];
+
+// Fields every form has: they identify the signer in the PDF and the Signaturprotokoll
+const BUILT_IN_FIELDS = {
+    fullName: { name: 'fullName', label: 'Vollständiger Name', type: 'text', required: true },
+    email: { name: 'email', label: 'E-Mail', type: 'email', required: true }
+};
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+const MAX_FIELDS = 30;
+const MAX_CONSENTS = 10;
+const MAX_LABEL_LENGTH = 200;
+const MAX_CONSENT_TEXT_LENGTH = 5000;
+const DEFAULT_MAX_LENGTH = { text: 200, email: 254, textarea: 2000 };
+
+// The form the sign page has always shown: name, place, email, the terms and one signature
+export const DEFAULT_FORM_SCHEMA = {
+    fields: [
+        { ...BUILT_IN_FIELDS.fullName, maxLength: DEFAULT_MAX_LENGTH.text },
+        { name: 'location', label: 'Ort', type: 'text', required: true, maxLength: DEFAULT_MAX_LENGTH.text },
+        { ...BUILT_IN_FIELDS.email, maxLength: DEFAULT_MAX_LENGTH.email }
+    ],
+    consents: [
+        { name: 'terms', text: 'Hiermit stimme ich der Datenverarbeitungsvereinbarung verbindlich zu.', required: true }
+    ],
+    signatures: [
+        { name: 'contract', label: 'Unterschrift Datenverarbeitungsvereinbarung', required: true }
+    ]
+};
+
+/**
+ * Reads a non-empty string property of a schema entry.
+ * @param {Object} entry - The raw entry
+ * @param {string} key - Property name
+ * @param {string} path - Path of the entry, used in error messages (e.g. "fields[2]")
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - The trimmed string
+ */
+function readText(entry, key, path, maxLength) {
+    const value = typeof entry[key] === 'string' ? entry[key].trim() : '';
+    if (!value) {
+        throw new Error(`formSchema.${path}.${key} fehlt.`);
+    }
+    if (value.length > maxLength) {
+        throw new Error(`formSchema.${path}.${key} darf höchstens ${maxLength} Zeichen lang sein.`);
+    }
+    return value;
+}
+
+/**
+ * Reads the name of a schema entry and checks that it is unique within its list.
+ * @param {Object} entry - The raw entry
+ * @param {string} path - Path of the entry, used in error messages
+ * @param {Set} seen - Names already used
+ * @returns {string} - The name
+ */
+function readName(entry, path, seen) {
+    if (typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name)) {
+        throw new Error(`formSchema.${path}.name muss mit einem Buchstaben beginnen und darf nur Buchstaben, Ziffern und _ enthalten.`);
+    }
+    if (seen.has(entry.name)) {
+        throw new Error(`formSchema: "${entry.name}" ist mehrfach definiert.`);
+    }
+    seen.add(entry.name);
+    return entry.name;
+}
+
+/**
+ * Reads a list of the schema and checks its length.
+ * @param {Object} schema - The raw schema
+ * @param {string} key - 'fields', 'consents' or 'signatures'
+ * @param {number} max - Maximum number of entries
+ * @returns {Array} - The entries
+ */
+function readList(schema, key, max) {
+    const list = schema[key] ?? [];
+    if (!Array.isArray(list)) {
+        throw new Error(`formSchema.${key} muss ein Array sein.`);
+    }
+    if (list.length > max) {
+        throw new Error(`formSchema.${key} darf höchstens ${max} Einträge haben.`);
+    }
+    list.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`formSchema.${key}[${index}] ist ungültig.`);
+        }
+    });
+    return list;
+}
+
+/**
+ * Parses and validates the form schema of a document or template.
+ * fullName and email are always part of the form and always required; they are added if missing.
+ * @param {string|Object|undefined} input - JSON string or schema object
+ * @returns {Object|null} - Normalized schema, or null if none was supplied (DEFAULT_FORM_SCHEMA applies)
+ */
+export function parseFormSchema(input) {
+    if (input === undefined || input === null || input === '') {
+        return null;
+    }
+    let schema = input;
+    if (typeof input === 'string') {
+        try {
+            schema = JSON.parse(input);
+        } catch (error) {
+            throw new Error('formSchema ist kein gültiges JSON.');
+        }
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('formSchema muss ein Objekt sein.');
+    }
+
+    const seen = new Set();
+    const fields = readList(schema, 'fields', MAX_FIELDS).map((field, index) => {
+        const path = `fields[${index}]`;
+        const name = readName(field, path, seen);
+        const type = field.type ?? 'text';
+        if (!SCHEMA_FIELD_TYPES.includes(type)) {
+            throw new Error(`formSchema.${path}.type muss einer von ${SCHEMA_FIELD_TYPES.join(', ')} sein.`);
+        }
+        const maxLength = field.maxLength ?? DEFAULT_MAX_LENGTH[type];
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > DEFAULT_MAX_LENGTH.textarea) {
+            throw new Error(`formSchema.${path}.maxLength muss zwischen 1 und ${DEFAULT_MAX_LENGTH.textarea} liegen.`);
+        }
+        return {
+            name,
+            label: readText(field, 'label', path, MAX_LABEL_LENGTH),
+            type: BUILT_IN_FIELDS[name]?.type ?? type,
+            required: Boolean(BUILT_IN_FIELDS[name]?.required ?? field.required),
+            maxLength
+        };
+    });
+    Object.values(BUILT_IN_FIELDS).reverse().forEach((builtIn) => {
+        if (!fields.some((field) => field.name === builtIn.name)) {
+            fields.unshift({ ...builtIn, maxLength: DEFAULT_MAX_LENGTH[builtIn.type] });
+            seen.add(builtIn.name);
+        }
+    });
+
+    const consents = readList(schema, 'consents', MAX_CONSENTS).map((consent, index) => {
+        const path = `consents[${index}]`;
+        return {
+            name: readName(consent, path, seen),
+            text: readText(consent, 'text', path, MAX_CONSENT_TEXT_LENGTH),
+            required: consent.required !== false
+        };
+    });
+
+    const signatures = readList(schema, 'signatures', SIGNATURE_NAMES.length).map((signature, index) => {
+        const path = `signatures[${index}]`;
+        if (!SIGNATURE_NAMES.includes(signature.name)) {
+            throw new Error(`formSchema.${path}.name muss einer von ${SIGNATURE_NAMES.join(', ')} sein.`);
+        }
+        readName(signature, path, seen);
+        return {
+            name: signature.name,
+            label: readText(signature, 'label', path, MAX_LABEL_LENGTH),
+            // The contract signature is what makes the document signed
+            required: signature.name === 'contract' || Boolean(signature.required)
+        };
+    });
+    if (!signatures.some((signature) => signature.name === 'contract')) {
+        signatures.unshift({ ...DEFAULT_FORM_SCHEMA.signatures[0] });
+    }
+
+    return { fields, consents, signatures };
+}
+
+/**
+ * Returns the form schema that applies to a document.
+ * @param {Object} record - The document record
+ * @returns {Object} - The document's schema, or DEFAULT_FORM_SCHEMA
+ */
+export function getFormSchema(record) {
+    return record.formSchema || DEFAULT_FORM_SCHEMA;
+}
+
+/**
+ * Returns the names of schema fields that can be placed as text fields in a layout.
+ * @param {Object|null} schema - The form schema (null for DEFAULT_FORM_SCHEMA)
+ * @returns {string[]} - Field names
+ */
+export function getSchemaFieldNames(schema) {
+    return (schema || DEFAULT_FORM_SCHEMA).fields.map((field) => field.name);
+}
+
+// Request keys per signature block: the drawn signature as PNG data URI or as stroke data, and the typed signature
+export const SIGNATURE_KEYS = {
+    contract: { image: 'signature', strokes: 'signatureStrokes', keyboard: 'contractKeyboardSignature' },
+    withdrawal: { image: 'withdrawalSignature', strokes: 'withdrawalSignatureStrokes', keyboard: 'withdrawalKeyboardSignature' }
+};
+
+// Longest typed signature
+const MAX_KEYBOARD_SIGNATURE_LENGTH = 100;
+
+/**
+ * Validates a submission against the schema and collects the values.
+ * Field values are read from `values`, falling back to top-level keys (fullName, location, email)
+ * as sent by older clients; consents from `consents` ({ name: true }).
+ * The withdrawal signature only counts if the schema has a withdrawal block.
+ * @param {Object} schema - The form schema
+ * @param {Object} body - The request body
+ * @param {Object} validation - Collector from createValidation() the field errors are recorded in
+ * @returns {Object} - { values, consents, withdrawalAccepted }, complete only if validation.valid
+ */
+export function validateFormSubmission(schema, body, validation) {
+    const values = {};
+    for (const field of schema.fields) {
+        const key = body.values?.[field.name] !== undefined ? `values.${field.name}` : field.name;
+        const raw = body.values?.[field.name] ?? body[field.name];
+        const options = { label: field.label, required: field.required, maxLength: field.maxLength };
+        const value = field.type === 'email' ? validation.email(key, raw, options) : validation.text(key, raw, options);
+        if (value !== undefined) {
+            values[field.name] = value;
+        }
+    }
+
+    const consents = [];
+    for (const consent of schema.consents) {
+        const accepted = body.consents?.[consent.name] === true || body.consents?.[consent.name] === 'true';
+        if (!accepted && consent.required) {
+            validation.add(`consents.${consent.name}`, 'not_accepted', 'Bitte stimme allen erforderlichen Erklärungen zu.');
+        }
+        if (accepted) {
+            consents.push(consent.name);
+        }
+    }
+
+    let withdrawalAccepted = false;
+    for (const block of schema.signatures) {
+        const keys = SIGNATURE_KEYS[block.name];
+        const keyboard = body[keys.keyboard];
+        let signed;
+        if (keyboard?.text) {
+            signed = validation.text(`${keys.keyboard}.text`, keyboard.text, {
+                label: block.label,
+                required: block.required,
+                maxLength: MAX_KEYBOARD_SIGNATURE_LENGTH
+            }) !== undefined;
+            // Without a font the default is used; unknown fonts are rejected instead of substituted
+            if (keyboard.font !== undefined && keyboard.font !== null && !SIGNATURE_FONT_NAMES.includes(keyboard.font)) {
+                validation.add(`${keys.keyboard}.font`, 'invalid_option', `Unbekannte Schriftart "${keyboard.font}".`);
+            }
+        } else if (body[keys.strokes] !== undefined && body[keys.strokes] !== null) {
+            // Stroke data takes precedence over the PNG and is drawn as vector paths
+            signed = validation.strokes(keys.strokes, body[keys.strokes], { label: block.label, required: block.required }) !== undefined;
+        } else {
+            signed = validation.signature(keys.image, body[keys.image], { label: block.label, required: block.required }) !== undefined;
+        }
+        if (block.name === 'withdrawal') {
+            withdrawalAccepted = signed;
+        }
+    }
+    return { values, consents, withdrawalAccepted };
+}
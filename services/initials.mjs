@@ -0,0 +1,206 @@
+import { SIGNATURE_FONT_NAMES } from './signatureFonts.mjs';
+
+// Request keys of the initials: drawn as PNG data URI or as stroke data, or generated from the name ({ font })
+export const INITIALS_KEYS = { image: 'initials', strokes: 'initialsStrokes', keyboard: 'keyboardInitials' };
+
+// Default box in the bottom right corner of the page; several signers' initials are placed side by side
+const DEFAULT_WIDTH = 60;
+const DEFAULT_HEIGHT = 30;
+const DEFAULT_MARGIN = 36;
+const DEFAULT_GAP = 10;
+// Generated initials of very long names are cut off
+const MAX_INITIALS_LENGTH = 6;
+
+/**
+ * Reads an optional number of a placement.
+ * @param {Object} placement - The raw placement
+ * @param {string} key - Property name
+ * @param {string} path - Path of the placement, used in error messages (e.g. "initials[1]")
+ * @param {number} min - Minimum allowed value
+ * @returns {number|undefined} - The number, undefined if missing
+ */
+function readOptionalNumber(placement, key, path, min) {
+    const value = placement[key];
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min) {
+        throw new Error(`${path}.${key} ist ungültig.`);
+    }
+    return number;
+}
+
+/**
+ * Parses the initials option of an upload. `true` asks every signer for initials in the bottom right
+ * corner of every page; an object (or an array of them) sets the pages, the position and the signer role:
+ * { signer, pages: "all" | [0-based page numbers], x, y, width, height }.
+ * Placements without a signer apply to every signer.
+ * @param {string|boolean|Object|Array|undefined} input - The initials field from the upload (JSON string or value)
+ * @param {Array<{width: number, height: number}>} pageSizes - Sizes of the document's pages
+ * @param {Array} signers - The document's signers
+ * @returns {Array|null} - Normalized placements, or null if no initials are asked for
+ */
+export function parseInitialsOption(input, pageSizes, signers) {
+    if (input === undefined || input === null || input === '' || input === false || input === 'false') {
+        return null;
+    }
+    let option = input;
+    if (input === true || input === 'true') {
+        option = {};
+    } else if (typeof input === 'string') {
+        try {
+            option = JSON.parse(input);
+        } catch (error) {
+            throw new Error('initials ist kein gültiges JSON.');
+        }
+    }
+    const placements = Array.isArray(option) ? option : [option];
+    if (placements.length === 0) {
+        throw new Error('initials darf nicht leer sein.');
+    }
+    const roles = signers.map((signer) => signer.role);
+
+    return placements.map((placement, index) => {
+        const path = Array.isArray(option) ? `initials[${index}]` : 'initials';
+        if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+            throw new Error(`${path} ist ungültig.`);
+        }
+        if (placement.signer !== undefined && !roles.includes(placement.signer)) {
+            throw new Error(`${path}.signer "${placement.signer}" ist kein definierter Unterzeichner.`);
+        }
+
+        const pages = placement.pages ?? 'all';
+        if (pages !== 'all') {
+            if (!Array.isArray(pages) || pages.length === 0) {
+                throw new Error(`${path}.pages muss "all" oder eine Liste von Seiten sein.`);
+            }
+            pages.forEach((page) => {
+                if (!Number.isInteger(page) || page < 0 || page >= pageSizes.length) {
+                    throw new Error(`${path}.pages: Seite ${page} existiert nicht (Dokument hat ${pageSizes.length} Seiten).`);
+                }
+            });
+        }
+
+        const box = {
+            x: readOptionalNumber(placement, 'x', path, 0),
+            y: readOptionalNumber(placement, 'y', path, 0),
+            width: readOptionalNumber(placement, 'width', path, 1) ?? DEFAULT_WIDTH,
+            height: readOptionalNumber(placement, 'height', path, 1) ?? DEFAULT_HEIGHT
+        };
+        const selected = pages === 'all' ? pageSizes : pages.map((page) => pageSizes[page]);
+        if (selected.some((size) => (box.x ?? 0) + box.width > size.width || (box.y ?? 0) + box.height > size.height)) {
+            throw new Error(`${path} liegt außerhalb der Seite.`);
+        }
+
+        return {
+            signer: placement.signer ?? null,
+            pages: pages === 'all' ? 'all' : [...new Set(pages)].sort((a, b) => a - b),
+            ...box
+        };
+    });
+}
+
+/**
+ * Returns the initials placements that apply to a signer.
+ * @param {Array|null} initials - The document's normalized placements
+ * @param {Object} signer - The signer
+ * @param {Array} signers - All signers of the document
+ * @returns {Array} - The placements, each with the signer's slot for side by side default positions
+ */
+export function getSignerInitials(initials, signer, signers) {
+    return (initials || [])
+        .filter((placement) => !placement.signer || placement.signer === signer.role)
+        .map((placement) => ({
+            ...placement,
+            slot: placement.signer ? 0 : signers.findIndex((s) => s.id === signer.id)
+        }));
+}
+
+/**
+ * Lists the pages a signer's initials go on, for the sign page.
+ * @param {Array} placements - The signer's placements from getSignerInitials()
+ * @returns {string|Array|null} - "all", 0-based page numbers, or null if the signer gives no initials
+ */
+export function getInitialsPages(placements) {
+    if (placements.length === 0) {
+        return null;
+    }
+    if (placements.some((placement) => placement.pages === 'all')) {
+        return 'all';
+    }
+    return [...new Set(placements.flatMap((placement) => placement.pages))].sort((a, b) => a - b);
+}
+
+/**
+ * Computes the boxes a signer's initials are stamped into.
+ * Without x the box sits at the right margin, to the left of the initials of signers before them;
+ * without y at the bottom margin.
+ * @param {Array} placements - The signer's placements from getSignerInitials()
+ * @param {Array<{width: number, height: number}>} pageSizes - Sizes of the document's pages
+ * @returns {Array} - { page, x, y, width, height } per stamp, in PDF points
+ */
+export function getInitialsBoxes(placements, pageSizes) {
+    return placements.flatMap((placement) => {
+        const pages = placement.pages === 'all' ? pageSizes.map((size, page) => page) : placement.pages;
+        return pages
+            .filter((page) => page < pageSizes.length)
+            .map((page) => ({
+                page,
+                x: placement.x ?? pageSizes[page].width - DEFAULT_MARGIN - (placement.slot + 1) * placement.width - placement.slot * DEFAULT_GAP,
+                y: placement.y ?? DEFAULT_MARGIN,
+                width: placement.width,
+                height: placement.height
+            }));
+    });
+}
+
+/**
+ * Builds initials from a full name: the first letter of each part, e.g. "Hans-Peter Müller" → "HPM".
+ * @param {string} fullName - The signer's name
+ * @returns {string} - The initials in upper case, empty if the name has no letters
+ */
+export function generateInitials(fullName) {
+    const letters = (fullName || '')
+        .split(/[\s-]+/)
+        .map((part) => /\p{L}/u.exec(part)?.[0])
+        .filter(Boolean)
+        .map((letter) => letter.toUpperCase());
+    return letters.slice(0, MAX_INITIALS_LENGTH).join('');
+}
+
+/**
+ * Validates the initials of a submission. Generated initials take precedence over drawn ones,
+ * stroke data over the PNG, as for signatures.
+ * @param {Object} body - The request body
+ * @param {string|undefined} fullName - The validated name the initials are generated from
+ * @param {Object} validation - Collector from createValidation() the field errors are recorded in
+ * @returns {Object|null} - { text, font } for generated initials, { drawing } for drawn ones, null if invalid
+ */
+export function validateInitialsSubmission(body, fullName, validation) {
+    const keyboard = body[INITIALS_KEYS.keyboard];
+    const options = { label: 'Initialen', required: true };
+
+    if (keyboard && typeof keyboard === 'object') {
+        if (keyboard.font !== undefined && keyboard.font !== null && !SIGNATURE_FONT_NAMES.includes(keyboard.font)) {
+            validation.add(`${INITIALS_KEYS.keyboard}.font`, 'invalid_option', `Unbekannte Schriftart "${keyboard.font}".`);
+            return null;
+        }
+        const text = generateInitials(fullName);
+        if (!text) {
+            // Without a usable name the field error of fullName already explains the problem
+            if (fullName) {
+                validation.add(INITIALS_KEYS.keyboard, 'invalid_signature', 'Aus deinem Namen lassen sich keine Initialen bilden. Bitte zeichne sie.');
+            }
+            return null;
+        }
+        return { text, font: keyboard.font ?? null };
+    }
+
+    if (body[INITIALS_KEYS.strokes] !== undefined && body[INITIALS_KEYS.strokes] !== null) {
+        const strokes = validation.strokes(INITIALS_KEYS.strokes, body[INITIALS_KEYS.strokes], options);
+        return strokes ? { drawing: strokes } : null;
+    }
+    const png = validation.signature(INITIALS_KEYS.image, body[INITIALS_KEYS.image], options);
+    return png ? { drawing: body[INITIALS_KEYS.image] } : null;
+}
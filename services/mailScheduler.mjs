@@ -0,0 +1,196 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isFinal, getDocumentStatus, transitionDocument } from './documentStatus.mjs';
+import { withDocumentLock } from './documentLock.mjs';
+
+// Failed mails are retried after 5, 10, 20, ... minutes, at most every six hours
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A reminder is skipped if the signer already got a mail this recently (e.g. several due after downtime)
+const MIN_REMINDER_GAP_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Parses the reminder schedule, e.g. "3,7" for reminders 3 and 7 days after the invitation.
+ * @param {string|Array|undefined} input - Comma-separated days, array of days, or 'none'
+ * @param {Array} fallback - Schedule to use without input
+ * @returns {Array} - Days after the invitation, ascending
+ */
+export function parseReminderDays(input, fallback) {
+    if (input === undefined || input === null || input === '') {
+        return fallback;
+    }
+    if (input === 'none') {
+        return [];
+    }
+    const days = (Array.isArray(input) ? input : String(input).split(',')).map((day) => Number(day));
+    if (days.some((day) => !Number.isFinite(day) || day <= 0)) {
+        throw new Error('reminderDays muss eine Liste positiver Zahlen (Tage) oder "none" sein.');
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Creates the scheduler for signing invitations, reminders and the final notice before a
+ * sign link expires. Jobs are stored in the database and picked up again after a restart;
+ * jobs for signers who have signed in the meantime or for closed documents are cancelled.
+ * @param {Object} options
+ * @param {Object} options.documents - Document repository (with mailJobs)
+ * @param {Object} options.mailer - Mailer
+ * @param {number} [options.expiryNoticeHours=24] - Hours before expiry for the final notice (0: none)
+ * @returns {Object} - Mail scheduler
+ */
+export function createMailScheduler({ documents, mailer, expiryNoticeHours = 24 }) {
+    const jobs = documents.mailJobs;
+    let running = null;
+    let rerun = false;
+
+    /**
+     * Schedules the reminders and the final notice after a signer has been invited.
+     * @param {Object} pdfData - The document record
+     * @param {Object} signer - The invited signer
+     * @param {number} invitedAt - Time of the invitation (ms)
+     */
+    async function scheduleFollowUps(pdfData, signer, invitedAt) {
+        const expiresAt = Date.parse(pdfData.expiresAt);
+        const runTimes = pdfData.invitation.reminderDays
+            .map((days) => ({ type: 'reminder', runAt: invitedAt + days * DAY_MS }));
+        if (expiryNoticeHours > 0) {
+            runTimes.push({ type: 'expiryNotice', runAt: expiresAt - expiryNoticeHours * 60 * 60 * 1000 });
+        }
+        await jobs.schedule(runTimes
+            .filter(({ runAt }) => runAt > invitedAt && runAt < expiresAt)
+            .map(({ type, runAt }) => ({
+                id: uuidv4(),
+                documentId: pdfData.id,
+                signerId: signer.id,
+                type,
+                runAt: new Date(runAt).toISOString()
+            })));
+    }
+
+    /**
+     * Sends one job's mail and records the outcome on the job and the document.
+     * @param {Object} job - The due job
+     */
+    async function run(job) {
+        const pdfData = await documents.get(job.documentId);
+        const signer = pdfData?.signers.find((s) => s.id === job.signerId);
+        const lastMailAt = Math.max(Date.parse(signer?.invitedAt) || 0, ...(signer?.remindersSent || []).map((mail) => Date.parse(mail.at)));
+        const tooSoon = job.type === 'reminder' && Date.now() - lastMailAt < MIN_REMINDER_GAP_MS;
+        if (!pdfData || !signer || isFinal(pdfData) || signer.status !== 'pending' || tooSoon) {
+            job.status = 'cancelled';
+            await jobs.update(job);
+            return;
+        }
+
+        job.attempts += 1;
+        try {
+            await mailer.send({
+                to: signer.email,
+                template: job.type,
+                language: pdfData.language,
+                data: {
+                    name: signer.name || signer.email,
+                    signUrl: `${pdfData.invitation.baseUrl}${signer.signUrl}`,
+                    expiresAt: pdfData.expiresAt
+                }
+            });
+        } catch (error) {
+            job.lastError = error.message;
+            if (job.attempts >= MAX_ATTEMPTS) {
+                job.status = 'failed';
+                console.error(`Mail job ${job.id} (${job.type} for document ${job.documentId}) failed permanently: ${error.message}`);
+            } else {
+                const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+                job.runAt = new Date(Date.now() + delay).toISOString();
+                console.error(`Mail job ${job.id} (${job.type} for document ${job.documentId}) failed, retrying at ${job.runAt}: ${error.message}`);
+            }
+            await jobs.update(job);
+            return;
+        }
+
+        const sentAt = new Date();
+        job.status = 'sent';
+        job.sentAt = sentAt.toISOString();
+        job.lastError = null;
+        await jobs.update(job);
+
+        // Record the mail with the signer; the first invitation moves the document to 'sent'
+        await withDocumentLock(pdfData.id, () => documents.update(pdfData.id, (record) => {
+            const storedSigner = record.signers.find((s) => s.id === signer.id);
+            if (job.type === 'invitation') {
+                storedSigner.invitedAt = job.sentAt;
+                if (getDocumentStatus(record) === 'created') {
+                    transitionDocument(record, 'sent', { signer: storedSigner.role });
+                }
+            } else {
+                storedSigner.remindersSent = [...(storedSigner.remindersSent || []), { type: job.type, at: job.sentAt }];
+            }
+        }));
+        if (job.type === 'invitation') {
+            await scheduleFollowUps(pdfData, signer, sentAt.getTime());
+        }
+    }
+
+    const scheduler = {
+        /**
+         * Schedules invitations for signers who have not been invited yet and sends them right away.
+         * @param {Object} pdfData - The document record (with invitation settings)
+         * @param {Array} signers - The signers to invite
+         * @returns {Promise<number>} - Number of newly scheduled invitations
+         */
+        async invite(pdfData, signers) {
+            const now = new Date().toISOString();
+            const added = await jobs.schedule(signers.map((signer) => ({
+                id: uuidv4(),
+                documentId: pdfData.id,
+                signerId: signer.id,
+                type: 'invitation',
+                runAt: now
+            })));
+            if (added > 0) {
+                scheduler.processQueue();
+            }
+            return added;
+        },
+
+        /**
+         * Sends all due mails. Concurrent calls are folded into the running pass.
+         * @returns {Promise<void>}
+         */
+        processQueue() {
+            if (running) {
+                rerun = true;
+                return running;
+            }
+            running = (async () => {
+                do {
+                    rerun = false;
+                    let due;
+                    while ((due = await jobs.findDue(new Date().toISOString(), BATCH_SIZE)).length > 0) {
+                        for (const job of due) {
+                            await run(job);
+                        }
+                    }
+                } while (rerun);
+            })()
+                .catch((error) => console.error('Error processing mail jobs:', error))
+                .finally(() => {
+                    running = null;
+                });
+            return running;
+        },
+
+        /**
+         * Sends mails that became due while the service was down and polls for new ones.
+         * @param {number} intervalMs - Polling interval
+         */
+        start(intervalMs) {
+            scheduler.processQueue();
+            setInterval(() => scheduler.processQueue(), intervalMs).unref();
+        }
+    };
+    return scheduler;
+}
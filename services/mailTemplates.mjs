@@ -0,0 +1,210 @@
+export const MAIL_LANGUAGES = ['de', 'en'];
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} value - The value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a timestamp for the mail's language in German time.
+ * @param {string} value - ISO timestamp
+ * @param {string} language - 'de' or 'en'
+ * @returns {string} - Formatted date and time
+ */
+function formatDateTime(value, language) {
+    return new Date(value).toLocaleString(language === 'en' ? 'en-GB' : 'de-DE', {
+        timeZone: 'Europe/Berlin',
+        dateStyle: 'long',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Renders the link to the sign page as a button.
+ * @param {string} url - The sign URL
+ * @param {string} label - Button text
+ * @returns {string} - HTML
+ */
+function signButton(url, label) {
+    return `<p style="margin: 24px 0;"><a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; background-color: #4CAF50; color: #ffffff; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>`;
+}
+
+/**
+ * Wraps the body of a mail in the common HTML layout.
+ * @param {string} language - 'de' or 'en'
+ * @param {string} body - HTML body
+ * @returns {string} - Complete HTML document
+ */
+function layout(language, body) {
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="UTF-8"></head>
+<body style="margin: 0; padding: 24px; background-color: #f5f5f5; font-family: Arial, Helvetica, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 32px; background-color: #ffffff; border-radius: 8px;">
+        ${body}
+        <p style="margin-top: 32px; font-size: 12px; color: #999;">All-Time-Best-Media.com</p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Derives the plain text part from the HTML body.
+ * @param {string} html - HTML body
+ * @returns {string} - Plain text
+ */
+function toText(html) {
+    return html
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([^<]*)<\/a>/g, '$2: $1')
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<\/(p|h1|h2|li)>/g, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/^[ \t]+|[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Subject and HTML body per template and language
+const TEMPLATES = {
+    invitation: {
+        de: {
+            subject: () => 'Bitte unterschreibe dein Dokument',
+            body: (data) => `
+                <h2>Hallo ${escapeHtml(data.name)},</h2>
+                <p>du wurdest gebeten, ein Dokument elektronisch zu unterschreiben.</p>
+                ${signButton(data.signUrl, 'Dokument ansehen und unterschreiben')}
+                <p>Der Link ist gültig bis ${formatDateTime(data.expiresAt, 'de')}.</p>`
+        },
+        en: {
+            subject: () => 'Please sign your document',
+            body: (data) => `
+                <h2>Hello ${escapeHtml(data.name)},</h2>
+                <p>You have been asked to sign a document electronically.</p>
+                ${signButton(data.signUrl, 'Review and sign the document')}
+                <p>The link is valid until ${formatDateTime(data.expiresAt, 'en')}.</p>`
+        }
+    },
+    reminder: {
+        de: {
+            subject: () => 'Erinnerung: Dein Dokument wartet auf deine Unterschrift',
+            body: (data) => `
+                <h2>Hallo ${escapeHtml(data.name)},</h2>
+                <p>dein Dokument ist noch nicht unterschrieben.</p>
+                ${signButton(data.signUrl, 'Jetzt unterschreiben')}
+                <p>Der Link ist gültig bis ${formatDateTime(data.expiresAt, 'de')}.</p>`
+        },
+        en: {
+            subject: () => 'Reminder: your document is waiting for your signature',
+            body: (data) => `
+                <h2>Hello ${escapeHtml(data.name)},</h2>
+                <p>Your document has not been signed yet.</p>
+                ${signButton(data.signUrl, 'Sign now')}
+                <p>The link is valid until ${formatDateTime(data.expiresAt, 'en')}.</p>`
+        }
+    },
+    expiryNotice: {
+        de: {
+            subject: () => 'Letzte Erinnerung: Dein Unterschriftslink läuft bald ab',
+            body: (data) => `
+                <h2>Hallo ${escapeHtml(data.name)},</h2>
+                <p>dein Link zum Unterschreiben läuft am ${formatDateTime(data.expiresAt, 'de')} ab. Danach kann das Dokument nicht mehr unterschrieben werden.</p>
+                ${signButton(data.signUrl, 'Jetzt unterschreiben')}`
+        },
+        en: {
+            subject: () => 'Final reminder: your signing link expires soon',
+            body: (data) => `
+                <h2>Hello ${escapeHtml(data.name)},</h2>
+                <p>Your signing link expires on ${formatDateTime(data.expiresAt, 'en')}. After that the document can no longer be signed.</p>
+                ${signButton(data.signUrl, 'Sign now')}`
+        }
+    },
+    otp: {
+        de: {
+            subject: () => 'Dein Bestätigungscode',
+            body: (data) => `
+                <h2>Hallo ${escapeHtml(data.name)},</h2>
+                <p>dein Code zum Unterschreiben lautet:</p>
+                <p style="font-size: 28px; font-weight: bold; letter-spacing: 4px;">${escapeHtml(data.code)}</p>
+                <p>Der Code ist ${data.validMinutes} Minuten gültig. Falls du ihn nicht angefordert hast, kannst du diese E-Mail ignorieren.</p>`
+        },
+        en: {
+            subject: () => 'Your verification code',
+            body: (data) => `
+                <h2>Hello ${escapeHtml(data.name)},</h2>
+                <p>Your code for signing is:</p>
+                <p style="font-size: 28px; font-weight: bold; letter-spacing: 4px;">${escapeHtml(data.code)}</p>
+                <p>The code is valid for ${data.validMinutes} minutes. If you did not request it, you can ignore this email.</p>`
+        }
+    },
+    signedCopy: {
+        de: {
+            subject: () => 'Dein unterschriebenes Dokument',
+            body: (data) => `
+                <h2>Hallo ${escapeHtml(data.name)},</h2>
+                <p>vielen Dank für deine Unterschrift. Das Dokument wurde von allen Beteiligten unterschrieben.</p>
+                <p>Im Anhang findest du deine Kopie als PDF.</p>
+                <p>Dokument-ID: ${escapeHtml(data.documentId)}</p>`
+        },
+        en: {
+            subject: () => 'Your signed document',
+            body: (data) => `
+                <h2>Hello ${escapeHtml(data.name)},</h2>
+                <p>Thank you for signing. The document has now been signed by all parties.</p>
+                <p>Your copy is attached as a PDF.</p>
+                <p>Document ID: ${escapeHtml(data.documentId)}</p>`
+        }
+    },
+    signedCopyInternal: {
+        de: {
+            subject: (data) => `Dokument unterschrieben: ${data.signerNames}`,
+            body: (data) => `
+                <h2>Dokument unterschrieben</h2>
+                <p>Das Dokument ${escapeHtml(data.documentId)} wurde von allen Beteiligten unterschrieben.</p>
+                <ul>${data.signers.map((signer) => `<li>${escapeHtml(signer.name)} (${escapeHtml(signer.email)})</li>`).join('')}</ul>
+                <p>Das unterschriebene PDF ist angehängt.</p>`
+        },
+        en: {
+            subject: (data) => `Document signed: ${data.signerNames}`,
+            body: (data) => `
+                <h2>Document signed</h2>
+                <p>Document ${escapeHtml(data.documentId)} has been signed by all parties.</p>
+                <ul>${data.signers.map((signer) => `<li>${escapeHtml(signer.name)} (${escapeHtml(signer.email)})</li>`).join('')}</ul>
+                <p>The signed PDF is attached.</p>`
+        }
+    }
+};
+
+/**
+ * Renders a mail template.
+ * @param {string} name - Template name
+ * @param {string} language - 'de' or 'en' (falls back to 'de')
+ * @param {Object} data - Template data
+ * @returns {Object} - { subject, html, text }
+ */
+export function renderMail(name, language, data) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown mail template "${name}"`);
+    }
+    const lang = MAIL_LANGUAGES.includes(language) ? language : 'de';
+    const body = template[lang].body(data);
+    return {
+        subject: template[lang].subject(data),
+        html: layout(lang, body),
+        text: toText(body)
+    };
+}
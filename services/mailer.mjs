@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer';
+import { renderMail } from './mailTemplates.mjs';
+
+/**
+ * Creates the mailer from the SMTP settings in the environment.
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object|null} - Mailer, or null if SMTP_HOST is not set (mail disabled)
+ */
+export function createMailer(env) {
+    if (!env.SMTP_HOST) {
+        return null;
+    }
+    if (!env.MAIL_FROM) {
+        throw new Error('MAIL_FROM must be set when SMTP_HOST is configured.');
+    }
+
+    const transport = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+    });
+
+    return {
+        // Internal address that receives a copy of every finalized document (optional)
+        internalAddress: env.MAIL_INTERNAL_ADDRESS || null,
+        defaultLanguage: env.MAIL_LANGUAGE || 'de',
+
+        /**
+         * Renders a template and sends it.
+         * @param {Object} options
+         * @param {string} options.to - Recipient address
+         * @param {string} options.template - Template name (see mailTemplates.mjs)
+         * @param {string} [options.language] - 'de' or 'en' (default: MAIL_LANGUAGE)
+         * @param {Object} options.data - Template data
+         * @param {Array} [options.attachments] - nodemailer attachments
+         * @returns {Promise<Object>} - nodemailer send result
+         */
+        async send({ to, template, language, data, attachments = [] }) {
+            const { subject, html, text } = renderMail(template, language || this.defaultLanguage, data);
+            return transport.sendMail({ from: env.MAIL_FROM, to, subject, html, text, attachments });
+        },
+
+        close() {
+            transport.close();
+        }
+    };
+}
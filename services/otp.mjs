@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+
+// A code is valid for 10 minutes and allows 5 attempts; a new code can be requested once per minute
+export const OTP_TTL_MS = 10 * 60 * 1000;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+// Over the lifetime of a link a signer gets at most 10 codes and 15 wrong entries; then the confirmation
+// by code is locked until the sender unlocks it, which bounds both guessing and the mails sent
+export const OTP_MAX_SENDS = 10;
+export const OTP_MAX_FAILED_ATTEMPTS = 15;
+// Lifetime of the session token issued after a successful verification
+export const OTP_SESSION_TTL_SECONDS = 30 * 60;
+
+/**
+ * Hashes a code with its salt.
+ * @param {string} salt - Hex salt
+ * @param {string} code - The 6-digit code
+ * @returns {string} - Hex digest
+ */
+function hashCode(salt, code) {
+    return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+/**
+ * Creates a new 6-digit one-time passcode. Only its salted hash is stored.
+ * @returns {Object} - { code, otp } where otp is the record to store with the signer
+ */
+export function createOtp() {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    return {
+        code,
+        otp: {
+            salt,
+            hash: hashCode(salt, code),
+            sentAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + OTP_TTL_MS).toISOString(),
+            attempts: 0
+        }
+    };
+}
+
+/**
+ * Checks a submitted code against the stored passcode. Counts the attempt.
+ * @param {Object} otp - The stored passcode (changed in place)
+ * @param {string} code - The submitted code
+ * @returns {string|null} - A German error message, or null if the code is correct
+ */
+export function checkOtp(otp, code) {
+    if (!otp || Date.now() > Date.parse(otp.expiresAt) || otp.attempts >= OTP_MAX_ATTEMPTS) {
+        return 'Der Code ist abgelaufen. Bitte fordere einen neuen Code an.';
+    }
+    otp.attempts += 1;
+    const expected = Buffer.from(otp.hash, 'hex');
+    const actual = Buffer.from(hashCode(otp.salt, String(code ?? '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return otp.attempts >= OTP_MAX_ATTEMPTS
+            ? 'Der Code ist falsch. Bitte fordere einen neuen Code an.'
+            : 'Der Code ist falsch.';
+    }
+    return null;
+}
+
+/**
+ * Returns the signer's current lockout of the confirmation by code.
+ * @param {Object} signer - The signer
+ * @returns {Object|null} - The lockout from the audit trail, or null if the signer can request and enter codes
+ */
+export function getOtpLockout(signer) {
+    return (signer.audit?.otpLockouts || []).find((lockout) => !lockout.unlockedAt) || null;
+}
+
+/**
+ * Locks the confirmation by code of a signer and records the lockout in the audit trail.
+ * The pending code is discarded.
+ * @param {Object} signer - The signer (changed in place)
+ * @param {string} reason - 'sends' (too many codes requested) or 'attempts' (too many wrong codes)
+ * @param {string} ip - Address of the request that caused the lockout
+ * @returns {Object} - The recorded lockout
+ */
+function lockOtp(signer, reason, ip) {
+    const lockout = { reason, lockedAt: new Date().toISOString(), ip, unlockedAt: null };
+    delete signer.otp;
+    signer.audit = { ...signer.audit, otpLockouts: [...(signer.audit?.otpLockouts || []), lockout] };
+    return lockout;
+}
+
+/**
+ * Counts a code about to be sent to a signer. Once the signer has received OTP_MAX_SENDS codes,
+ * the confirmation by code is locked instead.
+ * @param {Object} signer - The signer (changed in place)
+ * @param {string} ip - Address of the request
+ * @returns {boolean} - True if the code may be sent, false if the signer is (now) locked
+ */
+export function recordOtpSend(signer, ip) {
+    if (getOtpLockout(signer)) {
+        return false;
+    }
+    const usage = signer.otpUsage || { sends: 0, failedAttempts: 0 };
+    if (usage.sends >= OTP_MAX_SENDS) {
+        lockOtp(signer, 'sends', ip);
+        return false;
+    }
+    signer.otpUsage = { ...usage, sends: usage.sends + 1 };
+    return true;
+}
+
+/**
+ * Counts a wrong code of a signer and locks the confirmation by code after OTP_MAX_FAILED_ATTEMPTS of them.
+ * @param {Object} signer - The signer (changed in place)
+ * @param {string} ip - Address of the request
+ * @returns {boolean} - True if the signer is now locked
+ */
+export function recordOtpFailure(signer, ip) {
+    const usage = signer.otpUsage || { sends: 0, failedAttempts: 0 };
+    signer.otpUsage = { ...usage, failedAttempts: usage.failedAttempts + 1 };
+    if (signer.otpUsage.failedAttempts >= OTP_MAX_FAILED_ATTEMPTS) {
+        lockOtp(signer, 'attempts', ip);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Lifts the lockout of a signer and resets the counters, so the signer gets the full allowance again.
+ * @param {Object} signer - The signer (changed in place)
+ * @returns {boolean} - False if the signer was not locked
+ */
+export function unlockOtp(signer) {
+    const lockout = getOtpLockout(signer);
+    if (!lockout) {
+        return false;
+    }
+    lockout.unlockedAt = new Date().toISOString();
+    delete signer.otpUsage;
+    return true;
+}
+
+/**
+ * Masks an email address for display, e.g. "ma***@example.com".
+ * @param {string} email - The address
+ * @returns {string} - Masked address
+ */
+export function maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    return `${local.slice(0, 2)}***@${domain || ''}`;
+}
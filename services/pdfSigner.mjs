@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import forge from 'node-forge';
+import { SignPdf } from '@signpdf/signpdf';
+import { pdflibAddPlaceholder } from '@signpdf/placeholder-pdf-lib';
+import { Signer, SUBFILTER_ETSI_CADES_DETACHED } from '@signpdf/utils';
+
+const { asn1, pki } = forge;
+
+// id-aa-signingCertificateV2 (RFC 5035), required for PAdES baseline signatures
+const OID_SIGNING_CERTIFICATE_V2 = '1.2.840.113549.1.9.16.2.47';
+// Room for the CMS structure including a certificate chain (hex-encoded in the PDF)
+const SIGNATURE_LENGTH = 16384;
+
+/**
+ * Creates an ASN.1 AlgorithmIdentifier with NULL parameters.
+ * @param {string} oid - The algorithm OID
+ * @returns {Object} - forge ASN.1 object
+ */
+function algorithmIdentifier(oid) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]);
+}
+
+/**
+ * Creates a CMS Attribute (type + SET of one value).
+ * @param {string} oid - Attribute type
+ * @param {Object} value - forge ASN.1 value
+ * @returns {Object} - forge ASN.1 object
+ */
+function attribute(oid, value) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+    ]);
+}
+
+/**
+ * Signer producing a detached CMS (PKCS#7) signature in PAdES-B-B form:
+ * SHA-256 digest, content-type, message-digest and signing-certificate-v2 signed attributes,
+ * no signing-time attribute (the time is carried by the signature dictionary's /M entry).
+ */
+class CadesP12Signer extends Signer {
+    /**
+     * @param {Buffer} p12Buffer - PKCS#12 file containing the private key and certificate chain
+     * @param {string} passphrase - PKCS#12 passphrase
+     */
+    constructor(p12Buffer, passphrase) {
+        super();
+        const p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(p12Buffer.toString('binary')), false, passphrase);
+        const keyBag = p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag]?.[0]
+            || p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag]?.[0];
+        if (!keyBag) {
+            throw new Error('Kein privater Schlüssel im PKCS#12-Zertifikat gefunden.');
+        }
+        this.privateKey = keyBag.key;
+        this.certificates = p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag].map((bag) => bag.cert);
+        this.certificate = this.certificates.find((cert) => (
+            cert.publicKey.n.compareTo(this.privateKey.n) === 0 && cert.publicKey.e.compareTo(this.privateKey.e) === 0
+        ));
+        if (!this.certificate) {
+            throw new Error('Kein zum privaten Schlüssel passendes Zertifikat gefunden.');
+        }
+    }
+
+    /**
+     * @param {Buffer} pdfBuffer - The PDF bytes covered by the ByteRange
+     * @returns {Promise<Buffer>} - DER encoded CMS ContentInfo
+     */
+    async sign(pdfBuffer) {
+        const certificateAsn1 = pki.certificateToAsn1(this.certificate);
+        const certificateDer = asn1.toDer(certificateAsn1).getBytes();
+        const issuerAndSerial = [
+            pki.distinguishedNameToAsn1(this.certificate.issuer),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(this.certificate.serialNumber))
+        ];
+
+        const signingCertificateV2 = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                // ESSCertIDv2 with the default hash algorithm (SHA-256)
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                        crypto.createHash('sha256').update(Buffer.from(certificateDer, 'binary')).digest('binary')),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 4, true, [issuerAndSerial[0]])
+                        ]),
+                        issuerAndSerial[1]
+                    ])
+                ])
+            ])
+        ]);
+
+        // DER requires the SET OF signed attributes to be sorted by their encoding
+        const signedAttributes = [
+            attribute(pki.oids.contentType, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.data).getBytes())),
+            attribute(pki.oids.messageDigest, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                crypto.createHash('sha256').update(pdfBuffer).digest('binary'))),
+            attribute(OID_SIGNING_CERTIFICATE_V2, signingCertificateV2)
+        ].map((attr) => ({ attr, der: asn1.toDer(attr).getBytes() }))
+            .sort((a, b) => (a.der < b.der ? -1 : a.der > b.der ? 1 : 0))
+            .map(({ attr }) => attr);
+
+        // The signature covers the attributes encoded as a SET (tag 0x31), not as the [0] IMPLICIT field
+        const attributesDigest = forge.md.sha256.create();
+        attributesDigest.update(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes)).getBytes());
+        const signature = this.privateKey.sign(attributesDigest);
+
+        const signerInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, issuerAndSerial),
+            algorithmIdentifier(pki.oids.sha256),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+            algorithmIdentifier(pki.oids.rsaEncryption),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, signature)
+        ]);
+
+        const signedData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [algorithmIdentifier(pki.oids.sha256)]),
+            // Detached: encapsulated content info without content
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.data).getBytes())
+            ]),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, this.certificates.map((cert) => pki.certificateToAsn1(cert))),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [signerInfo])
+        ]);
+
+        const contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.signedData).getBytes()),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+        ]);
+        return Buffer.from(asn1.toDer(contentInfo).getBytes(), 'binary');
+    }
+}
+
+/**
+ * Loads the PKCS#12 certificate used to digitally sign finalized documents.
+ * @param {Object} options
+ * @param {string} options.p12Path - Path to the .p12/.pfx file (SIGNING_P12_PATH)
+ * @param {string} [options.passphrase=''] - PKCS#12 passphrase (SIGNING_P12_PASSPHRASE)
+ * @param {string} [options.name] - Signer name shown in the PDF reader (SIGNING_NAME)
+ * @param {string} [options.reason] - Signing reason (SIGNING_REASON)
+ * @param {string} [options.location] - Signing location (SIGNING_LOCATION)
+ * @param {string} [options.contactInfo] - Contact info (SIGNING_CONTACT)
+ * @returns {Promise<Object>} - PDF signer with a sign(pdfDoc) method
+ */
+export async function loadPdfSigner({ p12Path, passphrase = '', name, reason, location, contactInfo }) {
+    const signer = new CadesP12Signer(await fs.readFile(p12Path), passphrase);
+    const signPdf = new SignPdf();
+
+    return {
+        certificateSubject: signer.certificate.subject.getField('CN')?.value || null,
+
+        /**
+         * Embeds a PAdES signature into the document. The PDFDocument must not be changed afterwards.
+         * @param {PDFDocument} pdfDoc - The finalized pdf-lib document
+         * @returns {Promise<Buffer>} - The signed PDF bytes
+         */
+        async sign(pdfDoc) {
+            const signingTime = new Date();
+            pdflibAddPlaceholder({
+                pdfDoc,
+                reason: reason || 'Elektronisch unterschrieben',
+                contactInfo: contactInfo || '',
+                name: name || signer.certificate.subject.getField('CN')?.value || '',
+                location: location || '',
+                signingTime,
+                signatureLength: SIGNATURE_LENGTH,
+                subFilter: SUBFILTER_ETSI_CADES_DETACHED
+            });
+            // The ByteRange placeholder must not end up in a compressed object stream
+            const pdfBytes = await pdfDoc.save({ useObjectStreams: false });
+            return signPdf.sign(Buffer.from(pdfBytes), signer, signingTime);
+        }
+    };
+}
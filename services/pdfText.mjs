@@ -0,0 +1,47 @@
+// Letters the standard fonts cannot encode and that have no Unicode decomposition to a base letter
+const BASE_LETTERS = {
+    'Ł': 'L', 'ł': 'l',
+    'Đ': 'D', 'đ': 'd',
+    'Ħ': 'H', 'ħ': 'h',
+    'Ŧ': 'T', 'ŧ': 't',
+    'ı': 'i'
+};
+
+/**
+ * Checks whether a font can encode a character (the standard fonts only cover WinAnsi).
+ * @param {PDFFont} font - The font
+ * @param {string} char - The character
+ * @returns {boolean} - True if the character can be drawn with the font
+ */
+function canEncode(font, char) {
+    try {
+        font.encodeText(char);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Makes user text drawable with a font: characters the font cannot encode are replaced by their
+ * base letter ("Ł" -> "L", "ő" -> "o") or, if there is none (emoji, CJK), by '?'.
+ * @param {PDFFont} font - The font the text is drawn with
+ * @param {string} text - The text
+ * @returns {string} - Text that can safely be drawn
+ */
+export function toEncodable(font, text) {
+    return Array.from(String(text ?? '')).map((char) => {
+        const candidates = [char, char.normalize('NFD').replace(/\p{M}/gu, ''), BASE_LETTERS[char]];
+        return candidates.find((candidate) => candidate && canEncode(font, candidate)) ?? '?';
+    }).join('');
+}
+
+/**
+ * Draws user text onto a page; see toEncodable() for characters the font cannot encode.
+ * @param {PDFPage} page - The page
+ * @param {string} text - The text
+ * @param {Object} options - drawText options, including the font
+ */
+export function drawEncodableText(page, text, options) {
+    page.drawText(toEncodable(options.font, text), options);
+}
@@ -0,0 +1,16 @@
+import path from 'path';
+import { createSqliteRepository } from './sqliteRepository.mjs';
+
+/**
+ * Creates the document repository. SQLite is the only backend for now; the database
+ * file is DATABASE_PATH (default: data/signy.db).
+ * @param {Object} env - Environment variables (usually process.env)
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object} - The document repository
+ */
+export function createDocumentRepository(env, baseDir) {
+    const filename = env.DATABASE_PATH === ':memory:'
+        ? ':memory:'
+        : path.resolve(baseDir, env.DATABASE_PATH || path.join('data', 'signy.db'));
+    return createSqliteRepository({ filename });
+}
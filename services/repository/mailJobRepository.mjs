@@ -0,0 +1,78 @@
+/**
+ * Creates the storage for scheduled mails on an open SQLite database.
+ * Jobs have status 'pending', 'sent', 'cancelled' or 'failed'.
+ * @param {Database} db - The open, migrated database
+ * @returns {Object} - Mail job repository
+ */
+export function createSqliteMailJobRepository(db) {
+    const statements = {
+        // Invitations are unique per signer, so scheduling one twice is a no-op
+        insert: db.prepare(`
+            INSERT OR IGNORE INTO mail_jobs (id, document_id, signer_id, type, run_at, status, attempts, created_at, updated_at)
+            VALUES (@id, @documentId, @signerId, @type, @runAt, 'pending', 0, @now, @now)
+        `),
+        findDue: db.prepare(`
+            SELECT * FROM mail_jobs
+            WHERE status = 'pending' AND run_at <= ?
+            ORDER BY run_at
+            LIMIT ?
+        `),
+        listByDocument: db.prepare('SELECT * FROM mail_jobs WHERE document_id = ? ORDER BY run_at'),
+        update: db.prepare(`
+            UPDATE mail_jobs SET
+                status = @status,
+                run_at = @runAt,
+                attempts = @attempts,
+                last_error = @lastError,
+                sent_at = @sentAt,
+                updated_at = @now
+            WHERE id = @id
+        `)
+    };
+
+    const parse = (row) => ({
+        id: row.id,
+        documentId: row.document_id,
+        signerId: row.signer_id,
+        type: row.type,
+        runAt: row.run_at,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        sentAt: row.sent_at,
+        createdAt: row.created_at
+    });
+
+    return {
+        /**
+         * Adds jobs in one transaction.
+         * @param {Array} jobs - { id, documentId, signerId, type, runAt }
+         * @returns {Promise<number>} - Number of jobs actually added
+         */
+        async schedule(jobs) {
+            const now = new Date().toISOString();
+            return db.transaction(() => jobs.reduce((added, job) => added + statements.insert.run({ ...job, now }).changes, 0))();
+        },
+
+        async findDue(now, limit) {
+            return statements.findDue.all(now, limit).map(parse);
+        },
+
+        async listByDocument(documentId) {
+            return statements.listByDocument.all(documentId).map(parse);
+        },
+
+        async update(job) {
+            statements.update.run({
+                id: job.id,
+                status: job.status,
+                runAt: job.runAt,
+                attempts: job.attempts,
+                lastError: job.lastError || null,
+                sentAt: job.sentAt || null,
+                now: new Date().toISOString()
+            });
+            return job;
+        }
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * Schema migrations for the SQLite document repository.
+ * Each entry is applied once, in order; PRAGMA user_version records how many have run.
+ * Never edit a migration that has shipped, append a new one instead.
+ */
+export default [
+    // 1: documents with the full record as JSON plus indexed lookup columns
+    `
+    CREATE TABLE documents (
+        id TEXT PRIMARY KEY,
+        email TEXT,
+        card_id TEXT,
+        signed_sha256 TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX documents_email ON documents (email);
+    CREATE INDEX documents_card_id ON documents (card_id);
+    CREATE INDEX documents_signed_sha256 ON documents (signed_sha256);
+    `,
+    // 2: lifecycle state, derived for existing rows the same way getDocumentStatus() does
+    `
+    ALTER TABLE documents ADD COLUMN status TEXT;
+    UPDATE documents SET status = COALESCE(
+        json_extract(data, '$.status'),
+        CASE WHEN json_extract(data, '$.signedPdfUrl') IS NOT NULL THEN 'signed' ELSE 'created' END
+    );
+    CREATE INDEX documents_status ON documents (status);
+    `,
+    // 3: expiry of the sign links, for finding documents that have to be expired
+    `
+    ALTER TABLE documents ADD COLUMN expires_at TEXT;
+    UPDATE documents SET expires_at = json_extract(data, '$.expiresAt');
+    CREATE INDEX documents_expires_at ON documents (expires_at);
+    `,
+    // 4: account-wide webhook endpoints and the durable delivery queue
+    `
+    CREATE TABLE webhook_endpoints (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        document_id TEXT,
+        event TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_status_code INTEGER,
+        last_error TEXT,
+        delivered_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX webhook_deliveries_document_id ON webhook_deliveries (document_id);
+    `,
+    // 5: scheduled invitation, reminder and expiry notice mails
+    `
+    CREATE TABLE mail_jobs (
+        id TEXT PRIMARY KEY,
+        document_id TEXT NOT NULL,
+        signer_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        run_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        sent_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX mail_jobs_due ON mail_jobs (status, run_at);
+    CREATE INDEX mail_jobs_document_id ON mail_jobs (document_id);
+    -- Every signer is invited at most once
+    CREATE UNIQUE INDEX mail_jobs_invitation ON mail_jobs (document_id, signer_id) WHERE type = 'invitation';
+    `,
+    // 6: versioned template library; every version has its own PDF and field layout
+    `
+    CREATE TABLE templates (
+        id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        pdf_url TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        page_count INTEGER NOT NULL,
+        fields TEXT,
+        created_at TEXT NOT NULL,
+        retired_at TEXT,
+        PRIMARY KEY (id, version)
+    );
+    `,
+    // 7: form schema of a template version (sign page fields, consents and signature blocks)
+    `
+    ALTER TABLE templates ADD COLUMN form_schema TEXT;
+    `
+];
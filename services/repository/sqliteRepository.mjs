@@ -0,0 +1,172 @@
+import { mkdirSync } from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import migrations from './migrations.mjs';
+import { createSqliteWebhookRepository } from './webhookRepository.mjs';
+import { createSqliteMailJobRepository } from './mailJobRepository.mjs';
+import { createSqliteTemplateRepository } from './templateRepository.mjs';
+import { getDocumentStatus } from '../documentStatus.mjs';
+
+/**
+ * Applies all pending migrations in a single transaction.
+ * @param {Database} db - The open database
+ */
+function migrate(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    const pending = migrations.slice(currentVersion);
+    if (pending.length === 0) return;
+
+    db.transaction(() => {
+        pending.forEach((sql) => db.exec(sql));
+        db.pragma(`user_version = ${migrations.length}`);
+    })();
+    console.log(`Database migrated from version ${currentVersion} to ${migrations.length}.`);
+}
+
+/**
+ * Creates the document repository backed by an embedded SQLite database.
+ * Records are stored as JSON; email, card_id, signed_sha256, status and expires_at are kept in indexed columns.
+ * Methods return promises so other backends can implement the same interface.
+ * Webhook endpoints and deliveries share the database and are available as `webhooks`,
+ * scheduled mails as `mailJobs` and the template library as `templates`.
+ * @param {Object} options
+ * @param {string} options.filename - Path to the database file (or ':memory:')
+ * @returns {Object} - Document repository
+ */
+export function createSqliteRepository({ filename }) {
+    if (filename !== ':memory:') {
+        mkdirSync(path.dirname(filename), { recursive: true });
+    }
+    const db = new Database(filename);
+    // WAL allows reads while a write is in progress and survives crashes mid-write
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+
+    const statements = {
+        get: db.prepare('SELECT data FROM documents WHERE id = ?'),
+        upsert: db.prepare(`
+            INSERT INTO documents (id, email, card_id, signed_sha256, status, expires_at, data, created_at, updated_at)
+            VALUES (@id, @email, @card_id, @signed_sha256, @status, @expires_at, @data, @now, @now)
+            ON CONFLICT (id) DO UPDATE SET
+                email = excluded.email,
+                card_id = excluded.card_id,
+                signed_sha256 = excluded.signed_sha256,
+                status = excluded.status,
+                expires_at = excluded.expires_at,
+                data = excluded.data,
+                updated_at = excluded.updated_at
+        `),
+        // The stored email plus the emails of all signers
+        findByEmail: db.prepare(`
+            SELECT data FROM documents
+            WHERE email = @email COLLATE NOCASE
+               OR EXISTS (
+                   SELECT 1 FROM json_each(documents.data, '$.signers')
+                   WHERE json_extract(value, '$.email') = @email COLLATE NOCASE
+               )
+            ORDER BY created_at
+        `),
+        findByCardId: db.prepare('SELECT data FROM documents WHERE card_id = ? ORDER BY created_at'),
+        findBySignedSha256: db.prepare('SELECT data FROM documents WHERE signed_sha256 = ?'),
+        findByStatus: db.prepare('SELECT data FROM documents WHERE status = ? ORDER BY created_at'),
+        // Documents whose sign links have run out but which are not in a final state yet
+        findDueForExpiry: db.prepare(`
+            SELECT data FROM documents
+            WHERE expires_at <= ? AND status IN ('created', 'sent', 'viewed')
+            ORDER BY expires_at
+        `),
+        count: db.prepare('SELECT COUNT(*) AS count FROM documents')
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const write = (id, record) => {
+        statements.upsert.run({
+            id,
+            email: record.email || null,
+            card_id: record.card_id || null,
+            signed_sha256: record.signedSha256 || null,
+            status: getDocumentStatus(record),
+            expires_at: record.expiresAt || null,
+            data: JSON.stringify({ ...record, id }),
+            now: new Date().toISOString()
+        });
+    };
+
+    return {
+        webhooks: createSqliteWebhookRepository(db),
+        mailJobs: createSqliteMailJobRepository(db),
+        templates: createSqliteTemplateRepository(db),
+
+        async get(id) {
+            return parse(statements.get.get(id));
+        },
+
+        async save(id, record) {
+            write(id, record);
+            return { ...record, id };
+        },
+
+        /**
+         * Reads, changes and writes a record in one transaction.
+         * @param {string} id - The document ID
+         * @param {Function} mutator - Receives the record and changes it in place
+         * @returns {Promise<Object|null>} - The updated record, or null if it does not exist
+         */
+        async update(id, mutator) {
+            return db.transaction(() => {
+                const record = parse(statements.get.get(id));
+                if (!record) return null;
+                mutator(record);
+                write(id, record);
+                return record;
+            }).immediate();
+        },
+
+        async findByEmail(email) {
+            return statements.findByEmail.all({ email }).map(parse);
+        },
+
+        async findByCardId(cardId) {
+            return statements.findByCardId.all(cardId).map(parse);
+        },
+
+        async findBySignedSha256(hash) {
+            return parse(statements.findBySignedSha256.get(hash));
+        },
+
+        async findByStatus(status) {
+            return statements.findByStatus.all(status).map(parse);
+        },
+
+        async findDueForExpiry(now) {
+            return statements.findDueForExpiry.all(now).map(parse);
+        },
+
+        async count() {
+            return statements.count.get().count;
+        },
+
+        /**
+         * Inserts many records in a single transaction, skipping IDs that already exist.
+         * @param {Object} records - Records keyed by document ID
+         * @returns {Promise<number>} - Number of imported records
+         */
+        async importRecords(records) {
+            return db.transaction(() => {
+                let imported = 0;
+                Object.entries(records).forEach(([id, record]) => {
+                    if (statements.get.get(id)) return;
+                    write(id, record);
+                    imported++;
+                });
+                return imported;
+            }).immediate();
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Creates the template library storage on an open SQLite database.
+ * A template is a sequence of versions sharing an ID; each version has its own PDF, field layout and form schema.
+ * Retired versions stay stored so documents created from them can still be traced back.
+ * @param {Database} db - The open, migrated database
+ * @returns {Object} - Template repository
+ */
+export function createSqliteTemplateRepository(db) {
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO templates (id, version, name, pdf_url, sha256, page_count, fields, form_schema, created_at)
+            VALUES (@id, @version, @name, @pdfUrl, @sha256, @pageCount, @fields, @formSchema, @createdAt)
+        `),
+        getVersion: db.prepare('SELECT * FROM templates WHERE id = ? AND version = ?'),
+        // The newest version that has not been retired
+        getActive: db.prepare(`
+            SELECT * FROM templates
+            WHERE id = ? AND retired_at IS NULL
+            ORDER BY version DESC
+            LIMIT 1
+        `),
+        getLatest: db.prepare('SELECT * FROM templates WHERE id = ? ORDER BY version DESC LIMIT 1'),
+        listVersions: db.prepare('SELECT * FROM templates WHERE id = ? ORDER BY version'),
+        // The newest version of every template, optionally only of templates with an active version
+        list: db.prepare(`
+            SELECT t.* FROM templates t
+            WHERE t.version = (
+                SELECT MAX(version) FROM templates
+                WHERE id = t.id AND (@includeRetired = 1 OR retired_at IS NULL)
+            )
+            ORDER BY t.name COLLATE NOCASE, t.id
+        `),
+        retireVersion: db.prepare('UPDATE templates SET retired_at = @retiredAt WHERE id = @id AND version = @version AND retired_at IS NULL'),
+        retireAll: db.prepare('UPDATE templates SET retired_at = @retiredAt WHERE id = @id AND retired_at IS NULL')
+    };
+
+    const parse = (row) => (row ? {
+        id: row.id,
+        version: row.version,
+        name: row.name,
+        pdfUrl: row.pdf_url,
+        sha256: row.sha256,
+        pageCount: row.page_count,
+        fields: row.fields ? JSON.parse(row.fields) : null,
+        formSchema: row.form_schema ? JSON.parse(row.form_schema) : null,
+        createdAt: row.created_at,
+        retiredAt: row.retired_at
+    } : null);
+
+    return {
+        /**
+         * Stores a new version. Fails if the version number is already taken.
+         * @param {Object} template - { id, version, name, pdfUrl, sha256, pageCount, fields, formSchema }
+         * @returns {Promise<Object>} - The stored version
+         */
+        async addVersion(template) {
+            statements.insert.run({
+                ...template,
+                fields: template.fields ? JSON.stringify(template.fields) : null,
+                formSchema: template.formSchema ? JSON.stringify(template.formSchema) : null,
+                createdAt: new Date().toISOString()
+            });
+            return parse(statements.getVersion.get(template.id, template.version));
+        },
+
+        /**
+         * Returns the newest version regardless of whether it is retired.
+         * @param {string} id - The template ID
+         * @returns {Promise<Object|null>} - The version, or null if the template does not exist
+         */
+        async getLatest(id) {
+            return parse(statements.getLatest.get(id));
+        },
+
+        /**
+         * Looks up a template version.
+         * @param {string} id - The template ID
+         * @param {number} [version] - A specific version; without it the newest active version
+         * @returns {Promise<Object|null>} - The version, or null if it does not exist
+         */
+        async get(id, version) {
+            return version === undefined
+                ? parse(statements.getActive.get(id))
+                : parse(statements.getVersion.get(id, version));
+        },
+
+        async listVersions(id) {
+            return statements.listVersions.all(id).map(parse);
+        },
+
+        async list({ includeRetired = false } = {}) {
+            return statements.list.all({ includeRetired: includeRetired ? 1 : 0 }).map(parse);
+        },
+
+        /**
+         * Retires one version, or all versions of a template.
+         * @param {string} id - The template ID
+         * @param {number} [version] - The version to retire; without it every version
+         * @returns {Promise<number>} - Number of versions retired
+         */
+        async retire(id, version) {
+            const retiredAt = new Date().toISOString();
+            const result = version === undefined
+                ? statements.retireAll.run({ id, retiredAt })
+                : statements.retireVersion.run({ id, version, retiredAt });
+            return result.changes;
+        }
+    };
+}
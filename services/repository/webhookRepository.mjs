@@ -0,0 +1,121 @@
+/**
+ * Creates the webhook endpoint and delivery queue storage on an open SQLite database.
+ * Deliveries are rows with status 'pending', 'delivered' or 'dead' (the dead-letter list).
+ * @param {Database} db - The open, migrated database
+ * @returns {Object} - Webhook repository
+ */
+export function createSqliteWebhookRepository(db) {
+    const statements = {
+        insertEndpoint: db.prepare(`
+            INSERT INTO webhook_endpoints (id, url, events, secret, created_at)
+            VALUES (@id, @url, @events, @secret, @createdAt)
+        `),
+        listEndpoints: db.prepare('SELECT * FROM webhook_endpoints ORDER BY created_at'),
+        deleteEndpoint: db.prepare('DELETE FROM webhook_endpoints WHERE id = ?'),
+        insertDelivery: db.prepare(`
+            INSERT INTO webhook_deliveries (id, document_id, event, url, secret, payload, status, attempts, next_attempt_at, created_at, updated_at)
+            VALUES (@id, @documentId, @event, @url, @secret, @payload, 'pending', 0, @now, @now, @now)
+        `),
+        getDelivery: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+        findDueDeliveries: db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at
+            LIMIT ?
+        `),
+        listDeliveries: db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE (@status IS NULL OR status = @status)
+              AND (@documentId IS NULL OR document_id = @documentId)
+            ORDER BY created_at DESC
+            LIMIT @limit
+        `),
+        updateDelivery: db.prepare(`
+            UPDATE webhook_deliveries SET
+                status = @status,
+                attempts = @attempts,
+                next_attempt_at = @nextAttemptAt,
+                last_status_code = @lastStatusCode,
+                last_error = @lastError,
+                delivered_at = @deliveredAt,
+                updated_at = @now
+            WHERE id = @id
+        `)
+    };
+
+    const parseEndpoint = (row) => (row ? { ...row, events: JSON.parse(row.events) } : null);
+
+    const parseDelivery = (row) => (row ? {
+        id: row.id,
+        documentId: row.document_id,
+        event: row.event,
+        url: row.url,
+        secret: row.secret,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        deliveredAt: row.delivered_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    } : null);
+
+    return {
+        async saveEndpoint(endpoint) {
+            statements.insertEndpoint.run({ ...endpoint, events: JSON.stringify(endpoint.events) });
+            return endpoint;
+        },
+
+        async listEndpoints() {
+            return statements.listEndpoints.all().map(parseEndpoint);
+        },
+
+        async deleteEndpoint(id) {
+            return statements.deleteEndpoint.run(id).changes > 0;
+        },
+
+        /**
+         * Adds deliveries to the queue in one transaction.
+         * @param {Array} deliveries - { id, documentId, event, url, secret, payload }
+         */
+        async enqueueDeliveries(deliveries) {
+            const now = new Date().toISOString();
+            db.transaction(() => {
+                deliveries.forEach((delivery) => statements.insertDelivery.run({
+                    ...delivery,
+                    documentId: delivery.documentId || null,
+                    payload: JSON.stringify(delivery.payload),
+                    now
+                }));
+            })();
+        },
+
+        async getDelivery(id) {
+            return parseDelivery(statements.getDelivery.get(id));
+        },
+
+        async findDueDeliveries(now, limit) {
+            return statements.findDueDeliveries.all(now, limit).map(parseDelivery);
+        },
+
+        async listDeliveries({ status = null, documentId = null, limit = 100 } = {}) {
+            return statements.listDeliveries.all({ status, documentId, limit }).map(parseDelivery);
+        },
+
+        async updateDelivery(delivery) {
+            statements.updateDelivery.run({
+                id: delivery.id,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                nextAttemptAt: delivery.nextAttemptAt || null,
+                lastStatusCode: delivery.lastStatusCode ?? null,
+                lastError: delivery.lastError || null,
+                deliveredAt: delivery.deliveredAt || null,
+                now: new Date().toISOString()
+            });
+            return delivery;
+        }
+    };
+}
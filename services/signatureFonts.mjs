@@ -0,0 +1,49 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Fonts a keyboard signature can be written in; the files ship in public/fonts. The first is the default.
+export const SIGNATURE_FONTS = [
+    { name: 'DancingScript-Regular', family: 'Dancing Script', file: 'DancingScript-Regular.ttf' },
+    { name: 'BarlowSemiCondensed-Regular', family: 'Barlow Semi Condensed', file: 'BarlowSemiCondensed-Regular.ttf' },
+    { name: 'Caveat-Regular', family: 'Caveat', file: 'Caveat-Regular.ttf' },
+    { name: 'Pacifico-Regular', family: 'Pacifico', file: 'Pacifico-Regular.ttf' }
+];
+
+export const SIGNATURE_FONT_NAMES = SIGNATURE_FONTS.map((font) => font.name);
+export const DEFAULT_SIGNATURE_FONT = SIGNATURE_FONTS[0].name;
+
+/**
+ * Creates the registry of signature fonts. Font files are read once and kept in memory.
+ * @param {string} fontDir - Directory containing the font files
+ * @returns {Object} - Registry with list() and load(name)
+ */
+export function createSignatureFontRegistry(fontDir) {
+    const cache = new Map();
+
+    return {
+        /**
+         * Lists the fonts for the sign page.
+         * @returns {Array} - { name, family, url } per font, the default first
+         */
+        list() {
+            return SIGNATURE_FONTS.map(({ name, family, file }) => ({ name, family, url: `/fonts/${file}` }));
+        },
+
+        /**
+         * Reads the file of a font.
+         * @param {string} [name] - Font name; without it the default font
+         * @returns {Promise<Buffer>} - The TrueType font bytes
+         * @throws {Error} - If the font is not registered
+         */
+        async load(name) {
+            const font = SIGNATURE_FONTS.find((entry) => entry.name === (name ?? DEFAULT_SIGNATURE_FONT));
+            if (!font) {
+                throw new Error(`Unbekannte Schriftart "${name}".`);
+            }
+            if (!cache.has(font.name)) {
+                cache.set(font.name, await fs.readFile(path.join(fontDir, font.file)));
+            }
+            return cache.get(font.name);
+        }
+    };
+}
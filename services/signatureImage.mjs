@@ -0,0 +1,275 @@
+import upng from '@pdf-lib/upng';
+import { rgb, LineCapStyle } from 'pdf-lib';
+import { decodePngDataUri } from './validation.mjs';
+
+// CommonJS build whose module object carries the codec as default export
+const UPNG = upng.default;
+
+// Pixels lighter than this coverage count as paper when trimming
+const MIN_COVERAGE = 0.02;
+// Room around the ink so anti-aliased edges are not cut off
+const TRIM_PADDING = 2;
+// Stroke width when signature_pad's options were not sent
+const DEFAULT_STROKE_WIDTH = 2;
+
+/**
+ * Fits content of the given size into a box, keeping its aspect ratio and centering it.
+ * @param {number} width - Content width
+ * @param {number} height - Content height
+ * @param {Object} box - { x, y, width, height } in PDF points
+ * @returns {Object} - { x, y, width, height } of the placed content
+ */
+export function fitIntoBox(width, height, box) {
+    const scale = Math.min(box.width / width, box.height / height);
+    return {
+        x: box.x + (box.width - width * scale) / 2,
+        y: box.y + (box.height - height * scale) / 2,
+        width: width * scale,
+        height: height * scale
+    };
+}
+
+/**
+ * Crops a signature PNG to its ink and turns the paper transparent. The pad's white background
+ * is taken out of every pixel, so anti-aliased edges keep their shade over the document.
+ * @param {Buffer} png - The PNG bytes (e.g. from signature_pad with a white background)
+ * @returns {Buffer|null} - The trimmed, transparent PNG, or null if the image has no ink
+ */
+export function trimSignatureImage(png) {
+    const image = UPNG.decode(png);
+    const { width, height } = image;
+    const pixels = new Uint8Array(UPNG.toRGBA8(image)[0]);
+
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            // Coverage of the ink over white paper, recovered from the darkest channel
+            const coverage = (1 - Math.min(pixels[i], pixels[i + 1], pixels[i + 2]) / 255) * (pixels[i + 3] / 255);
+            if (coverage < MIN_COVERAGE) {
+                pixels[i + 3] = 0;
+                continue;
+            }
+            const alpha = coverage / (pixels[i + 3] / 255);
+            for (let c = 0; c < 3; c++) {
+                pixels[i + c] = Math.max(0, Math.min(255, Math.round((pixels[i + c] - 255 * (1 - alpha)) / alpha)));
+            }
+            pixels[i + 3] = Math.round(coverage * 255);
+            left = Math.min(left, x);
+            right = Math.max(right, x);
+            top = Math.min(top, y);
+            bottom = y;
+        }
+    }
+    if (right === -1) {
+        return null;
+    }
+
+    left = Math.max(0, left - TRIM_PADDING);
+    top = Math.max(0, top - TRIM_PADDING);
+    right = Math.min(width - 1, right + TRIM_PADDING);
+    bottom = Math.min(height - 1, bottom + TRIM_PADDING);
+    const cropWidth = right - left + 1;
+    const cropHeight = bottom - top + 1;
+    const cropped = new Uint8Array(cropWidth * cropHeight * 4);
+    for (let y = 0; y < cropHeight; y++) {
+        const start = ((top + y) * width + left) * 4;
+        cropped.set(pixels.subarray(start, start + cropWidth * 4), y * cropWidth * 4);
+    }
+    return Buffer.from(UPNG.encode([cropped.buffer], cropWidth, cropHeight, 0));
+}
+
+/**
+ * Parses a signature_pad pen color ('#rgb', '#rrggbb' or 'rgb(r, g, b)'); anything else is black.
+ * @param {string} color - The pen color
+ * @returns {number[]} - Red, green and blue from 0 to 1
+ */
+function parsePenColorChannels(color) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16) / 255);
+    }
+    const channels = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color || '');
+    return channels ? channels.slice(1, 4).map((value) => Math.min(255, Number(value)) / 255) : [0, 0, 0];
+}
+
+/**
+ * Parses a signature_pad pen color for drawing in the PDF.
+ * @param {string} color - The pen color
+ * @returns {RGB} - pdf-lib color
+ */
+function parsePenColor(color) {
+    return rgb(...parsePenColorChannels(color));
+}
+
+/**
+ * Computes the bounds of the ink of signature_pad stroke data, including half the pen width.
+ * @param {Array} strokes - Point groups from signature_pad's toData()
+ * @returns {Object|null} - { left, top, right, bottom } in canvas pixels, or null without points
+ */
+export function getStrokeBounds(strokes) {
+    let bounds = null;
+    strokes.forEach((stroke) => {
+        const half = (stroke.maxWidth ?? DEFAULT_STROKE_WIDTH) / 2;
+        stroke.points.forEach(({ x, y }) => {
+            bounds = bounds
+                ? {
+                    left: Math.min(bounds.left, x - half),
+                    top: Math.min(bounds.top, y - half),
+                    right: Math.max(bounds.right, x + half),
+                    bottom: Math.max(bounds.bottom, y + half)
+                }
+                : { left: x - half, top: y - half, right: x + half, bottom: y + half };
+        });
+    });
+    return bounds;
+}
+
+/**
+ * Builds an SVG path through the points of a stroke, smoothed with quadratic curves between the midpoints.
+ * @param {Array} points - { x, y } in canvas pixels
+ * @param {Object} origin - Top left of the ink bounds, subtracted from every point
+ * @returns {string} - The path
+ */
+function toSvgPath(points, origin) {
+    const p = points.map(({ x, y }) => [x - origin.left, y - origin.top]);
+    let path = `M ${p[0][0]} ${p[0][1]}`;
+    for (let i = 1; i < p.length - 1; i++) {
+        path += ` Q ${p[i][0]} ${p[i][1]} ${(p[i][0] + p[i + 1][0]) / 2} ${(p[i][1] + p[i + 1][1]) / 2}`;
+    }
+    const last = p[p.length - 1];
+    return `${path} L ${last[0]} ${last[1]}`;
+}
+
+/**
+ * Draws signature_pad stroke data as vector paths into a box, keeping its aspect ratio.
+ * The pen width is the mean of the stroke's minWidth and maxWidth; a single point is drawn as a dot.
+ * @param {PDFPage} page - The page
+ * @param {Array} strokes - Point groups from signature_pad's toData()
+ * @param {Object} box - { x, y, width, height } in PDF points
+ */
+export function drawSignatureStrokes(page, strokes, box) {
+    const bounds = getStrokeBounds(strokes);
+    if (!bounds) {
+        return;
+    }
+    const placed = fitIntoBox(bounds.right - bounds.left, bounds.bottom - bounds.top, box);
+    const scale = placed.width / (bounds.right - bounds.left);
+
+    strokes.forEach((stroke) => {
+        const color = parsePenColor(stroke.penColor);
+        const strokeWidth = ((stroke.minWidth ?? DEFAULT_STROKE_WIDTH) + (stroke.maxWidth ?? DEFAULT_STROKE_WIDTH)) / 2;
+        if (stroke.points.length === 1) {
+            const [point] = stroke.points;
+            page.drawCircle({
+                x: placed.x + (point.x - bounds.left) * scale,
+                y: placed.y + placed.height - (point.y - bounds.top) * scale,
+                size: ((stroke.dotSize || strokeWidth) / 2) * scale,
+                color
+            });
+            return;
+        }
+        // SVG paths run downwards from the given origin, like the canvas
+        page.drawSvgPath(toSvgPath(stroke.points, bounds), {
+            x: placed.x,
+            y: placed.y + placed.height,
+            scale,
+            borderColor: color,
+            borderWidth: strokeWidth,
+            borderLineCap: LineCapStyle.Round
+        });
+    });
+}
+
+/**
+ * Writes a typed signature or initials into a box, sized to fit and centered.
+ * @param {PDFPage} page - The page
+ * @param {string} text - The text
+ * @param {PDFFont} font - The embedded signature font
+ * @param {Object} box - { x, y, width, height } in PDF points
+ */
+export function drawTextInBox(page, text, font, box) {
+    const size = Math.min(box.height * 0.6, (box.width * 0.9 * 16) / font.widthOfTextAtSize(text, 16));
+    page.drawText(text, {
+        x: box.x + (box.width - font.widthOfTextAtSize(text, size)) / 2,
+        y: box.y + (box.height - size) / 2,
+        size,
+        font
+    });
+}
+
+/**
+ * Prepares a drawn signature for placing on pages. A PNG is trimmed, made transparent and embedded once;
+ * stroke data is drawn as vector paths each time.
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {string|Array} signature - PNG data URI, or point groups from signature_pad's toData()
+ * @returns {Promise<Function>} - draw(page, box) placing the signature into a box, keeping its aspect ratio
+ */
+export async function embedDrawnSignature(pdfDoc, signature) {
+    if (Array.isArray(signature)) {
+        return (page, box) => drawSignatureStrokes(page, signature, box);
+    }
+    const png = decodePngDataUri(signature);
+    const image = await pdfDoc.embedPng(trimSignatureImage(png) || png);
+    return (page, box) => page.drawImage(image, fitIntoBox(image.width, image.height, box));
+}
+
+/**
+ * Renders stroke data as an SVG that redraws the signature at the pace it was written.
+ * Each stroke starts at its recorded time and follows the timestamps of its points, so pauses and
+ * changes in speed are visible. Without timestamps the strokes are drawn one after another.
+ * @param {Array} strokes - Point groups from signature_pad's toData()
+ * @returns {string} - The SVG document
+ */
+export function renderSignatureReplay(strokes) {
+    const bounds = getStrokeBounds(strokes) || { left: 0, top: 0, right: 1, bottom: 1 };
+    const width = Math.ceil(bounds.right - bounds.left);
+    const height = Math.ceil(bounds.bottom - bounds.top);
+    const times = strokes.flatMap((stroke) => stroke.points.map((point) => point.time));
+    const timed = times.every(Number.isFinite);
+    const start = timed ? Math.min(...times) : 0;
+    const seconds = (ms) => `${(ms / 1000).toFixed(3)}s`;
+
+    const elements = strokes.map((stroke, index) => {
+        const [red, green, blue] = parsePenColorChannels(stroke.penColor).map((channel) => Math.round(channel * 255));
+        const color = `rgb(${red},${green},${blue})`;
+        const strokeWidth = ((stroke.minWidth ?? DEFAULT_STROKE_WIDTH) + (stroke.maxWidth ?? DEFAULT_STROKE_WIDTH)) / 2;
+        const first = stroke.points[0];
+        const last = stroke.points[stroke.points.length - 1];
+        const begin = timed ? first.time - start : index * 1000;
+        const duration = Math.max(timed ? last.time - first.time : 1000, 1);
+
+        if (stroke.points.length === 1) {
+            const size = (stroke.dotSize || strokeWidth) / 2;
+            return `<circle cx="${first.x - bounds.left}" cy="${first.y - bounds.top}" r="${size}" fill="${color}" opacity="0">`
+                + `<set attributeName="opacity" to="1" begin="${seconds(begin)}" fill="freeze"/></circle>`;
+        }
+
+        // Share of the stroke drawn at each point, by distance travelled, against the share of its time
+        const lengths = [0];
+        for (let i = 1; i < stroke.points.length; i++) {
+            const previous = stroke.points[i - 1];
+            const point = stroke.points[i];
+            lengths.push(lengths[i - 1] + Math.hypot(point.x - previous.x, point.y - previous.y));
+        }
+        const total = lengths[lengths.length - 1] || 1;
+        // keyTimes have to run from 0 to 1 without going back
+        let previousTime = 0;
+        const keyTimes = stroke.points.map((point, i) => {
+            const share = timed ? (point.time - first.time) / duration : i / (stroke.points.length - 1);
+            previousTime = Math.min(1, Math.max(previousTime, share));
+            return previousTime;
+        });
+        keyTimes[keyTimes.length - 1] = 1;
+        const animation = `<animate attributeName="stroke-dashoffset" begin="${seconds(begin)}" dur="${seconds(duration)}" fill="freeze"`
+            + ` calcMode="linear" keyTimes="${keyTimes.map((t) => t.toFixed(4)).join(';')}"`
+            + ` values="${lengths.map((length) => (1 - length / total).toFixed(4)).join(';')}"/>`;
+        return `<path d="${toSvgPath(stroke.points, bounds)}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"`
+            + ` stroke-linecap="round" stroke-linejoin="round" pathLength="1" stroke-dasharray="1" stroke-dashoffset="1">${animation}</path>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`
+        + `${elements.join('\n')}\n</svg>\n`;
+}
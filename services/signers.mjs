@@ -0,0 +1,195 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createAccessToken } from './accessTokens.mjs';
+import { initDocumentStatus } from './documentStatus.mjs';
+
+export const SIGNING_ORDERS = ['sequential', 'parallel'];
+
+/**
+ * Parses and validates the signers supplied at upload time.
+ * Without a signers list the document gets a single signer built from the legacy
+ * vorname/email parameters.
+ * @param {string|Array|undefined} input - JSON string or array of { role, name, email, order }
+ * @param {Object} fallback - Legacy single signer data ({ name, email })
+ * @returns {Array} - Signers sorted by order, each with id, role, name, email, order, status, signedAt
+ */
+export function parseSigners(input, fallback) {
+    let signers = input;
+    if (input === undefined || input === null || input === '') {
+        signers = [{ role: 'signer', name: fallback.name, email: fallback.email }];
+    } else if (typeof input === 'string') {
+        try {
+            signers = JSON.parse(input);
+        } catch (error) {
+            throw new Error('signers ist kein gültiges JSON.');
+        }
+    }
+    if (!Array.isArray(signers) || signers.length === 0) {
+        throw new Error('signers muss ein nicht-leeres Array sein.');
+    }
+
+    const roles = new Set();
+    return signers
+        .map((signer, index) => {
+            if (!signer || typeof signer !== 'object') {
+                throw new Error(`signers[${index}] ist ungültig.`);
+            }
+            const role = typeof signer.role === 'string' ? signer.role.trim() : '';
+            if (!role) {
+                throw new Error(`signers[${index}].role fehlt.`);
+            }
+            if (roles.has(role)) {
+                throw new Error(`Rolle "${role}" ist mehrfach vergeben.`);
+            }
+            roles.add(role);
+
+            const order = signer.order === undefined ? index + 1 : Number(signer.order);
+            if (!Number.isInteger(order) || order < 1) {
+                throw new Error(`signers[${index}].order muss eine positive Ganzzahl sein.`);
+            }
+            return {
+                id: uuidv4(),
+                role,
+                name: signer.name || null,
+                email: signer.email || null,
+                order,
+                status: 'pending',
+                signedAt: null
+            };
+        })
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Creates the sign link for one signer of a document.
+ * @param {string} pdfId - The document ID
+ * @param {string} signerId - The signer ID
+ * @param {string} expiresAt - ISO timestamp after which the link no longer works
+ * @returns {string} - Relative sign URL including signer ID and access token
+ */
+export function createSignUrl(pdfId, signerId, expiresAt) {
+    const ttlSeconds = Math.ceil((Date.parse(expiresAt) - Date.now()) / 1000);
+    const token = createAccessToken('pdf', `${pdfId}:${signerId}`, ttlSeconds);
+    return `/sign/${pdfId}?signer=${signerId}&token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Brings a record from the legacy pdfStore.json into the current shape, so it can be opened and signed:
+ * one signer built from vorname/email, a status, an expiry and a sign link with a token.
+ * Legacy links (/sign/:pdfId without a token) stop working; the new link replaces them.
+ * @param {string} pdfId - The document ID
+ * @param {Object} record - The legacy record ({ pdfUrl, signUrl, vorname, card_id, email, signedPdfUrl? })
+ * @param {string} expiresAt - ISO timestamp after which the new sign link no longer works
+ * @returns {Object} - The upgraded record; records that already have signers are returned unchanged
+ */
+export function upgradeLegacyRecord(pdfId, record, expiresAt) {
+    if (record.signers) {
+        return record;
+    }
+    const importedAt = new Date().toISOString();
+    const signers = parseSigners(undefined, { name: record.vorname, email: record.email });
+    const signed = Boolean(record.signedPdfUrl);
+    signers.forEach((signer) => {
+        signer.signUrl = createSignUrl(pdfId, signer.id, expiresAt);
+        if (signed) {
+            signer.status = 'signed';
+        }
+    });
+    const upgraded = {
+        ...record,
+        currentPdfUrl: record.signedPdfUrl || record.pdfUrl,
+        signUrl: signers[0].signUrl,
+        legacySignUrl: record.signUrl || null,
+        signingOrder: 'sequential',
+        signers,
+        expiresAt,
+        createdAt: record.createdAt || importedAt
+    };
+    initDocumentStatus(upgraded, importedAt);
+    if (signed) {
+        upgraded.status = 'signed';
+        upgraded.statusHistory.push({ from: 'created', to: 'signed', at: importedAt, legacyImport: true });
+    }
+    return upgraded;
+}
+
+/**
+ * Parses the signing order ('sequential' by default).
+ * @param {string|undefined} input - The signingOrder field from the upload
+ * @returns {string} - 'sequential' or 'parallel'
+ */
+export function parseSigningOrder(input) {
+    const signingOrder = input || 'sequential';
+    if (!SIGNING_ORDERS.includes(signingOrder)) {
+        throw new Error(`signingOrder muss einer von ${SIGNING_ORDERS.join(', ')} sein.`);
+    }
+    return signingOrder;
+}
+
+/**
+ * Returns the layout fields that belong to a signer. Fields without a "signer" role
+ * belong to the first signer.
+ * @param {Array|null} fields - The document's field layout
+ * @param {Object} signer - The signer
+ * @param {Array} signers - All signers of the document
+ * @returns {Array|null} - The signer's fields, or null if the document has no layout
+ */
+export function getSignerFields(fields, signer, signers) {
+    if (!fields) return null;
+    return fields.filter((field) => (field.signer ? field.signer === signer.role : signer.id === signers[0].id));
+}
+
+/**
+ * Checks that the field layout fits the signers: every field's role must exist and,
+ * with more than one signer, every signer needs their own contract signature field
+ * (a layout field or a signature widget of the PDF's form).
+ * @param {Array|null} fields - The document's field layout
+ * @param {Array} signers - All signers of the document
+ * @param {Array|null} [formFields] - The PDF's AcroForm fields (see services/acroForm.mjs)
+ */
+export function validateSignerFields(fields, signers, formFields = null) {
+    const roles = signers.map((signer) => signer.role);
+    (fields || []).forEach((field, index) => {
+        if (field.signer && !roles.includes(field.signer)) {
+            throw new Error(`fields[${index}].signer "${field.signer}" ist kein definierter Unterzeichner.`);
+        }
+    });
+
+    if (signers.length > 1) {
+        signers.forEach((signer) => {
+            const signerFields = getSignerFields(fields, signer, signers) || [];
+            const signerFormFields = getSignerFields(formFields, signer, signers) || [];
+            if (!signerFields.some((field) => field.type === 'signature' && field.name === 'contract')
+                && !signerFormFields.some((field) => field.type === 'signature')) {
+                throw new Error(`Für "${signer.role}" ist kein Unterschriftsfeld definiert.`);
+            }
+        });
+    }
+}
+
+/**
+ * Checks whether a signer may sign now.
+ * @param {Object} pdfData - The document record
+ * @param {Object} signer - The signer who wants to sign
+ * @returns {string|null} - A German error message, or null if signing is allowed
+ */
+export function getSigningBlocker(pdfData, signer) {
+    if (signer.status === 'signed') {
+        return 'Du hast dieses Dokument bereits unterschrieben.';
+    }
+    if (pdfData.signingOrder === 'sequential') {
+        const waitingFor = pdfData.signers.find((s) => s.order < signer.order && s.status !== 'signed');
+        if (waitingFor) {
+            return 'Das Dokument muss zuerst von den vorherigen Unterzeichnern unterschrieben werden.';
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the signers who can sign next.
+ * @param {Object} pdfData - The document record
+ * @returns {Array} - Pending signers who are not blocked by the signing order
+ */
+export function getNextSigners(pdfData) {
+    return pdfData.signers.filter((signer) => signer.status !== 'signed' && !getSigningBlocker(pdfData, signer));
+}
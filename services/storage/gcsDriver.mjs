@@ -0,0 +1,84 @@
+import { Storage } from '@google-cloud/storage';
+
+/**
+ * Creates a storage driver backed by Google Cloud Storage.
+ * @param {Object} options
+ * @param {string} options.bucketName - The GCS bucket name (GCP_BUCKET_NAME)
+ * @param {boolean} [options.makePublic=false] - Make uploaded files publicly readable
+ * @returns {Object} - Storage driver with save/read methods
+ */
+export function createGcsDriver({ bucketName, makePublic = false }) {
+    if (!bucketName) {
+        throw new Error('GCP_BUCKET_NAME environment variable is not set.');
+    }
+
+    // Assumes authentication is handled by the environment (e.g., Cloud Run Service Account)
+    const storage = new Storage();
+
+    /**
+     * Resolves a gs:// URI or public https:// URL to a file path within the configured bucket.
+     * @param {string} location - The GCS URI (gs://...) or public URL (https://...)
+     * @returns {string} - The file path inside the bucket
+     */
+    function resolveKey(location) {
+        let match;
+        if (location.startsWith('gs://')) {
+            match = location.match(/^gs:\/\/([^\/]+)\/(.+)$/);
+            if (!match) throw new Error(`Invalid GCS URI format: ${location}`);
+        } else if (location.startsWith('https://storage.googleapis.com/')) {
+            match = location.match(/^https:\/\/storage\.googleapis\.com\/([^\/]+)\/(.+)$/);
+            if (!match) throw new Error(`Invalid GCS public URL format: ${location}`);
+        } else {
+            throw new Error(`Unsupported PDF URL format for download: ${location}`);
+        }
+
+        // Only ever read from the configured bucket
+        if (match[1] !== bucketName) {
+            console.warn(`Attempted download from unexpected bucket: ${match[1]}`);
+            throw new Error(`Cannot download from bucket ${match[1]}, expected ${bucketName}.`);
+        }
+        return match[2];
+    }
+
+    return {
+        name: 'gcs',
+
+        async save(destinationFilename, bytes, { contentType = 'application/pdf' } = {}) {
+            const file = storage.bucket(bucketName).file(destinationFilename);
+            try {
+                await file.save(bytes, { metadata: { contentType } });
+                console.log(`PDF uploaded to gs://${bucketName}/${destinationFilename}`);
+
+                if (makePublic) {
+                    await file.makePublic();
+                    const publicUrl = `https://storage.googleapis.com/${bucketName}/${destinationFilename}`;
+                    console.log(`PDF made public at: ${publicUrl}`);
+                    return publicUrl;
+                }
+                // Return the GCS URI for private files
+                return `gs://${bucketName}/${destinationFilename}`;
+            } catch (error) {
+                console.error(`ERROR uploading PDF to GCS bucket "${bucketName}":`, error);
+                throw new Error(`Failed to upload PDF to bucket ${bucketName}.`);
+            }
+        },
+
+        async read(location) {
+            const filePath = resolveKey(location);
+            try {
+                const [contents] = await storage.bucket(bucketName).file(filePath).download();
+                console.log(`Downloaded PDF from gs://${bucketName}/${filePath}`);
+                return contents;
+            } catch (error) {
+                console.error(`ERROR downloading PDF from GCS "${location}":`, error);
+                // Improve error message based on common GCS errors
+                if (error.code === 404 || error.message.includes('Not Found')) {
+                    throw new Error(`PDF not found at GCS location: ${location}.`);
+                } else if (error.code === 403 || error.message.includes('does not have storage.objects.get access')) {
+                    throw new Error(`Permission denied to download PDF from GCS: ${location}. Check Cloud Run service account permissions.`);
+                }
+                throw new Error(`Failed to download PDF from GCS: ${location}.`);
+            }
+        }
+    };
+}
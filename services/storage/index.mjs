@@ -0,0 +1,44 @@
+import path from 'path';
+import { createGcsDriver } from './gcsDriver.mjs';
+import { createLocalDriver } from './localDriver.mjs';
+import { createS3Driver } from './s3Driver.mjs';
+
+/**
+ * Creates the storage driver selected by STORAGE_DRIVER ('gcs', 's3' or 'local').
+ * Defaults to 'gcs' so existing Cloud Run deployments keep working unchanged.
+ *
+ * Every driver exposes the same interface:
+ *   save(destinationFilename, bytes, { contentType }) -> Promise<string> location (URI or public URL)
+ *   read(location) -> Promise<Buffer>
+ *
+ * @param {Object} env - Environment variables (usually process.env)
+ * @param {string} baseDir - Directory relative local paths are resolved against
+ * @returns {Object} - The configured storage driver
+ */
+export function createStorageDriver(env, baseDir) {
+    const driverName = (env.STORAGE_DRIVER || 'gcs').toLowerCase();
+
+    switch (driverName) {
+        case 'gcs':
+            return createGcsDriver({
+                bucketName: env.GCP_BUCKET_NAME,
+                makePublic: env.GCS_MAKE_PUBLIC === 'true'
+            });
+        case 's3':
+            return createS3Driver({
+                bucketName: env.S3_BUCKET,
+                endpoint: env.S3_ENDPOINT || undefined,
+                region: env.S3_REGION || undefined,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+                publicUrl: env.S3_PUBLIC_URL
+            });
+        case 'local':
+            return createLocalDriver({
+                baseDir: path.resolve(baseDir, env.STORAGE_LOCAL_DIR || 'storage')
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use 'gcs', 's3' or 'local'.`);
+    }
+}
@@ -0,0 +1,64 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const LOCAL_SCHEME = 'local://';
+
+/**
+ * Creates a storage driver that keeps files on the local filesystem.
+ * Locations are returned as local://<key> URIs relative to the base directory.
+ * @param {Object} options
+ * @param {string} options.baseDir - Absolute directory the files are written to (STORAGE_LOCAL_DIR)
+ * @returns {Object} - Storage driver with save/read methods
+ */
+export function createLocalDriver({ baseDir }) {
+    if (!baseDir) {
+        throw new Error('STORAGE_LOCAL_DIR is not set.');
+    }
+    const root = path.resolve(baseDir);
+
+    /**
+     * Maps a key to an absolute path, refusing anything that escapes the base directory.
+     * @param {string} key - Relative file key (e.g., 'uploads/uploaded_<id>.pdf')
+     * @returns {string} - Absolute file path
+     */
+    function resolvePath(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async save(destinationFilename, bytes) {
+            const filePath = resolvePath(destinationFilename);
+            try {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(filePath, bytes);
+                console.log(`PDF stored at ${filePath}`);
+                return `${LOCAL_SCHEME}${destinationFilename}`;
+            } catch (error) {
+                console.error(`ERROR storing PDF in "${root}":`, error);
+                throw new Error(`Failed to store PDF ${destinationFilename}.`);
+            }
+        },
+
+        async read(location) {
+            if (!location.startsWith(LOCAL_SCHEME)) {
+                throw new Error(`Unsupported PDF URL format for download: ${location}`);
+            }
+            const filePath = resolvePath(location.slice(LOCAL_SCHEME.length));
+            try {
+                return await fs.readFile(filePath);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`PDF not found at local location: ${location}.`);
+                }
+                console.error(`ERROR reading PDF "${location}":`, error);
+                throw new Error(`Failed to read PDF: ${location}.`);
+            }
+        }
+    };
+}
@@ -0,0 +1,96 @@
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * Creates a storage driver for S3-compatible object stores (AWS S3, MinIO, ...).
+ * @param {Object} options
+ * @param {string} options.bucketName - The bucket name (S3_BUCKET)
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. http://localhost:9000 for MinIO (S3_ENDPOINT)
+ * @param {string} [options.region='us-east-1'] - Bucket region (S3_REGION)
+ * @param {string} [options.accessKeyId] - Access key; falls back to the SDK credential chain (S3_ACCESS_KEY_ID)
+ * @param {string} [options.secretAccessKey] - Secret key (S3_SECRET_ACCESS_KEY)
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs; defaults to true when an endpoint is set (S3_FORCE_PATH_STYLE)
+ * @param {string} [options.publicUrl] - Base URL the bucket is publicly served from; if set, this URL is returned instead of s3:// (S3_PUBLIC_URL)
+ * @returns {Object} - Storage driver with save/read methods
+ */
+export function createS3Driver({
+    bucketName,
+    endpoint,
+    region = 'us-east-1',
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = Boolean(endpoint),
+    publicUrl
+}) {
+    if (!bucketName) {
+        throw new Error('S3_BUCKET environment variable is not set.');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+    const publicBase = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+
+    /**
+     * Resolves an s3:// URI or public URL to an object key within the configured bucket.
+     * @param {string} location - The S3 URI (s3://...) or public URL
+     * @returns {string} - The object key
+     */
+    function resolveKey(location) {
+        if (location.startsWith('s3://')) {
+            const match = location.match(/^s3:\/\/([^\/]+)\/(.+)$/);
+            if (!match) throw new Error(`Invalid S3 URI format: ${location}`);
+            if (match[1] !== bucketName) {
+                console.warn(`Attempted download from unexpected bucket: ${match[1]}`);
+                throw new Error(`Cannot download from bucket ${match[1]}, expected ${bucketName}.`);
+            }
+            return match[2];
+        }
+        if (publicBase && location.startsWith(`${publicBase}/`)) {
+            return location.slice(publicBase.length + 1);
+        }
+        throw new Error(`Unsupported PDF URL format for download: ${location}`);
+    }
+
+    return {
+        name: 's3',
+
+        async save(destinationFilename, bytes, { contentType = 'application/pdf' } = {}) {
+            try {
+                await client.send(new PutObjectCommand({
+                    Bucket: bucketName,
+                    Key: destinationFilename,
+                    Body: bytes,
+                    ContentType: contentType
+                }));
+                console.log(`PDF uploaded to s3://${bucketName}/${destinationFilename}`);
+                return publicBase
+                    ? `${publicBase}/${destinationFilename}`
+                    : `s3://${bucketName}/${destinationFilename}`;
+            } catch (error) {
+                console.error(`ERROR uploading PDF to S3 bucket "${bucketName}":`, error);
+                throw new Error(`Failed to upload PDF to bucket ${bucketName}.`);
+            }
+        },
+
+        async read(location) {
+            const key = resolveKey(location);
+            try {
+                const response = await client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+                const contents = Buffer.from(await response.Body.transformToByteArray());
+                console.log(`Downloaded PDF from s3://${bucketName}/${key}`);
+                return contents;
+            } catch (error) {
+                console.error(`ERROR downloading PDF from S3 "${location}":`, error);
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                    throw new Error(`PDF not found at S3 location: ${location}.`);
+                } else if (error.$metadata?.httpStatusCode === 403) {
+                    throw new Error(`Permission denied to download PDF from S3: ${location}.`);
+                }
+                throw new Error(`Failed to download PDF from S3: ${location}.`);
+            }
+        }
+    };
+}
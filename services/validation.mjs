@@ -0,0 +1,303 @@
+import upng from '@pdf-lib/upng';
+
+// CommonJS build whose module object carries the decoder as default export
+const UPNG = upng.default;
+
+// Codes of field errors in 400 responses; the sign page maps them to its messages
+export const VALIDATION_CODES = [
+    'required',
+    'too_long',
+    'invalid_type',
+    'invalid_email',
+    'invalid_option',
+    'not_accepted',
+    'invalid_signature',
+    'blank_signature',
+    'invalid_pdf'
+];
+
+export const MAX_TEXT_LENGTH = 200;
+export const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PNG_DATA_URI = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Larger images are rejected before decoding (a signature pad is a few hundred pixels wide)
+const MAX_SIGNATURE_PIXELS = 4000 * 4000;
+// A signature needs some ink, spread over more than a dot
+const MIN_INK_PIXELS = 50;
+const MIN_INK_EXTENT = 10;
+// Limits of signature_pad stroke data (toData()): a long signature has a few dozen strokes and some thousand points
+const MAX_STROKES = 500;
+const MAX_STROKE_POINTS = 20000;
+const MAX_COORDINATE = 10000;
+const MAX_PEN_WIDTH = 50;
+
+/**
+ * Checks an email address for the usual local@domain.tld form.
+ * @param {string} value - The address
+ * @returns {boolean} - True if it looks like an email address
+ */
+export function isEmail(value) {
+    return typeof value === 'string' && value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * Decodes the PNG of a signature data URI.
+ * @param {string} value - The data URI, e.g. from signature_pad's toDataURL()
+ * @returns {Buffer|null} - The PNG bytes, or null if the value is no base64 PNG data URI
+ */
+export function decodePngDataUri(value) {
+    const match = typeof value === 'string' ? PNG_DATA_URI.exec(value) : null;
+    if (!match) {
+        return null;
+    }
+    const bytes = Buffer.from(match[1], 'base64');
+    return bytes.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC) ? bytes : null;
+}
+
+/**
+ * Finds the pixels of a signature image that carry ink: opaque enough and darker than the paper.
+ * @param {Buffer} png - The PNG bytes
+ * @returns {Object|null} - { width, height, inkPixels, bounds: { left, top, right, bottom } | null }, or null if the PNG cannot be decoded
+ */
+export function analyzeSignatureImage(png) {
+    // IHDR follows the magic: length (4), type (4), width (4), height (4)
+    if (png.length < 24 || png.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    if (width === 0 || height === 0 || width * height > MAX_SIGNATURE_PIXELS) {
+        return null;
+    }
+
+    let rgba;
+    try {
+        rgba = new Uint8Array(UPNG.toRGBA8(UPNG.decode(png))[0]);
+    } catch (error) {
+        return null;
+    }
+
+    let inkPixels = 0;
+    let bounds = null;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (rgba[i + 3] < 128 || Math.min(rgba[i], rgba[i + 1], rgba[i + 2]) >= 200) {
+                continue;
+            }
+            inkPixels++;
+            if (!bounds) {
+                bounds = { left: x, top: y, right: x, bottom: y };
+            } else {
+                bounds.left = Math.min(bounds.left, x);
+                bounds.right = Math.max(bounds.right, x);
+                bounds.bottom = y;
+            }
+        }
+    }
+    return { width, height, inkPixels, bounds };
+}
+
+/**
+ * Checks the structure of signature_pad stroke data.
+ * @param {*} strokes - Point groups as returned by toData(): { penColor, minWidth, maxWidth, dotSize, points: [{ x, y, time, pressure }] }
+ * @returns {Object|null} - { width, height } of the area the points cover, or null if the data is malformed
+ */
+export function analyzeSignatureStrokes(strokes) {
+    const isNumber = (value, max) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= max;
+    const isOptionalNumber = (value, max) => value === undefined || value === null || isNumber(value, max);
+
+    if (!Array.isArray(strokes) || strokes.length === 0 || strokes.length > MAX_STROKES) {
+        return null;
+    }
+    let pointCount = 0;
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    for (const stroke of strokes) {
+        if (!stroke || typeof stroke !== 'object' || !Array.isArray(stroke.points) || stroke.points.length === 0) {
+            return null;
+        }
+        // Eraser strokes cannot be drawn as paths
+        if (stroke.compositeOperation !== undefined && stroke.compositeOperation !== 'source-over') {
+            return null;
+        }
+        if (!['minWidth', 'maxWidth', 'dotSize'].every((key) => isOptionalNumber(stroke[key], MAX_PEN_WIDTH))) {
+            return null;
+        }
+        if (stroke.penColor !== undefined && (typeof stroke.penColor !== 'string' || stroke.penColor.length > 50)) {
+            return null;
+        }
+        pointCount += stroke.points.length;
+        if (pointCount > MAX_STROKE_POINTS) {
+            return null;
+        }
+        for (const point of stroke.points) {
+            if (!point || !isNumber(point.x, MAX_COORDINATE) || !isNumber(point.y, MAX_COORDINATE)
+                || !isOptionalNumber(point.time, Number.MAX_SAFE_INTEGER) || !isOptionalNumber(point.pressure, 1)) {
+                return null;
+            }
+            left = Math.min(left, point.x);
+            right = Math.max(right, point.x);
+            top = Math.min(top, point.y);
+            bottom = Math.max(bottom, point.y);
+        }
+    }
+    return { width: right - left, height: bottom - top };
+}
+
+/**
+ * Creates a collector for the field errors of one request.
+ * Field names are the request keys, nested ones as path (e.g. "values.company", "consents.terms").
+ * @returns {Object} - Validation with text(), email(), signature(), strokes(), pdf(), add(), valid and result()
+ */
+export function createValidation() {
+    const errors = [];
+
+    const validation = {
+        /**
+         * Records a field error.
+         * @param {string} field - Request key of the field
+         * @param {string} code - One of VALIDATION_CODES
+         * @param {string} message - German message for clients that show the error as is
+         * @param {Object} [details] - Extra properties for the client, e.g. { maxLength }
+         */
+        add(field, code, message, details = {}) {
+            errors.push({ field, code, message, ...details });
+        },
+
+        /**
+         * Validates an optional or required string.
+         * @param {string} field - Request key of the field
+         * @param {*} value - The submitted value
+         * @param {Object} options - { label, required = false, maxLength = MAX_TEXT_LENGTH }
+         * @returns {string|undefined} - The trimmed value, undefined if empty or invalid
+         */
+        text(field, value, { label, required = false, maxLength = MAX_TEXT_LENGTH }) {
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                validation.add(field, 'invalid_type', `Ungültiger Wert für "${label}".`);
+                return undefined;
+            }
+            const text = (value || '').trim();
+            if (!text) {
+                if (required) {
+                    validation.add(field, 'required', `Bitte fülle das Feld "${label}" aus.`);
+                }
+                return undefined;
+            }
+            if (text.length > maxLength) {
+                validation.add(field, 'too_long', `"${label}" darf höchstens ${maxLength} Zeichen lang sein.`, { maxLength });
+                return undefined;
+            }
+            return text;
+        },
+
+        /**
+         * Validates an optional or required email address.
+         * @param {string} field - Request key of the field
+         * @param {*} value - The submitted value
+         * @param {Object} options - { label, required = false }
+         * @returns {string|undefined} - The trimmed address, undefined if empty or invalid
+         */
+        email(field, value, { label, required = false }) {
+            const text = validation.text(field, value, { label, required, maxLength: MAX_EMAIL_LENGTH });
+            if (text !== undefined && !isEmail(text)) {
+                validation.add(field, 'invalid_email', `"${label}" ist keine gültige E-Mail-Adresse.`);
+                return undefined;
+            }
+            return text;
+        },
+
+        /**
+         * Validates a drawn signature: a base64 PNG data URI with enough ink to be more than a dot.
+         * @param {string} field - Request key of the field
+         * @param {*} value - The submitted data URI
+         * @param {Object} options - { label, required = false }
+         * @returns {Buffer|undefined} - The PNG bytes, undefined if empty or invalid
+         */
+        signature(field, value, { label, required = false }) {
+            if (value === undefined || value === null || value === '') {
+                if (required) {
+                    validation.add(field, 'required', `Bitte unterschreibe: ${label}.`);
+                }
+                return undefined;
+            }
+            const png = decodePngDataUri(value);
+            const analysis = png ? analyzeSignatureImage(png) : null;
+            if (!analysis) {
+                validation.add(field, 'invalid_signature', `${label}: Die Unterschrift ist kein gültiges PNG-Bild.`);
+                return undefined;
+            }
+            const { inkPixels, bounds } = analysis;
+            const extent = bounds ? Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top) + 1 : 0;
+            if (inkPixels < MIN_INK_PIXELS || extent < MIN_INK_EXTENT) {
+                validation.add(field, 'blank_signature', `${label}: Die Unterschrift ist leer oder zu kurz.`);
+                return undefined;
+            }
+            return png;
+        },
+
+        /**
+         * Validates a signature sent as signature_pad stroke data, with enough extent to be more than a dot.
+         * @param {string} field - Request key of the field
+         * @param {*} value - Point groups from toData()
+         * @param {Object} options - { label, required = false }
+         * @returns {Array|undefined} - The point groups, undefined if empty or invalid
+         */
+        strokes(field, value, { label, required = false }) {
+            if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+                if (required) {
+                    validation.add(field, 'required', `Bitte unterschreibe: ${label}.`);
+                }
+                return undefined;
+            }
+            const analysis = analyzeSignatureStrokes(value);
+            if (!analysis) {
+                validation.add(field, 'invalid_signature', `${label}: Die Strichdaten der Unterschrift sind ungültig.`);
+                return undefined;
+            }
+            if (Math.max(analysis.width, analysis.height) < MIN_INK_EXTENT) {
+                validation.add(field, 'blank_signature', `${label}: Die Unterschrift ist leer oder zu kurz.`);
+                return undefined;
+            }
+            return value;
+        },
+
+        /**
+         * Validates an uploaded PDF by its header (which may follow some leading bytes).
+         * @param {string} field - Request key of the upload
+         * @param {Buffer|null} bytes - The uploaded file
+         * @param {Object} options - { label, required = false }
+         * @returns {Buffer|undefined} - The bytes, undefined if missing or not a PDF
+         */
+        pdf(field, bytes, { label, required = false }) {
+            if (!bytes) {
+                if (required) {
+                    validation.add(field, 'required', `${label} fehlt.`);
+                }
+                return undefined;
+            }
+            if (!bytes.subarray(0, 1024).includes('%PDF-')) {
+                validation.add(field, 'invalid_pdf', `${label} ist keine gültige PDF-Datei.`);
+                return undefined;
+            }
+            return bytes;
+        },
+
+        get valid() {
+            return errors.length === 0;
+        },
+
+        /**
+         * The body of the 400 response: the first message for display and every field error with its code.
+         * @returns {Object} - { error, errors: [{ field, code, ...details }] }
+         */
+        result() {
+            return {
+                error: errors[0]?.message ?? null,
+                errors: errors.map(({ message, ...error }) => error)
+            };
+        }
+    };
+    return validation;
+}
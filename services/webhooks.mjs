@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { v4 as uuidv4 } from 'uuid';
+
+export const WEBHOOK_EVENTS = ['uploaded', 'viewed', 'signed', 'declined', 'expired', 'otp_locked'];
+
+// Retries back off exponentially from one minute up to twelve hours
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 12 * 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+/**
+ * Parses an event subscription list. Without input all events are subscribed.
+ * @param {string|Array|undefined} input - JSON array, comma-separated string or array of event names
+ * @returns {Array} - The subscribed events
+ */
+export function parseWebhookEvents(input) {
+    if (input === undefined || input === null || input === '') {
+        return [...WEBHOOK_EVENTS];
+    }
+    let events = input;
+    if (typeof input === 'string') {
+        events = input.trim().startsWith('[') ? JSON.parse(input) : input.split(',');
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error('events muss eine nicht-leere Liste sein.');
+    }
+    events = events.map((event) => String(event).trim());
+    const unknown = events.find((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+        throw new Error(`Unbekanntes Webhook-Event "${unknown}". Erlaubt: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return [...new Set(events)];
+}
+
+/**
+ * Validates a webhook endpoint URL.
+ * @param {string} input - The URL
+ * @returns {string} - The URL
+ */
+export function parseWebhookUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (error) {
+        throw new Error('Die Webhook-URL ist ungültig.');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('Die Webhook-URL muss mit http:// oder https:// beginnen.');
+    }
+    return url.toString();
+}
+
+/**
+ * Creates a random secret for signing deliveries to an endpoint.
+ * @returns {string} - Hex-encoded secret
+ */
+export function createWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Computes the HMAC-SHA256 signature of a delivery. Receivers recompute it over
+ * `${X-Signy-Timestamp}.${raw body}` with their endpoint secret.
+ * @param {string} secret - The endpoint secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Signy-Timestamp
+ * @param {string} body - The raw JSON body
+ * @returns {string} - Hex-encoded signature
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Endpoints with the same URL and secret receive an event only once. Endpoints that differ in
+ * either (e.g., a per-document URL with its own secret and the account URL) each get their own
+ * delivery, signed with their own secret.
+ * @param {Object} endpoint - Endpoint ({ url, secret })
+ * @returns {string} - Deduplication key
+ */
+function endpointKey(endpoint) {
+    return JSON.stringify([new URL(endpoint.url).href, endpoint.secret]);
+}
+
+/**
+ * Creates the webhook dispatcher. Every event is written to the delivery queue first and
+ * sent from there, so failed deliveries survive restarts and are retried with exponential
+ * backoff until they succeed or end up in the dead-letter list after maxAttempts.
+ * @param {Object} options
+ * @param {Object} options.repository - Webhook repository (endpoints and deliveries)
+ * @param {Object|null} [options.defaultEndpoint] - Account endpoint from the environment ({ url, events, secret })
+ * @param {number} [options.maxAttempts=10] - Attempts before a delivery is dead-lettered
+ * @param {number} [options.timeoutMs=10000] - Timeout per attempt
+ * @returns {Object} - Webhook dispatcher
+ */
+export function createWebhookDispatcher({ repository, defaultEndpoint = null, maxAttempts = 10, timeoutMs = 10000 }) {
+    let running = null;
+    let rerun = false;
+
+    /**
+     * Collects the endpoints subscribed to an event: the document's own endpoint first,
+     * then the account endpoints.
+     * @param {string} event - The event name
+     * @param {Object|null} document - The document record
+     * @returns {Promise<Array>} - Endpoints ({ url, secret })
+     */
+    async function resolveEndpoints(event, document) {
+        const candidates = [
+            document?.webhook,
+            defaultEndpoint,
+            ...(await repository.listEndpoints())
+        ].filter((endpoint) => endpoint?.url && endpoint.events.includes(event));
+
+        // Subscriptions are checked above, so an endpoint is only skipped if an identical one gets the event
+        const seen = new Set();
+        return candidates.filter((endpoint) => {
+            const key = endpointKey(endpoint);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Sends one delivery and records the outcome.
+     * @param {Object} delivery - The queued delivery
+     */
+    async function attempt(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+        delivery.attempts += 1;
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Signy-Event': delivery.event,
+                    'X-Signy-Delivery': delivery.id,
+                    'X-Signy-Timestamp': String(timestamp),
+                    'X-Signy-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, body)}`
+                },
+                body,
+                signal: controller.signal
+            });
+            delivery.lastStatusCode = response.status;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+            delivery.nextAttemptAt = null;
+            delivery.lastError = null;
+        } catch (error) {
+            delivery.lastError = error.name === 'AbortError' ? `Timeout nach ${timeoutMs} ms` : error.message;
+            if (delivery.attempts >= maxAttempts) {
+                delivery.status = 'dead';
+                delivery.nextAttemptAt = null;
+                console.error(`Webhook delivery ${delivery.id} (${delivery.event} to ${delivery.url}) failed permanently: ${delivery.lastError}`);
+            } else {
+                const delay = Math.min(RETRY_BASE_MS * 2 ** (delivery.attempts - 1), RETRY_MAX_MS);
+                delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                console.error(`Webhook delivery ${delivery.id} (${delivery.event} to ${delivery.url}) failed, retrying at ${delivery.nextAttemptAt}: ${delivery.lastError}`);
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+        await repository.updateDelivery(delivery);
+    }
+
+    const dispatcher = {
+        /**
+         * Queues an event for all subscribed endpoints and starts sending it.
+         * Errors are logged, not thrown, so a notification never fails the request.
+         * @param {string} event - One of WEBHOOK_EVENTS
+         * @param {Object|null} document - The document record (null for events without a stored document)
+         * @param {Object} payload - Event data
+         * @returns {Promise<number>} - Number of queued deliveries
+         */
+        async emit(event, document, payload) {
+            try {
+                const endpoints = await resolveEndpoints(event, document);
+                const body = {
+                    event,
+                    documentId: document?.id || null,
+                    ...payload,
+                    timestamp: payload.timestamp || new Date().toISOString()
+                };
+                await repository.enqueueDeliveries(endpoints.map((endpoint) => ({
+                    id: uuidv4(),
+                    documentId: document?.id || null,
+                    event,
+                    url: endpoint.url,
+                    secret: endpoint.secret,
+                    payload: body
+                })));
+                if (endpoints.length > 0) {
+                    dispatcher.processQueue();
+                }
+                return endpoints.length;
+            } catch (error) {
+                console.error(`Error queueing webhook event ${event}:`, error);
+                return 0;
+            }
+        },
+
+        /**
+         * Sends all due deliveries. Concurrent calls are folded into the running pass.
+         * @returns {Promise<void>}
+         */
+        processQueue() {
+            if (running) {
+                rerun = true;
+                return running;
+            }
+            running = (async () => {
+                do {
+                    rerun = false;
+                    let due;
+                    while ((due = await repository.findDueDeliveries(new Date().toISOString(), BATCH_SIZE)).length > 0) {
+                        for (const delivery of due) {
+                            await attempt(delivery);
+                        }
+                    }
+                } while (rerun);
+            })()
+                .catch((error) => console.error('Error processing webhook queue:', error))
+                .finally(() => {
+                    running = null;
+                });
+            return running;
+        },
+
+        /**
+         * Puts a delivery (typically from the dead-letter list) back into the queue.
+         * @param {string} id - The delivery ID
+         * @returns {Promise<Object|null>} - The delivery, or null if it does not exist
+         */
+        async redeliver(id) {
+            const delivery = await repository.getDelivery(id);
+            if (!delivery) return null;
+            delivery.status = 'pending';
+            delivery.attempts = 0;
+            delivery.nextAttemptAt = new Date().toISOString();
+            await repository.updateDelivery(delivery);
+            dispatcher.processQueue();
+            return delivery;
+        },
+
+        /**
+         * Picks up deliveries that were due while the service was down and polls for retries.
+         * @param {number} intervalMs - Polling interval
+         */
+        start(intervalMs) {
+            dispatcher.processQueue();
+            setInterval(() => dispatcher.processQueue(), intervalMs).unref();
+        }
+    };
+    return dispatcher;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The secret is read on first use
+process.env.ACCESS_TOKEN_SECRET = 'test-secret';
+const { createAccessToken, verifyAccessToken } = await import('../services/accessTokens.mjs');
+
+test('a token is valid for the purpose and resource it was issued for', () => {
+    const token = createAccessToken('pdf', 'doc-1:signer-1', 60);
+    assert.match(token, /^\d+\.[A-Za-z0-9_-]+$/);
+    assert.equal(verifyAccessToken(token, 'pdf', 'doc-1:signer-1'), true);
+});
+
+test('a token does not grant another purpose or resource', () => {
+    const token = createAccessToken('pdf', 'doc-1:signer-1', 60);
+    assert.equal(verifyAccessToken(token, 'download:signed', 'doc-1:signer-1'), false);
+    assert.equal(verifyAccessToken(token, 'pdf', 'doc-1:signer-2'), false);
+    assert.equal(verifyAccessToken(token, 'pdf', 'doc-2:signer-1'), false);
+});
+
+test('an expired token is rejected', () => {
+    const token = createAccessToken('pdf', 'doc-1', -1);
+    assert.equal(verifyAccessToken(token, 'pdf', 'doc-1'), false);
+});
+
+test('a token with a changed expiry or signature is rejected', () => {
+    const token = createAccessToken('pdf', 'doc-1', 60);
+    const [expiresAt, signature] = token.split('.');
+    assert.equal(verifyAccessToken(`${Number(expiresAt) + 3600}.${signature}`, 'pdf', 'doc-1'), false);
+    const flipped = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+    assert.equal(verifyAccessToken(`${expiresAt}.${flipped}`, 'pdf', 'doc-1'), false);
+});
+
+test('malformed tokens are rejected', () => {
+    for (const token of [undefined, null, 42, '', 'abc', '123', '123.', 'x.y', '1.5.abc']) {
+        assert.equal(verifyAccessToken(token, 'pdf', 'doc-1'), false, String(token));
+    }
+});
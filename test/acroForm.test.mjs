@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { readFormFields, fillFormFields } from '../services/acroForm.mjs';
+
+test('fillFormFields fills text the standard font cannot encode', async () => {
+    const source = await PDFDocument.create();
+    const page = source.addPage();
+    source.getForm().createTextField('Name').addToPage(page, { x: 50, y: 700, width: 200, height: 20 });
+    const pdfDoc = await PDFDocument.load(await source.save());
+
+    const formFields = readFormFields(pdfDoc).filter((field) => field.type === 'text');
+    fillFormFields(pdfDoc, formFields, { Name: 'Łukasz Żółć 😀' });
+    const filled = await PDFDocument.load(await pdfDoc.save());
+    assert.equal(filled.getForm().getTextField('Name').getText(), 'Lukasz Zólc ?');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createBiometricsVault, describeStrokes } from '../services/biometrics.mjs';
+
+const KEY = crypto.randomBytes(32);
+const CONTEXT = { documentId: 'doc-1', signerId: 'signer-1', name: 'contract' };
+const STROKES = [
+    { penColor: 'black', points: [{ x: 1, y: 2, time: 1000, pressure: 0.5 }, { x: 30, y: 12, time: 1250, pressure: 0.6 }] },
+    { penColor: 'black', points: [{ x: 40, y: 5, time: 1600, pressure: 0.4 }] }
+];
+
+test('without BIOMETRICS_KEY no vault is created', () => {
+    assert.equal(createBiometricsVault({}), null);
+});
+
+test('keys must be 32 bytes in hex or base64', () => {
+    assert.ok(createBiometricsVault({ BIOMETRICS_KEY: KEY.toString('hex') }));
+    assert.ok(createBiometricsVault({ BIOMETRICS_KEY: KEY.toString('base64') }));
+    assert.throws(() => createBiometricsVault({ BIOMETRICS_KEY: 'too-short' }), /BIOMETRICS_KEY must be 32 bytes/);
+});
+
+test('sealed stroke data opens to the original strokes', () => {
+    const vault = createBiometricsVault({ BIOMETRICS_KEY: KEY.toString('hex') });
+    const sealed = vault.seal(STROKES, CONTEXT);
+    assert.equal(sealed.algorithm, 'aes-256-gcm');
+    assert.ok(!sealed.data.includes('pressure'));
+    assert.deepEqual(vault.open(sealed, CONTEXT), STROKES);
+    // Every seal uses a fresh IV
+    assert.notEqual(vault.seal(STROKES, CONTEXT).iv, sealed.iv);
+});
+
+test('stroke data does not open for another signer, block or key', () => {
+    const vault = createBiometricsVault({ BIOMETRICS_KEY: KEY.toString('hex') });
+    const sealed = vault.seal(STROKES, CONTEXT);
+    assert.throws(() => vault.open(sealed, { ...CONTEXT, signerId: 'signer-2' }));
+    assert.throws(() => vault.open(sealed, { ...CONTEXT, name: 'withdrawal' }));
+    const otherVault = createBiometricsVault({ BIOMETRICS_KEY: crypto.randomBytes(32).toString('hex') });
+    assert.throws(() => otherVault.open(sealed, CONTEXT));
+});
+
+test('altered stroke data is rejected', () => {
+    const vault = createBiometricsVault({ BIOMETRICS_KEY: KEY.toString('hex') });
+    const sealed = vault.seal(STROKES, CONTEXT);
+    const data = Buffer.from(sealed.data, 'base64');
+    data[0] ^= 1;
+    assert.throws(() => vault.open({ ...sealed, data: data.toString('base64') }, CONTEXT));
+});
+
+test('describeStrokes counts strokes and points and measures the duration', () => {
+    assert.deepEqual(describeStrokes(STROKES), { strokeCount: 2, pointCount: 3, durationMs: 600 });
+    assert.deepEqual(describeStrokes([{ points: [{ x: 1, y: 1 }] }]), { strokeCount: 1, pointCount: 1, durationMs: null });
+});
@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import migrations from '../services/repository/migrations.mjs';
+import { createSqliteRepository } from '../services/repository/sqliteRepository.mjs';
+
+let dir;
+
+beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'signy-migrations-'));
+    // Migrations are logged
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Reads the schema version of a database file.
+ * @param {string} filename - The database file
+ * @returns {number} - PRAGMA user_version
+ */
+function readVersion(filename) {
+    const db = new Database(filename, { readonly: true });
+    const version = db.pragma('user_version', { simple: true });
+    db.close();
+    return version;
+}
+
+test('a new database gets every migration', async () => {
+    const filename = path.join(dir, 'signy.db');
+    const documents = createSqliteRepository({ filename });
+    await documents.save('doc-1', { email: 'max@example.com', status: 'created', expiresAt: '2000-01-01T00:00:00.000Z' });
+    assert.equal((await documents.get('doc-1')).id, 'doc-1');
+    assert.equal((await documents.findByEmail('MAX@example.com')).length, 1);
+    assert.equal((await documents.findDueForExpiry(new Date().toISOString())).length, 1);
+    documents.close();
+
+    assert.equal(readVersion(filename), migrations.length);
+});
+
+test('opening a migrated database again changes nothing', async () => {
+    const filename = path.join(dir, 'signy.db');
+    createSqliteRepository({ filename }).close();
+    const documents = createSqliteRepository({ filename });
+    assert.equal(await documents.count(), 0);
+    documents.close();
+
+    assert.equal(readVersion(filename), migrations.length);
+});
+
+test('migrating from version 1 derives status and expiry of existing documents', async () => {
+    const filename = path.join(dir, 'signy.db');
+    const db = new Database(filename);
+    db.exec(migrations[0]);
+    db.pragma('user_version = 1');
+    const insert = db.prepare('INSERT INTO documents (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)');
+    const now = new Date().toISOString();
+    insert.run('signed-doc', JSON.stringify({ pdfUrl: 'local://a.pdf', signedPdfUrl: 'local://b.pdf' }), now, now);
+    insert.run('open-doc', JSON.stringify({ pdfUrl: 'local://c.pdf', expiresAt: '2000-01-01T00:00:00.000Z' }), now, now);
+    insert.run('declined-doc', JSON.stringify({ pdfUrl: 'local://d.pdf', status: 'declined' }), now, now);
+    db.close();
+
+    const documents = createSqliteRepository({ filename });
+    assert.deepEqual((await documents.findByStatus('signed')).map((record) => record.pdfUrl), ['local://a.pdf']);
+    assert.deepEqual((await documents.findByStatus('created')).map((record) => record.pdfUrl), ['local://c.pdf']);
+    assert.deepEqual((await documents.findByStatus('declined')).map((record) => record.pdfUrl), ['local://d.pdf']);
+    assert.deepEqual((await documents.findDueForExpiry(now)).map((record) => record.pdfUrl), ['local://c.pdf']);
+    // Tables of later migrations exist
+    assert.deepEqual(await documents.templates.list(), []);
+    assert.deepEqual(await documents.mailJobs.listByDocument('open-doc'), []);
+    assert.deepEqual(await documents.webhooks.listEndpoints(), []);
+    documents.close();
+
+    assert.equal(readVersion(filename), migrations.length);
+});
+
+test('importRecords skips documents that already exist', async () => {
+    const documents = createSqliteRepository({ filename: ':memory:' });
+    await documents.save('doc-1', { email: 'a@example.com' });
+    const imported = await documents.importRecords({
+        'doc-1': { email: 'changed@example.com' },
+        'doc-2': { email: 'b@example.com' }
+    });
+    assert.equal(imported, 1);
+    assert.equal((await documents.get('doc-1')).email, 'a@example.com');
+    assert.equal((await documents.get('doc-2')).email, 'b@example.com');
+    documents.close();
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createOtp,
+    checkOtp,
+    maskEmail,
+    getOtpLockout,
+    recordOtpSend,
+    recordOtpFailure,
+    unlockOtp,
+    OTP_MAX_ATTEMPTS,
+    OTP_MAX_SENDS,
+    OTP_MAX_FAILED_ATTEMPTS
+} from '../services/otp.mjs';
+
+test('createOtp returns a 6-digit code and stores only its salted hash', () => {
+    const { code, otp } = createOtp();
+    assert.match(code, /^\d{6}$/);
+    assert.equal(otp.attempts, 0);
+    assert.deepEqual(Object.keys(otp).sort(), ['attempts', 'expiresAt', 'hash', 'salt', 'sentAt']);
+    assert.match(otp.hash, /^[0-9a-f]{64}$/);
+    assert.ok(Date.parse(otp.expiresAt) > Date.parse(otp.sentAt));
+});
+
+test('checkOtp accepts the right code and counts wrong ones', () => {
+    const { code, otp } = createOtp();
+    const wrong = code === '000000' ? '000001' : '000000';
+    assert.equal(checkOtp(otp, wrong), 'Der Code ist falsch.');
+    assert.equal(otp.attempts, 1);
+    assert.equal(checkOtp(otp, ` ${code} `), null);
+});
+
+test('checkOtp rejects every code after OTP_MAX_ATTEMPTS wrong ones', () => {
+    const { code, otp } = createOtp();
+    const wrong = code === '000000' ? '000001' : '000000';
+    for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+        assert.equal(checkOtp(otp, wrong), 'Der Code ist falsch.');
+    }
+    assert.equal(checkOtp(otp, wrong), 'Der Code ist falsch. Bitte fordere einen neuen Code an.');
+    assert.equal(checkOtp(otp, code), 'Der Code ist abgelaufen. Bitte fordere einen neuen Code an.');
+    assert.equal(otp.attempts, OTP_MAX_ATTEMPTS);
+});
+
+test('checkOtp rejects an expired or missing code', () => {
+    const { code, otp } = createOtp();
+    otp.expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal(checkOtp(otp, code), 'Der Code ist abgelaufen. Bitte fordere einen neuen Code an.');
+    assert.equal(checkOtp(undefined, code), 'Der Code ist abgelaufen. Bitte fordere einen neuen Code an.');
+});
+
+test('recordOtpSend locks the signer once OTP_MAX_SENDS codes were sent', () => {
+    const signer = { id: 's1' };
+    for (let i = 0; i < OTP_MAX_SENDS; i++) {
+        assert.equal(recordOtpSend(signer, '192.0.2.1'), true);
+    }
+    assert.equal(recordOtpSend(signer, '192.0.2.1'), false);
+    const lockout = getOtpLockout(signer);
+    assert.equal(lockout.reason, 'sends');
+    assert.equal(lockout.ip, '192.0.2.1');
+    assert.equal(lockout.unlockedAt, null);
+    assert.equal(recordOtpSend(signer, '192.0.2.1'), false);
+    assert.equal(signer.audit.otpLockouts.length, 1);
+});
+
+test('recordOtpFailure locks the signer after OTP_MAX_FAILED_ATTEMPTS wrong codes over all codes', () => {
+    const signer = { id: 's1', otp: createOtp().otp };
+    for (let i = 1; i < OTP_MAX_FAILED_ATTEMPTS; i++) {
+        assert.equal(recordOtpFailure(signer, '192.0.2.2'), false);
+    }
+    assert.equal(recordOtpFailure(signer, '192.0.2.2'), true);
+    assert.equal(getOtpLockout(signer).reason, 'attempts');
+    // The pending code cannot be used any more
+    assert.equal(signer.otp, undefined);
+});
+
+test('unlockOtp lifts the lockout, keeps it in the audit trail and resets the allowance', () => {
+    const signer = { id: 's1' };
+    assert.equal(unlockOtp(signer), false);
+    for (let i = 0; i < OTP_MAX_FAILED_ATTEMPTS; i++) {
+        recordOtpFailure(signer, '192.0.2.3');
+    }
+    assert.equal(unlockOtp(signer), true);
+    assert.equal(getOtpLockout(signer), null);
+    assert.ok(signer.audit.otpLockouts[0].unlockedAt);
+    assert.equal(recordOtpSend(signer, '192.0.2.3'), true);
+    assert.equal(recordOtpFailure(signer, '192.0.2.3'), false);
+});
+
+test('maskEmail keeps the first two characters and the domain', () => {
+    assert.equal(maskEmail('max.mustermann@example.com'), 'ma***@example.com');
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { toEncodable, drawEncodableText } from '../services/pdfText.mjs';
+
+test('toEncodable keeps WinAnsi text and falls back to base letters or ?', async () => {
+    const font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+    assert.equal(toEncodable(font, 'Müller, Jürgen – Straße'), 'Müller, Jürgen – Straße');
+    assert.equal(toEncodable(font, 'Łukasz Żółć'), 'Lukasz Zólc');
+    assert.equal(toEncodable(font, 'Ödön Erdős'), 'Ödön Erdos');
+    assert.equal(toEncodable(font, '東京 😀'), '?? ?');
+    assert.equal(toEncodable(font, undefined), '');
+});
+
+test('drawEncodableText draws text the font cannot encode', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const page = pdfDoc.addPage();
+    assert.throws(() => page.drawText('Łukasz', { x: 10, y: 10, font }), /WinAnsi cannot encode/);
+    drawEncodableText(page, 'Łukasz 東京', { x: 10, y: 10, font });
+    assert.ok((await pdfDoc.save()).length > 0);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PDFDocument } from 'pdf-lib';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const API_KEY = 'test-key';
+
+let dir;
+let server;
+let baseUrl;
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} - The port
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+before(async () => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'signy-signing-'));
+    const port = await findFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            API_KEY,
+            STORAGE_DRIVER: 'local',
+            STORAGE_LOCAL_DIR: path.join(dir, 'storage'),
+            DATABASE_PATH: path.join(dir, 'signy.db')
+        },
+        stdio: 'ignore'
+    });
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await fetch(baseUrl);
+            return;
+        } catch (error) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error('Server did not start.');
+});
+
+after(() => {
+    server.kill();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Uploads a one-page PDF with a positioned name field for one signer.
+ * @returns {Promise<Object>} - { pdfId, signerId, token } of the signer
+ */
+async function uploadDocument() {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([595, 842]);
+    const body = new FormData();
+    body.append('pdf', new Blob([await pdfDoc.save()], { type: 'application/pdf' }), 'contract.pdf');
+    body.append('vorname', 'Łukasz');
+    body.append('email', 'lukasz@example.com');
+    body.append('fields', JSON.stringify([
+        { type: 'signature', page: 0, x: 50, y: 100, width: 150, height: 60 },
+        { type: 'text', name: 'fullName', page: 0, x: 300, y: 100 }
+    ]));
+    const response = await fetch(`${baseUrl}/api/pdf-upload`, { method: 'POST', headers: { 'x-api-key': API_KEY }, body });
+    assert.equal(response.status, 200, await response.clone().text());
+    const signUrl = new URL((await response.json()).signUrl, baseUrl);
+    return {
+        pdfId: signUrl.pathname.split('/').pop(),
+        signerId: signUrl.searchParams.get('signer'),
+        token: signUrl.searchParams.get('token')
+    };
+}
+
+test('names the standard font cannot encode are signed and stamped', async () => {
+    const { pdfId, signerId, token } = await uploadDocument();
+    const response = await fetch(`${baseUrl}/api/sign`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+            pdfId,
+            signerId,
+            token,
+            fullName: 'Łukasz Żółć 😀 東京',
+            email: 'lukasz@example.com',
+            location: 'Kraków',
+            contractKeyboardSignature: { text: 'Łukasz Żółć' },
+            consents: { terms: true, withdrawal: true }
+        })
+    });
+    const result = await response.json();
+    assert.equal(response.status, 200, result.error);
+    assert.equal(result.completed, true);
+
+    const download = await fetch(result.pdfUrl);
+    assert.equal(download.status, 200);
+    // Document, protocol page
+    assert.equal((await PDFDocument.load(await download.arrayBuffer())).getPageCount(), 2);
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorageDriver } from '../services/storage/index.mjs';
+import { createLocalDriver } from '../services/storage/localDriver.mjs';
+import { createS3Driver } from '../services/storage/s3Driver.mjs';
+import { createGcsDriver } from '../services/storage/gcsDriver.mjs';
+
+let dir;
+
+beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'signy-storage-'));
+    // Drivers log uploads and rejected buckets
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+test('the local driver stores and reads files below its base directory', async () => {
+    const driver = createLocalDriver({ baseDir: dir });
+    const location = await driver.save('uploads/uploaded_1.pdf', Buffer.from('%PDF-1.7'));
+    assert.equal(location, 'local://uploads/uploaded_1.pdf');
+    assert.ok(existsSync(path.join(dir, 'uploads', 'uploaded_1.pdf')));
+    assert.equal((await driver.read(location)).toString(), '%PDF-1.7');
+});
+
+test('the local driver refuses keys that escape its base directory', async () => {
+    const driver = createLocalDriver({ baseDir: path.join(dir, 'storage') });
+    await assert.rejects(driver.save('../outside.pdf', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(driver.save('uploads/../../outside.pdf', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(driver.read('local://../outside.pdf'), /Invalid storage key/);
+    await assert.rejects(driver.read(`local://${path.join(dir, 'outside.pdf')}`), /Invalid storage key/);
+    // The base directory itself is not a file key
+    await assert.rejects(driver.read('local://.'), /Invalid storage key/);
+    assert.ok(!existsSync(path.join(dir, 'outside.pdf')));
+});
+
+test('the local driver only reads local:// locations', async () => {
+    const driver = createLocalDriver({ baseDir: dir });
+    await assert.rejects(driver.read('gs://bucket/file.pdf'), /Unsupported PDF URL format/);
+    await assert.rejects(driver.read('local://missing.pdf'), /PDF not found/);
+});
+
+test('the S3 driver only reads from its own bucket', async () => {
+    const driver = createS3Driver({ bucketName: 'signy', publicUrl: 'https://files.example.com/' });
+    await assert.rejects(driver.read('s3://other/uploads/a.pdf'), /Cannot download from bucket other, expected signy/);
+    await assert.rejects(driver.read('s3://signy'), /Invalid S3 URI format/);
+    await assert.rejects(driver.read('https://elsewhere.example.com/uploads/a.pdf'), /Unsupported PDF URL format/);
+    assert.throws(() => createS3Driver({}), /S3_BUCKET/);
+});
+
+test('the GCS driver only reads from its own bucket', async () => {
+    const driver = createGcsDriver({ bucketName: 'signy' });
+    await assert.rejects(driver.read('gs://other/uploads/a.pdf'), /Cannot download from bucket other, expected signy/);
+    await assert.rejects(driver.read('https://storage.googleapis.com/other/uploads/a.pdf'), /Cannot download from bucket other/);
+    await assert.rejects(driver.read('gs://signy'), /Invalid GCS URI format/);
+    await assert.rejects(driver.read('s3://signy/uploads/a.pdf'), /Unsupported PDF URL format/);
+    assert.throws(() => createGcsDriver({}), /GCP_BUCKET_NAME/);
+});
+
+test('STORAGE_DRIVER selects the driver and defaults to GCS', () => {
+    assert.equal(createStorageDriver({ GCP_BUCKET_NAME: 'signy' }, dir).name, 'gcs');
+    assert.equal(createStorageDriver({ STORAGE_DRIVER: 'GCS', GCP_BUCKET_NAME: 'signy' }, dir).name, 'gcs');
+    assert.equal(createStorageDriver({ STORAGE_DRIVER: 's3', S3_BUCKET: 'signy' }, dir).name, 's3');
+    assert.equal(createStorageDriver({ STORAGE_DRIVER: 'local' }, dir).name, 'local');
+    assert.throws(() => createStorageDriver({ STORAGE_DRIVER: 'ftp' }, dir), /Unknown STORAGE_DRIVER "ftp"/);
+});
+
+test('the local driver resolves STORAGE_LOCAL_DIR against the base directory', async () => {
+    const driver = createStorageDriver({ STORAGE_DRIVER: 'local', STORAGE_LOCAL_DIR: 'files' }, dir);
+    await driver.save('a.pdf', Buffer.from('x'));
+    assert.ok(existsSync(path.join(dir, 'files', 'a.pdf')));
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import upng from '@pdf-lib/upng';
+import { createValidation, isEmail, decodePngDataUri, analyzeSignatureStrokes, MAX_TEXT_LENGTH } from '../services/validation.mjs';
+
+const UPNG = upng.default;
+
+/**
+ * Encodes a white PNG with a black rectangle as data URI.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object|null} ink - { left, top, right, bottom } of the black rectangle, null for a blank image
+ * @returns {string} - The data URI
+ */
+function pngDataUri(width, height, ink) {
+    const rgba = new Uint8Array(width * height * 4).fill(255);
+    if (ink) {
+        for (let y = ink.top; y <= ink.bottom; y++) {
+            for (let x = ink.left; x <= ink.right; x++) {
+                rgba.set([0, 0, 0, 255], (y * width + x) * 4);
+            }
+        }
+    }
+    const png = Buffer.from(UPNG.encode([rgba.buffer], width, height, 0));
+    return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * A stroke from signature_pad's toData().
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ * @returns {Object} - The point group
+ */
+function stroke(points) {
+    return {
+        penColor: 'black',
+        minWidth: 0.5,
+        maxWidth: 2.5,
+        dotSize: 0,
+        points: points.map(([x, y], index) => ({ x, y, time: 1000 + index * 16, pressure: 0.5 }))
+    };
+}
+
+test('text trims the value and reports required, too long and invalid values', () => {
+    const validation = createValidation();
+    assert.equal(validation.text('fullName', '  Max  ', { label: 'Name', required: true }), 'Max');
+    assert.equal(validation.valid, true);
+
+    assert.equal(validation.text('fullName', '   ', { label: 'Name', required: true }), undefined);
+    assert.equal(validation.text('location', 'x'.repeat(MAX_TEXT_LENGTH + 1), { label: 'Ort' }), undefined);
+    assert.equal(validation.text('email', { value: 'x' }, { label: 'E-Mail' }), undefined);
+    assert.equal(validation.text('optional', '', { label: 'Optional' }), undefined);
+
+    assert.equal(validation.valid, false);
+    assert.deepEqual(validation.result(), {
+        error: 'Bitte fülle das Feld "Name" aus.',
+        errors: [
+            { field: 'fullName', code: 'required' },
+            { field: 'location', code: 'too_long', maxLength: MAX_TEXT_LENGTH },
+            { field: 'email', code: 'invalid_type' }
+        ]
+    });
+});
+
+test('email accepts addresses and reports invalid ones', () => {
+    assert.equal(isEmail('max@example.com'), true);
+    assert.equal(isEmail('max@example'), false);
+    assert.equal(isEmail('max example@example.com'), false);
+
+    const validation = createValidation();
+    assert.equal(validation.email('email', ' max@example.com ', { label: 'E-Mail', required: true }), 'max@example.com');
+    assert.equal(validation.email('email', 'no-address', { label: 'E-Mail', required: true }), undefined);
+    assert.deepEqual(validation.result().errors, [{ field: 'email', code: 'invalid_email' }]);
+});
+
+test('signature accepts a PNG with ink and reports blank and invalid images', () => {
+    const validation = createValidation();
+    const inked = pngDataUri(200, 80, { left: 20, top: 30, right: 150, bottom: 40 });
+    assert.ok(Buffer.isBuffer(validation.signature('signature', inked, { label: 'Unterschrift', required: true })));
+    assert.equal(validation.valid, true);
+
+    validation.signature('blank', pngDataUri(200, 80, null), { label: 'Unterschrift' });
+    validation.signature('dot', pngDataUri(200, 80, { left: 10, top: 10, right: 12, bottom: 12 }), { label: 'Unterschrift' });
+    validation.signature('text', 'data:image/png;base64,aGVsbG8=', { label: 'Unterschrift' });
+    validation.signature('missing', undefined, { label: 'Unterschrift', required: true });
+    assert.deepEqual(validation.result().errors.map(({ field, code }) => `${field}:${code}`), [
+        'blank:blank_signature',
+        'dot:blank_signature',
+        'text:invalid_signature',
+        'missing:required'
+    ]);
+});
+
+test('decodePngDataUri only accepts base64 PNG data URIs', () => {
+    assert.equal(decodePngDataUri('data:image/jpeg;base64,/9j/4AAQ'), null);
+    assert.equal(decodePngDataUri(42), null);
+    assert.ok(decodePngDataUri(pngDataUri(2, 2, null)));
+});
+
+test('strokes accepts signature_pad data and reports blank and malformed strokes', () => {
+    const validation = createValidation();
+    const strokes = [stroke([[10, 10], [60, 40], [120, 20]]), stroke([[30, 50], [90, 55]])];
+    assert.equal(validation.strokes('signatureStrokes', strokes, { label: 'Unterschrift', required: true }), strokes);
+    assert.equal(validation.valid, true);
+
+    validation.strokes('dot', [stroke([[10, 10], [12, 11]])], { label: 'Unterschrift' });
+    validation.strokes('nan', [stroke([[10, 10], [Number.NaN, 11]])], { label: 'Unterschrift' });
+    validation.strokes('empty', [], { label: 'Unterschrift', required: true });
+    assert.deepEqual(validation.result().errors.map(({ field, code }) => `${field}:${code}`), [
+        'dot:blank_signature',
+        'nan:invalid_signature',
+        'empty:required'
+    ]);
+});
+
+test('analyzeSignatureStrokes rejects eraser strokes, oversized pens and bad colors', () => {
+    const base = stroke([[0, 0], [100, 50]]);
+    assert.deepEqual(analyzeSignatureStrokes([base]), { width: 100, height: 50 });
+    assert.equal(analyzeSignatureStrokes([{ ...base, compositeOperation: 'destination-out' }]), null);
+    assert.equal(analyzeSignatureStrokes([{ ...base, maxWidth: 500 }]), null);
+    assert.equal(analyzeSignatureStrokes([{ ...base, penColor: 42 }]), null);
+    assert.equal(analyzeSignatureStrokes([{ ...base, points: [] }]), null);
+    assert.equal(analyzeSignatureStrokes('strokes'), null);
+});
+
+test('pdf checks the header of an upload', () => {
+    const validation = createValidation();
+    assert.ok(validation.pdf('pdf', Buffer.from('%PDF-1.7\n...'), { label: 'PDF', required: true }));
+    validation.pdf('pdf', Buffer.from('GIF89a'), { label: 'PDF', required: true });
+    validation.pdf('other', null, { label: 'PDF', required: true });
+    assert.deepEqual(validation.result().errors, [
+        { field: 'pdf', code: 'invalid_pdf' },
+        { field: 'other', code: 'required' }
+    ]);
+});
@@ -0,0 +1,167 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { signWebhookPayload, createWebhookDispatcher, parseWebhookEvents, WEBHOOK_EVENTS } from '../services/webhooks.mjs';
+
+const MINUTE = 60 * 1000;
+
+// Receiver that answers with the status set by the test and keeps the requests
+let responseStatus = 200;
+let received = [];
+let server;
+let url;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(responseStatus).end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    responseStatus = 200;
+    received = [];
+    // Failed deliveries are logged
+    mock.method(console, 'error', () => {});
+});
+
+/**
+ * In-memory stand-in for the webhook repository.
+ * @param {Array} deliveries - Queued deliveries
+ * @returns {Object} - Repository
+ */
+function createMemoryRepository(deliveries = []) {
+    return {
+        deliveries,
+        async listEndpoints() {
+            return [];
+        },
+        async enqueueDeliveries(items) {
+            items.forEach((item) => deliveries.push({ ...item, status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() }));
+        },
+        async findDueDeliveries(now, limit) {
+            return deliveries.filter((d) => d.status === 'pending' && d.nextAttemptAt && d.nextAttemptAt <= now).slice(0, limit);
+        },
+        async updateDelivery() {},
+        async getDelivery(id) {
+            return deliveries.find((d) => d.id === id) || null;
+        }
+    };
+}
+
+/**
+ * A delivery that is due now after the given number of failed attempts.
+ * @param {number} attempts - Attempts made so far
+ * @returns {Object} - The delivery
+ */
+function dueDelivery(attempts) {
+    return {
+        id: crypto.randomUUID(),
+        event: 'signed',
+        url,
+        secret: 'endpoint-secret',
+        payload: { event: 'signed', documentId: 'doc-1' },
+        status: 'pending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() - 1000).toISOString()
+    };
+}
+
+test('signWebhookPayload is the HMAC-SHA256 of timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signWebhookPayload('secret', 1700000000, '{"a":1}'), expected);
+    assert.notEqual(signWebhookPayload('other', 1700000000, '{"a":1}'), expected);
+});
+
+test('deliveries carry a signature the receiver can recompute', async () => {
+    const repository = createMemoryRepository();
+    const dispatcher = createWebhookDispatcher({
+        repository,
+        defaultEndpoint: { url, events: WEBHOOK_EVENTS, secret: 'endpoint-secret' }
+    });
+    assert.equal(await dispatcher.emit('signed', { id: 'doc-1' }, { status: 'signed' }), 1);
+    await dispatcher.processQueue();
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-signy-event'], 'signed');
+    assert.equal(headers['x-signy-signature'], `sha256=${signWebhookPayload('endpoint-secret', headers['x-signy-timestamp'], body)}`);
+    assert.equal(JSON.parse(body).documentId, 'doc-1');
+    assert.equal(repository.deliveries[0].status, 'delivered');
+});
+
+test('a document endpoint at the account URL does not replace the account endpoint', async () => {
+    const repository = createMemoryRepository();
+    const dispatcher = createWebhookDispatcher({
+        repository,
+        defaultEndpoint: { url, events: ['signed'], secret: 'account-secret' }
+    });
+    const document = { id: 'doc-1', webhook: { url: `${url}?card_id=c1`, events: WEBHOOK_EVENTS, secret: 'document-secret' } };
+    assert.equal(await dispatcher.emit('signed', document, { status: 'signed' }), 2);
+    assert.deepEqual(repository.deliveries.map((delivery) => delivery.secret), ['document-secret', 'account-secret']);
+    // The account endpoint is not subscribed to 'viewed'
+    assert.equal(await dispatcher.emit('viewed', document, {}), 1);
+
+    // The same URL with the same secret is sent once
+    const sameEndpoint = { id: 'doc-2', webhook: { url, events: WEBHOOK_EVENTS, secret: 'account-secret' } };
+    assert.equal(await dispatcher.emit('signed', sameEndpoint, { status: 'signed' }), 1);
+});
+
+test('failed deliveries back off exponentially from one minute', async () => {
+    responseStatus = 500;
+    const deliveries = [dueDelivery(0), dueDelivery(1), dueDelivery(3)];
+    const dispatcher = createWebhookDispatcher({ repository: createMemoryRepository(deliveries), maxAttempts: 30 });
+    const start = Date.now();
+    await dispatcher.processQueue();
+
+    [1, 2, 8].forEach((minutes, index) => {
+        const delivery = deliveries[index];
+        const delay = Date.parse(delivery.nextAttemptAt) - start;
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.lastStatusCode, 500);
+        assert.ok(delay >= minutes * MINUTE && delay < minutes * MINUTE + 5000, `attempt ${delivery.attempts}: ${delay} ms`);
+    });
+});
+
+test('the backoff is capped at twelve hours', async () => {
+    responseStatus = 503;
+    const delivery = dueDelivery(20);
+    const dispatcher = createWebhookDispatcher({ repository: createMemoryRepository([delivery]), maxAttempts: 30 });
+    const start = Date.now();
+    await dispatcher.processQueue();
+
+    const delay = Date.parse(delivery.nextAttemptAt) - start;
+    assert.ok(delay >= 12 * 60 * MINUTE && delay < 12 * 60 * MINUTE + 5000, `${delay} ms`);
+});
+
+test('a delivery is dead-lettered after maxAttempts and can be redelivered', async () => {
+    responseStatus = 500;
+    const delivery = dueDelivery(2);
+    const repository = createMemoryRepository([delivery]);
+    const dispatcher = createWebhookDispatcher({ repository, maxAttempts: 3 });
+    await dispatcher.processQueue();
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.nextAttemptAt, null);
+
+    responseStatus = 200;
+    await dispatcher.redeliver(delivery.id);
+    await dispatcher.processQueue();
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+});
+
+test('parseWebhookEvents defaults to all events and rejects unknown ones', () => {
+    assert.deepEqual(parseWebhookEvents(undefined), WEBHOOK_EVENTS);
+    assert.deepEqual(parseWebhookEvents('signed, declined,signed'), ['signed', 'declined']);
+    assert.deepEqual(parseWebhookEvents('["viewed"]'), ['viewed']);
+    assert.throws(() => parseWebhookEvents('signed,opened'), /Unbekanntes Webhook-Event "opened"/);
+});